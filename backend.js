@@ -4,6 +4,19 @@ import express from 'express';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { generateStudentVariants } from './environmentsim/imageProcessor.js';
+import { DEFAULT_PROFILE, loadProfiles, variantCount } from './environmentsim/profiles.js';
+import { ATTENDANCE_EVENTS, createStorage } from './server/storage/index.js';
+import { ROLES, createAuth, hashPassword, publicOperator, verifyPassword } from './server/auth.js';
+import { HttpError, PhotoQualityError } from './server/errors.js';
+import { digitsOnly, formatDisplayId, generateUniqueId, idVersionOf } from './server/ids.js';
+import { computeDescriptors } from './server/faceDescriptors.js';
+import { assessFaceQuality } from './server/faceQuality.js';
+import { DESCRIPTOR_LENGTH, packDescriptors } from './server/descriptorCodec.js';
+import { createCardCodec, renderCardSvg } from './server/studentCard.js';
+import { calibrate, thresholdsFor } from './server/calibration.js';
+import { createJobQueue } from './server/jobQueue.js';
+import { ORIGINAL, VARIANT, faceImagesOf, imagesOf, originalsOf, withImages } from './server/studentImages.js';
+import crypto from 'crypto';
 import fs from 'fs';
 import cors from 'cors';
 
@@ -17,7 +30,7 @@ const app = express();
 const corsSite = {
   origin: ['http://localhost:5173', 'http://127.0.0.1:5173'],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization'],
 };
 
@@ -29,54 +42,265 @@ app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 const uploadDir = path.join(__dirname, 'uploads');
 if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
 
-// --- simple JSON DB (persistent) ---
+// --- storage (JSON files or PostgreSQL, see server/storage) ---
 const dataDir = path.join(__dirname, 'data');
-const studentsFile = path.join(dataDir, 'students.json');
+const db = await createStorage({
+  dataDir,
+  legacyAttendanceFile: path.join(__dirname, 'logs', 'success.json'), // written by the old Vite dev plugin
+});
+console.log(`backend: using ${db.driver} storage`);
+
+// --- operators & roles (see server/auth.js) ---
+const auth = createAuth({ db, secret: process.env.AUTH_SECRET });
+const { requireRole } = auth;
+const anyRole = requireRole(...ROLES);
+const staffOnly = requireRole('admin', 'registrar');
+
+// --- enrollment augmentation profiles (see environmentsim/profiles.js) ---
+const augmentationProfiles = await loadProfiles(process.env.AUGMENTATION_PROFILES_FILE);
+const defaultAugmentationProfile = process.env.AUGMENTATION_PROFILE || DEFAULT_PROFILE;
+if (!augmentationProfiles[defaultAugmentationProfile]) {
+  throw new Error(`AUGMENTATION_PROFILE "${defaultAugmentationProfile}" is not a known augmentation profile.`);
+}
+
+const augmentationProfileFor = (name) => {
+  const profile = augmentationProfiles[name || defaultAugmentationProfile];
+  if (!profile) {
+    throw new HttpError(
+      400,
+      `Unknown augmentation profile "${name}". Use one of: ${Object.keys(augmentationProfiles).join(', ')}.`
+    );
+  }
+  return profile;
+};
+
+// --- signed QR codes on printed ID cards (see server/studentCard.js) ---
+const cards = createCardCodec({ secret: process.env.CARD_SECRET || process.env.AUTH_SECRET });
+
+// First start: create the admin account from ADMIN_USERNAME / ADMIN_PASSWORD
+if (!(await db.listOperators()).length) {
+  if (process.env.ADMIN_PASSWORD) {
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    await db.createOperator({
+      username,
+      role: 'admin',
+      passwordHash: await hashPassword(process.env.ADMIN_PASSWORD),
+      createdAt: new Date().toISOString(),
+    });
+    console.log(`backend: created admin operator "${username}"`);
+  } else {
+    console.warn('backend: no operators exist; set ADMIN_PASSWORD to create the first admin account');
+  }
+}
+
+app.use(auth.authenticate);
+
+// --- upload file helpers ---
+const processedDir = path.join(uploadDir, 'processed');
+
+// What the kiosk needs to verify someone: no email, no timestamps
+const kioskView = (student) => ({
+  id: student.id,
+  displayId: student.displayId,
+  name: student.name,
+  department: student.department,
+  year: student.year,
+  faceImage: student.faceImage,
+  faceImages: faceImagesOf(student),
+});
+const studentFor = (req, student) => (req.operator.role === 'kiosk' ? kioskView(student) : student);
+
+// "/uploads/processed/x/y.jpg" -> absolute path inside uploadDir (null if it escapes)
+const publicToAbs = (publicPath) => {
+  const rel = String(publicPath ?? '').replace(/^\/uploads\//, '');
+  const abs = path.resolve(uploadDir, rel);
+  return abs.startsWith(uploadDir + path.sep) ? abs : null;
+};
+const absToPublic = (abs) => `/uploads/${path.relative(uploadDir, abs).replaceAll('\\', '/')}`;
+
+// "/uploads/2441917_3.jpg" -> 3; the first photo ("/uploads/2441917.jpg") is 1
+const photoNumberOf = (publicPath) => Number(path.parse(publicPath).name.match(/_(\d+)$/)?.[1] ?? 1);
+
+const extFor = (mimetype) =>
+  mimetype === 'image/png' ? 'png' : mimetype === 'image/webp' ? 'webp' : 'jpg';
+
+const removeFile = async (abs) => {
+  if (!abs) return;
+  await fs.promises.rm(abs, { force: true });
+};
 
-const ensureDb = async () => {
-  if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
-  if (!fs.existsSync(studentsFile)) {
-    await fs.promises.writeFile(studentsFile, JSON.stringify({}, null, 2), 'utf8');
+const removeVariantDir = async (publicPath) => {
+  await fs.promises.rm(path.join(processedDir, path.parse(publicPath).name), {
+    recursive: true,
+    force: true,
+  });
+};
+
+// Remove every file belonging to a student, including ones no longer referenced by the record
+const removeStudentFiles = async (student) => {
+  for (const image of imagesOf(student)) {
+    await removeFile(publicToAbs(image.path));
+    if (image.type === ORIGINAL) await removeVariantDir(image.path);
+  }
+
+  const ownName = new RegExp(`^${student.id}(_\\d+)?(\\.(jpe?g|png|webp))?$`, 'i');
+  for (const dir of [uploadDir, processedDir]) {
+    if (!fs.existsSync(dir)) continue;
+    const entries = await fs.promises.readdir(dir);
+    for (const entry of entries) {
+      if (!ownName.test(entry)) continue;
+      await fs.promises.rm(path.join(dir, entry), { recursive: true, force: true });
+    }
   }
 };
 
-const readStudents = async () => {
-  await ensureDb();
-  const raw = await fs.promises.readFile(studentsFile, 'utf8');
-  return JSON.parse(raw || '{}');
+// --- face descriptors ---
+
+// stored descriptors whose image the student still has
+const descriptorsOfImages = (entries, student) => {
+  const images = new Set(faceImagesOf(student));
+  return entries.filter((d) => images.has(d.image));
 };
 
-const writeStudents = async (obj) => {
-  await ensureDb();
-  await fs.promises.writeFile(studentsFile, JSON.stringify(obj, null, 2), 'utf8');
+/**
+ * Computes descriptors for newly added images and stores them next to the
+ * ones already kept for images the student still has. Computing is slow, so
+ * it happens first; which descriptors stay is decided under the storage lock,
+ * against the photos the student has at that point (a photo removed in the
+ * meantime loses its descriptors).
+ * @returns {Promise<number>} descriptors now stored for the student
+ */
+const storeDescriptors = async (studentId, newImages) => {
+  const student = await db.getStudent(studentId);
+  if (!student) return 0;
+
+  const current = new Set(faceImagesOf(student));
+  const computed = await computeDescriptors(
+    newImages.filter((p) => current.has(p)),
+    publicToAbs
+  );
+
+  const stored = await db.updateDescriptors(studentId, (entries, latest) =>
+    descriptorsOfImages(
+      [...entries.filter((d) => !newImages.includes(d.image)), ...computed],
+      latest
+    )
+  );
+  if (!stored) return 0;
+  console.log(`descriptors: ${studentId} has ${stored.length} stored`);
+  return stored.length;
 };
 
-// --- ID helpers ---
-const pad2 = (n) => String(n).padStart(2, '0');
-const pad4 = (n) => String(n).padStart(4, '0');
-const digitsOnly = (s) => String(s ?? '').replace(/\D/g, '');
+// --- threshold calibration (see server/calibration.js) ---
 
-const formatDisplayId = (id7) => {
-  const d = digitsOnly(id7);
-  if (d.length !== 7) return d;
-  return `${d.slice(0, 2)}-${d.slice(2, 3)}-${d.slice(3)}`;
+// one run at a time, in-process; the result is stored, the job state is not
+let calibrationJob = null; // { status: 'running' | 'done' | 'failed', startedAt, finishedAt?, error?, options }
+
+const startCalibration = (options) => {
+  calibrationJob = { status: 'running', startedAt: new Date().toISOString(), options };
+  const job = calibrationJob;
+  (async () => {
+    try {
+      const calibration = await calibrate(await db.listDescriptors(), options);
+      await db.saveCalibration(calibration);
+      job.status = 'done';
+      console.log(
+        `calibration: threshold ${calibration.threshold}, ${Object.keys(calibration.students).length} per-student`
+      );
+    } catch (e) {
+      job.status = 'failed';
+      job.error = e.message;
+      console.error('calibration: failed:', e);
+    } finally {
+      job.finishedAt = new Date().toISOString();
+    }
+  })();
+  return job;
 };
 
-const generateUniqueId = (entryYear, students) => {
-  const yy = pad2(Number(entryYear) % 100);
-  const usedIdNos = new Set(Object.values(students).map((s) => digitsOnly(s.id).slice(-4)));
+// --- enrollment jobs (see server/jobQueue.js) ---
 
-  for (let i = 0; i < 10000; i++) {
-    const idNo = pad4(Math.floor(Math.random() * 10000));
-    if (usedIdNos.has(idNo)) continue;
+// only the student's latest enrollment job decides the status
+const setEnrollmentStatus = (studentId, jobId, enrollmentStatus) =>
+  db.updateStudent(studentId, (current) =>
+    (current.enrollmentJobId ?? jobId) === jobId ? { ...current, enrollmentStatus } : current
+  );
 
-    const id = `${yy}4${idNo}`;
-    if (students[id]) continue;
-    return { id, displayId: `${yy}-4-${idNo}` };
+/**
+ * Generates the variants of newly uploaded photos (at registration or
+ * add-photos) and computes their descriptors. The student stays
+ * enrollmentStatus "pending" until the latest such job is done.
+ * Photos or students removed in the meantime are skipped.
+ */
+const runEnrollment = async ({ studentId, images, profile: profileName }, job) => {
+  const profile = augmentationProfileFor(profileName);
+  const before = await db.getStudent(studentId);
+  if (!before) return { skipped: 'student deleted' };
+  const originals = images.filter((p) => originalsOf(before).includes(p));
+
+  const variantsOf = new Map(); // original -> generated public paths
+  for (const original of originals) {
+    const generatedFiles = await generateStudentVariants(publicToAbs(original), processedDir, profile);
+    variantsOf.set(original, generatedFiles.map(absToPublic));
+  }
+
+  let added = [];
+  const student = await db.updateStudent(studentId, (current) => {
+    const entries = imagesOf(current);
+    const known = new Set(entries.map((e) => e.path));
+    added = originalsOf(current)
+      .filter((p) => variantsOf.has(p))
+      .flatMap((source) => variantsOf.get(source).map((p) => ({ path: p, type: VARIANT, source })))
+      .filter((e) => !known.has(e.path));
+    return withImages(current, [...entries, ...added]);
+  });
+  if (!student) {
+    // deleted while the variants were being written
+    for (const original of originals) await removeVariantDir(original);
+    return { skipped: 'student deleted' };
+  }
+
+  const descriptors = await storeDescriptors(studentId, [...originals, ...added.map((e) => e.path)]);
+  await setEnrollmentStatus(studentId, job.id, 'ready');
+  return { variants: added.length, descriptors };
+};
+
+const jobs = createJobQueue({
+  file: path.join(dataDir, 'jobs.json'),
+  handlers: { enroll: runEnrollment },
+  onFailed: async (job) => {
+    if (job.type === 'enroll') await setEnrollmentStatus(job.payload.studentId, job.id, 'failed');
+  },
+});
+await jobs.start();
+
+// --- enrollment quality gate (see server/faceQuality.js) ---
+const qualityGate = process.env.FACE_QUALITY_GATE !== 'off';
+
+/**
+ * Checks every uploaded photo before anything is saved; throws a
+ * PhotoQualityError with each photo's result if any fails.
+ */
+const assertPhotoQuality = async (files) => {
+  if (!qualityGate) return;
+  const photos = [];
+  for (const [index, file] of files.entries()) {
+    let result;
+    try {
+      result = await assessFaceQuality(file.buffer);
+    } catch (e) {
+      console.error(`quality: could not check ${file.originalname}:`, e);
+      result = { ok: false, reasons: [{ code: 'unreadable', message: `Could not check the photo: ${e.message}` }] };
+    }
+    photos.push({ index, name: file.originalname, ...result });
   }
-  throw new Error('ID space exhausted: cannot generate a unique 4-digit IDNo.');
+  if (photos.some((p) => !p.ok)) throw new PhotoQualityError(photos);
 };
 
+// failed photo checks go back with their per-photo reasons
+const errorBody = (e, fallback) =>
+  e instanceof PhotoQualityError ? { error: e.message, photos: e.photos } : { error: e?.message || fallback };
+
 // Multer: allow single or multiple images
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -92,10 +316,142 @@ const upload = multer({
 
 // Serve static files
 app.use('/models', express.static(path.join(__dirname, 'public', 'models')));
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+app.use('/uploads', anyRole, express.static(path.join(__dirname, 'uploads')));
+
+const USERNAME_RE = /^[a-z0-9._-]{3,32}$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Keep at least one admin so the operator list can't be locked out
+const assertNotLastAdmin = async (username) => {
+  const operators = await db.listOperators();
+  const admins = operators.filter((o) => o.role === 'admin');
+  if (admins.length === 1 && admins[0].username === username) {
+    throw new HttpError(409, 'Cannot remove the last admin.');
+  }
+};
+
+/**
+ * Log in
+ * POST /api/auth/login  { username, password }
+ * -> { token, expiresAt, operator }; the token is also set as the session cookie.
+ */
+app.post('/api/auth/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const operator = username ? await db.getOperator(String(username).trim().toLowerCase()) : null;
+    if (!operator || !(await verifyPassword(password ?? '', operator.passwordHash))) {
+      return res.status(401).json({ error: 'Invalid username or password.' });
+    }
+
+    const { token, expiresAt } = auth.issueToken(operator.username);
+    auth.setSessionCookie(res, token);
+    return res.json({ success: true, token, expiresAt, operator: publicOperator(operator) });
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || 'Login failed' });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  auth.clearSessionCookie(res);
+  res.json({ success: true });
+});
+
+// Current session (401 when logged out)
+app.get('/api/auth/me', anyRole, (req, res) => {
+  res.json({ operator: req.operator });
+});
+
+// Operator accounts (admin only)
+app.get('/api/operators', requireRole('admin'), async (req, res) => {
+  try {
+    const operators = await db.listOperators();
+    res.json({ operators: operators.map(publicOperator) });
+  } catch (err) {
+    console.error('Error reading operators:', err);
+    res.status(500).json({ error: 'Failed to read operators' });
+  }
+});
+
+/**
+ * Create an operator
+ * POST /api/operators  { username, password, role }
+ */
+app.post('/api/operators', requireRole('admin'), async (req, res) => {
+  try {
+    const { username, password, role } = req.body || {};
+    const name = String(username ?? '').trim().toLowerCase();
+    if (!USERNAME_RE.test(name)) {
+      return res.status(400).json({ error: 'username must be 3-32 characters: a-z, 0-9, ".", "_" or "-".' });
+    }
+    if (String(password ?? '').length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+    }
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const operator = await db.createOperator({
+      username: name,
+      role,
+      passwordHash: await hashPassword(password),
+      createdAt: new Date().toISOString(),
+    });
+    return res.status(201).json({ success: true, operator: publicOperator(operator) });
+  } catch (e) {
+    return res.status(e instanceof HttpError ? e.status : 500).json({ error: e?.message || 'Failed to create operator' });
+  }
+});
+
+/**
+ * Change an operator's role and/or password
+ * PATCH /api/operators/:username  { role?, password? }
+ */
+app.patch('/api/operators/:username', requireRole('admin'), async (req, res) => {
+  try {
+    const { role, password } = req.body || {};
+    if (role === undefined && password === undefined) {
+      return res.status(400).json({ error: 'Nothing to update. Allowed fields: role, password.' });
+    }
+    if (role !== undefined && !ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+    }
+    if (password !== undefined && String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ error: `password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+    }
+    if (role !== undefined && role !== 'admin') await assertNotLastAdmin(req.params.username);
+
+    const passwordHash = password !== undefined ? await hashPassword(password) : undefined;
+    const operator = await db.updateOperator(req.params.username, (current) => ({
+      ...current,
+      ...(role !== undefined ? { role } : {}),
+      ...(passwordHash ? { passwordHash } : {}),
+      updatedAt: new Date().toISOString(),
+    }));
+    if (!operator) {
+      return res.status(404).json({ error: 'Operator not found.' });
+    }
+
+    return res.json({ success: true, operator: publicOperator(operator) });
+  } catch (e) {
+    return res.status(e instanceof HttpError ? e.status : 500).json({ error: e?.message || 'Failed to update operator' });
+  }
+});
+
+app.delete('/api/operators/:username', requireRole('admin'), async (req, res) => {
+  try {
+    await assertNotLastAdmin(req.params.username);
+    const operator = await db.deleteOperator(req.params.username);
+    if (!operator) {
+      return res.status(404).json({ error: 'Operator not found.' });
+    }
+    return res.json({ success: true, username: operator.username });
+  } catch (e) {
+    return res.status(e instanceof HttpError ? e.status : 500).json({ error: e?.message || 'Failed to delete operator' });
+  }
+});
 
 // List available upload files (for frontend selection)
-app.get('/api/uploads', async (req, res) => {
+app.get('/api/uploads', requireRole('admin'), async (req, res) => {
   try {
     const files = await fs.promises.readdir(uploadDir);
     const imageFiles = files.filter((f) => /\.(jpe?g|png|webp)$/i.test(f));
@@ -106,34 +462,51 @@ app.get('/api/uploads', async (req, res) => {
   }
 });
 
-// Return full students map
-app.get('/api/students', async (req, res) => {
+// Return students map (kiosk operators get the kiosk view)
+app.get('/api/students', anyRole, async (req, res) => {
   try {
-    const students = await readStudents();
+    const students = await db.listStudents();
+    if (req.operator.role === 'kiosk') {
+      for (const id of Object.keys(students)) students[id] = kioskView(students[id]);
+    }
     res.json({ students });
-  } catch (e) {
+  } catch (err) {
+    console.error('Error reading students:', err);
     res.status(500).json({ error: 'Failed to read students DB' });
   }
 });
 
 // Return list of IDs only (useful for OCR matching)
-app.get('/api/students/ids', async (req, res) => {
+app.get('/api/students/ids', anyRole, async (req, res) => {
   try {
-    const students = await readStudents();
+    const students = await db.listStudents();
     res.json({ ids: Object.keys(students) });
-  } catch (e) {
+  } catch (err) {
+    console.error('Error reading students:', err);
     res.status(500).json({ error: 'Failed to read students DB' });
   }
 });
 
+// Augmentation profiles the register route accepts
+app.get('/api/augmentation/profiles', staffOnly, (req, res) => {
+  res.json({
+    default: defaultAugmentationProfile,
+    profiles: Object.values(augmentationProfiles).map((p) => ({
+      name: p.name,
+      description: p.description,
+      variants: variantCount(p),
+    })),
+  });
+});
+
 // Generate ID without saving
-app.post('/api/students/generate-id', async (req, res) => {
+app.post('/api/students/generate-id', staffOnly, async (req, res) => {
   try {
     const { year } = req.body || {};
     if (!Number.isInteger(Number(year))) {
       return res.status(400).json({ error: 'year must be a number (YYYY)' });
     }
-    const students = await readStudents();
+    const students = await db.listStudents();
     const generated = generateUniqueId(Number(year), students);
     res.json(generated);
   } catch (e) {
@@ -146,9 +519,17 @@ app.post('/api/students/generate-id', async (req, res) => {
  * Supports:
  * - legacy: field "photo" (single)
  * - new: field "photos" (multiple)
+ * Optional field "id": a checked 8-digit ID (YY4####C), generated when missing.
+ * Legacy 7-digit IDs are refused; only students registered before keep one.
+ * Optional field "profile": augmentation profile for the generated variants
+ * (default AUGMENTATION_PROFILE, else "standard"; see GET /api/augmentation/profiles)
+ * -> 202 { student, job } once the photos are saved. The variants and
+ * descriptors are made by an enrollment job (GET /api/jobs/:id); until it
+ * finishes the student is enrollmentStatus "pending".
  */
 app.post(
   '/api/students/register',
+  staffOnly,
   upload.fields([
     { name: 'photo', maxCount: 1 },
     { name: 'photos', maxCount: 10 },
@@ -159,24 +540,17 @@ app.post(
       if (!name || !department || !year || !email) {
         return res.status(400).json({ error: 'Missing required fields.' });
       }
-
-      const students = await readStudents();
+      const profile = augmentationProfileFor(req.body.profile);
 
       let canonicalId = digitsOnly(id);
-      if (!canonicalId) canonicalId = generateUniqueId(Number(year), students).id;
+      if (!canonicalId) canonicalId = generateUniqueId(Number(year), await db.listStudents()).id;
 
-      if (!/^\d{7}$/.test(canonicalId)) {
-        return res.status(400).json({ error: 'Invalid ID. Expected 7 digits (YY4####).' });
-      }
-
-      // Enforce IDNo uniqueness (last 4 digits)
-      const idNo = canonicalId.slice(-4);
-      const usedIdNos = new Set(Object.values(students).map((s) => digitsOnly(s.id).slice(-4)));
-      if (usedIdNos.has(idNo)) {
-        return res.status(409).json({ error: 'Duplicate IDNo detected. Generate again.' });
-      }
-      if (students[canonicalId]) {
-        return res.status(409).json({ error: 'Student ID already exists.' });
+      // new students get a checked ID; legacy 7-digit IDs stay valid only for
+      // the records that already have one
+      if (idVersionOf(canonicalId) !== 2) {
+        return res.status(400).json({
+          error: 'Invalid ID. Expected 8 digits with a valid check digit (YY4####C); legacy 7-digit IDs are not issued any more.',
+        });
       }
 
       const files =
@@ -186,57 +560,53 @@ app.post(
       if (!files || !files.length) {
         return res.status(400).json({ error: 'Missing photo upload.' });
       }
+      await assertPhotoQuality(files);
 
-      const savedPaths = [];
-      const generatedPublicPaths = [];
-
-      for (let i = 0; i < files.length; i++) {
-        const f = files[i];
-        const ext =
-          f.mimetype === 'image/png'
-            ? 'png'
-            : f.mimetype === 'image/webp'
-            ? 'webp'
-            : 'jpg';
+      const filenames = files.map((f, i) =>
+        i === 0 ? `${canonicalId}.${extFor(f.mimetype)}` : `${canonicalId}_${i + 1}.${extFor(f.mimetype)}`
+      );
+      const savedPaths = filenames.map((filename) => `/uploads/${filename}`);
 
-        const filename = i === 0 ? `${canonicalId}.${ext}` : `${canonicalId}_${i + 1}.${ext}`;
-        const filePath = path.join(uploadDir, filename);
+      const jobId = crypto.randomUUID();
+      const student = withImages(
+        {
+          id: canonicalId,
+          displayId: formatDisplayId(canonicalId),
+          name: String(name),
+          department: String(department),
+          year: String(year),
+          email: String(email),
+          augmentationProfile: profile.name,
+          enrollmentStatus: 'pending',
+          enrollmentJobId: jobId,
+          createdAt: new Date().toISOString(),
+        },
+        savedPaths.map((p) => ({ path: p, type: ORIGINAL }))
+      );
 
-        await fs.promises.writeFile(filePath, f.buffer);
+      // Claim the ID before touching disk: createStudent enforces ID and IDNo
+      // uniqueness atomically, so a concurrent registration can't overwrite files.
+      const saved = await db.createStudent(student);
 
-        // original uploaded file
-        savedPaths.push(`/uploads/${filename}`);
-
-        // generated variants
-        const generatedFiles = await generateStudentVariants(
-          filePath,
-          path.join(uploadDir, 'processed')
-        );
-
-        for (const absPath of generatedFiles) {
-          const rel = path.relative(uploadDir, absPath).replaceAll('\\', '/');
-          generatedPublicPaths.push(`/uploads/${rel}`);
+      let job;
+      try {
+        for (let i = 0; i < files.length; i++) {
+          await fs.promises.writeFile(path.join(uploadDir, filenames[i]), files[i].buffer);
         }
+        job = await jobs.enqueue(
+          'enroll',
+          { studentId: canonicalId, images: savedPaths, profile: profile.name },
+          { id: jobId }
+        );
+      } catch (e) {
+        await db.deleteStudent(canonicalId);
+        await removeStudentFiles(student);
+        throw e;
       }
 
-      const allFaceImages = [...savedPaths, ...generatedPublicPaths];
-      const student = {
-        id: canonicalId,
-        displayId: formatDisplayId(canonicalId),
-        name: String(name),
-        department: String(department),
-        year: String(year),
-        email: String(email),
-        faceImage: allFaceImages[0],
-        faceImages: allFaceImages,
-        createdAt: new Date().toISOString(),
-      };
-
-      students[canonicalId] = student;
-      await writeStudents(students);
-
-      return res.json({ success: true, student });
+      return res.status(202).json({ success: true, student: saved, job });
     } catch (e) {
+      if (e instanceof HttpError) return res.status(e.status).json(errorBody(e));
       const msg = e?.message || 'Registration failed';
       const isSize = msg.toLowerCase().includes('file too large');
       return res.status(isSize ? 413 : 400).json({ error: msg });
@@ -244,63 +614,442 @@ app.post(
   }
 );
 
+/**
+ * State of a background job, e.g. a student's enrollment
+ * GET /api/jobs/:id -> { job }
+ */
+app.get('/api/jobs/:id', staffOnly, async (req, res) => {
+  try {
+    const job = await jobs.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found.' });
+    }
+    res.json({ job });
+  } catch (err) {
+    console.error('Error reading job:', err);
+    res.status(500).json({ error: 'Failed to read job' });
+  }
+});
+
+/**
+ * Run a failed job again
+ * POST /api/jobs/:id/retry -> 202 { job } | 409 unless the job failed
+ */
+app.post('/api/jobs/:id/retry', staffOnly, async (req, res) => {
+  try {
+    const current = await jobs.get(req.params.id);
+    if (!current) {
+      return res.status(404).json({ error: 'Job not found.' });
+    }
+    if (current.status !== 'failed') {
+      throw new HttpError(409, `Only failed jobs can be retried; this one is ${current.status}.`);
+    }
+
+    if (current.type === 'enroll') {
+      // a newer enrollment job of the student decides its status, not this one
+      await setEnrollmentStatus(current.payload.studentId, current.id, 'pending');
+    }
+    const job = await jobs.retry(current.id);
+    if (!job) throw new HttpError(409, 'The job was retried already.');
+    res.status(202).json({ job });
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json({ error: err.message });
+    console.error('Error retrying job:', err);
+    res.status(500).json({ error: 'Failed to retry job' });
+  }
+});
+
 /**
  * Add more face photos to an existing student (recommended for accuracy)
  * POST /api/students/:id/add-photos  (field: photos[])
+ * -> 202 { student, job }: like registration, an enrollment job generates the
+ * variants (with the student's augmentation profile) and descriptors.
  */
-app.post('/api/students/:id/add-photos', upload.array('photos', 10), async (req, res) => {
+app.post('/api/students/:id/add-photos', staffOnly, upload.array('photos', 10), async (req, res) => {
   try {
     const canonicalId = digitsOnly(req.params.id);
-    const students = await readStudents();
 
-    if (!students[canonicalId]) {
+    const existing = await db.getStudent(canonicalId);
+    if (!existing) {
       return res.status(404).json({ error: 'Student not found.' });
     }
     if (!req.files?.length) {
       return res.status(400).json({ error: 'Missing photos upload.' });
     }
+    await assertPhotoQuality(req.files);
+
+    // the profile the student was enrolled with, unless it has been removed since
+    const profile = augmentationProfiles[existing.augmentationProfile] ?? augmentationProfileFor();
 
-    const current = students[canonicalId];
-    const currentImages = Array.isArray(current.faceImages) && current.faceImages.length
-      ? current.faceImages
-      : current.faceImage
-        ? [current.faceImage]
-        : [];
+    // filenames are picked inside the update so two uploads can't claim the same number
+    const jobId = crypto.randomUUID();
+    let newFiles = [];
+    const student = await db.updateStudent(canonicalId, (current) => {
+      const next = Math.max(0, ...originalsOf(current).map(photoNumberOf)) + 1;
+      newFiles = req.files.map((f, i) => ({
+        path: `/uploads/${canonicalId}_${next + i}.${extFor(f.mimetype)}`,
+        buffer: f.buffer,
+      }));
 
-    let startIndex = currentImages.length + 1; // next suffix
+      return withImages(
+        {
+          ...current,
+          enrollmentStatus: 'pending',
+          enrollmentJobId: jobId,
+          updatedAt: new Date().toISOString(),
+        },
+        [...imagesOf(current), ...newFiles.map((n) => ({ path: n.path, type: ORIGINAL }))]
+      );
+    });
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found.' });
+    }
+
+    let job;
+    try {
+      for (const { path: publicPath, buffer } of newFiles) {
+        await fs.promises.writeFile(publicToAbs(publicPath), buffer);
+      }
+      job = await jobs.enqueue(
+        'enroll',
+        { studentId: canonicalId, images: newFiles.map((n) => n.path), profile: profile.name },
+        { id: jobId }
+      );
+    } catch (e) {
+      await setEnrollmentStatus(canonicalId, jobId, 'failed');
+      throw e;
+    }
 
-    const newPaths = [];
-    for (let i = 0; i < req.files.length; i++) {
-      const f = req.files[i];
-      const ext =
-        f.mimetype === 'image/png' ? 'png' : f.mimetype === 'image/webp' ? 'webp' : 'jpg';
+    return res.status(202).json({ success: true, student, job });
+  } catch (e) {
+    return res.status(e instanceof HttpError ? e.status : 400).json(errorBody(e, 'Failed to add photos'));
+  }
+});
 
-      const filename = `${canonicalId}_${startIndex + i}.${ext}`;
-      const filePath = path.join(uploadDir, filename);
+// Single student record
+app.get('/api/students/:id', anyRole, async (req, res) => {
+  try {
+    const student = await db.getStudent(digitsOnly(req.params.id));
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found.' });
+    }
+    res.json({ student: studentFor(req, student) });
+  } catch (err) {
+    console.error('Error reading student:', err);
+    res.status(500).json({ error: 'Failed to read students DB' });
+  }
+});
 
-      await fs.promises.writeFile(filePath, f.buffer);
-      newPaths.push(`/uploads/${filename}`);
+/**
+ * Precomputed reference descriptors for the kiosk
+ * GET /api/students/:id/descriptors
+ * -> { id, count, dim, data } where data is base64 of count * dim float32 (little-endian).
+ * count 0 means none are stored yet; the kiosk then detects the images itself.
+ */
+app.get('/api/students/:id/descriptors', anyRole, async (req, res) => {
+  try {
+    const canonicalId = digitsOnly(req.params.id);
+    if (!(await db.getStudent(canonicalId))) {
+      return res.status(404).json({ error: 'Student not found.' });
     }
 
-    const updatedImages = [...currentImages, ...newPaths];
+    const descriptors = await db.getDescriptors(canonicalId);
+    res.json({
+      id: canonicalId,
+      count: descriptors.length,
+      dim: DESCRIPTOR_LENGTH,
+      data: packDescriptors(descriptors.map((d) => d.descriptor)),
+    });
+  } catch (err) {
+    console.error('Error reading descriptors:', err);
+    res.status(500).json({ error: 'Failed to read descriptors' });
+  }
+});
+
+/**
+ * Every enrolled student's descriptors, for the kiosk's 1:N search
+ * GET /api/descriptors -> { dim, students: [{ id, count, data }] } (data packed as above)
+ */
+app.get('/api/descriptors', anyRole, async (req, res) => {
+  try {
+    const all = await db.listDescriptors();
+    res.json({
+      dim: DESCRIPTOR_LENGTH,
+      students: Object.entries(all).map(([id, descriptors]) => ({
+        id,
+        count: descriptors.length,
+        data: packDescriptors(descriptors),
+      })),
+    });
+  } catch (err) {
+    console.error('Error listing descriptors:', err);
+    res.status(500).json({ error: 'Failed to read descriptors' });
+  }
+});
 
-    students[canonicalId] = {
+/**
+ * Printable ID card with the signed QR code
+ * GET /api/students/:id/card -> image/svg+xml (85.6 x 54 mm)
+ */
+app.get('/api/students/:id/card', staffOnly, async (req, res) => {
+  try {
+    const student = await db.getStudent(digitsOnly(req.params.id));
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found.' });
+    }
+
+    const svg = await renderCardSvg(student, cards.encode(student.id));
+    res.set('Content-Type', 'image/svg+xml');
+    res.set('Content-Disposition', `inline; filename="card-${student.id}.svg"`);
+    res.send(svg);
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json({ error: err.message });
+    console.error('Error rendering card:', err);
+    res.status(500).json({ error: 'Failed to render card' });
+  }
+});
+
+/**
+ * Check a QR code read by the kiosk
+ * POST /api/cards/verify  { code }
+ * -> { studentId } | 400 not a card code | 403 bad signature | 404 unknown student
+ */
+app.post('/api/cards/verify', anyRole, async (req, res) => {
+  try {
+    const studentId = cards.decode(req.body?.code);
+    if (!(await db.getStudent(studentId))) {
+      return res.status(404).json({ error: 'Student not found.' });
+    }
+    res.json({ studentId });
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json({ error: err.message });
+    console.error('Error verifying card code:', err);
+    res.status(500).json({ error: 'Failed to verify card code' });
+  }
+});
+
+/**
+ * Start a calibration run over every stored descriptor
+ * POST /api/calibration  { targetFar?, perStudent? }
+ * -> 202 { job } | 409 while another run is in progress
+ */
+app.post('/api/calibration', requireRole('admin'), async (req, res) => {
+  try {
+    if (calibrationJob?.status === 'running') {
+      throw new HttpError(409, 'A calibration is already running.');
+    }
+
+    const { targetFar, perStudent } = req.body || {};
+    const options = {};
+    if (targetFar !== undefined) {
+      const far = Number(targetFar);
+      if (!(far > 0 && far < 1)) throw new HttpError(400, 'targetFar must be between 0 and 1.');
+      options.targetFar = far;
+    }
+    if (perStudent !== undefined) options.perStudent = Boolean(perStudent);
+
+    res.status(202).json({ job: startCalibration(options) });
+  } catch (err) {
+    if (err instanceof HttpError) return res.status(err.status).json({ error: err.message });
+    console.error('Error starting calibration:', err);
+    res.status(500).json({ error: 'Failed to start calibration' });
+  }
+});
+
+/**
+ * Latest stored calibration and the state of the last run since the server started
+ * GET /api/calibration -> { calibration | null, job | null }
+ */
+app.get('/api/calibration', staffOnly, async (req, res) => {
+  try {
+    res.json({ calibration: await db.getCalibration(), job: calibrationJob });
+  } catch (err) {
+    console.error('Error reading calibration:', err);
+    res.status(500).json({ error: 'Failed to read calibration' });
+  }
+});
+
+/**
+ * Thresholds the kiosk verifies with
+ * GET /api/calibration/thresholds?studentId=
+ * -> { threshold, globalThreshold, requiredGoodFrames, source: 'student' | 'global' | 'default', calibratedAt }
+ */
+app.get('/api/calibration/thresholds', anyRole, async (req, res) => {
+  try {
+    const { studentId } = req.query;
+    res.json(thresholdsFor(await db.getCalibration(), studentId ? digitsOnly(studentId) : undefined));
+  } catch (err) {
+    console.error('Error reading calibration:', err);
+    res.status(500).json({ error: 'Failed to read calibration' });
+  }
+});
+
+/**
+ * Update profile fields
+ * PATCH /api/students/:id  { name?, department?, email? }
+ * ID, year and face images are not editable here.
+ */
+app.patch('/api/students/:id', staffOnly, async (req, res) => {
+  try {
+    const updates = {};
+    for (const key of ['name', 'department', 'email']) {
+      if (req.body?.[key] === undefined) continue;
+      const value = String(req.body[key]).trim();
+      if (!value) return res.status(400).json({ error: `${key} cannot be empty.` });
+      updates[key] = value;
+    }
+    if (!Object.keys(updates).length) {
+      return res.status(400).json({ error: 'Nothing to update. Allowed fields: name, department, email.' });
+    }
+
+    const student = await db.updateStudent(digitsOnly(req.params.id), (current) => ({
       ...current,
-      faceImage: updatedImages[0],
-      faceImages: updatedImages,
+      ...updates,
       updatedAt: new Date().toISOString(),
-    };
+    }));
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found.' });
+    }
+
+    return res.json({ success: true, student });
+  } catch (e) {
+    return res.status(400).json({ error: e?.message || 'Failed to update student' });
+  }
+});
+
+/**
+ * Delete a student and all of their files
+ * (uploads/<id>*.jpg and uploads/processed/<id>*)
+ */
+app.delete('/api/students/:id', staffOnly, async (req, res) => {
+  try {
+    const student = await db.deleteStudent(digitsOnly(req.params.id));
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found.' });
+    }
+
+    await removeStudentFiles(student);
+
+    return res.json({ success: true, id: student.id });
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || 'Failed to delete student' });
+  }
+});
+
+/**
+ * Remove one face image by its index in faceImages
+ * DELETE /api/students/:id/photos/:index
+ * Removing an original also removes the variants generated from it.
+ */
+app.delete('/api/students/:id/photos/:index', staffOnly, async (req, res) => {
+  try {
+    const index = Number(req.params.index);
 
-    await writeStudents(students);
+    let target;
+    let removed = [];
+    const student = await db.updateStudent(digitsOnly(req.params.id), (current) => {
+      const images = imagesOf(current);
+      if (!Number.isInteger(index) || index < 0 || index >= images.length) {
+        throw new HttpError(404, 'Photo not found.');
+      }
+
+      target = images[index];
+      removed = (
+        target.type === ORIGINAL
+          ? images.filter((e) => e === target || e.source === target.path)
+          : [target]
+      ).map((e) => e.path);
+      const remaining = images.filter((e) => !removed.includes(e.path));
+
+      if (!remaining.some((e) => e.type === ORIGINAL)) {
+        throw new HttpError(409, 'Cannot remove the last original photo. Delete the student instead.');
+      }
+
+      return withImages({ ...current, updatedAt: new Date().toISOString() }, remaining);
+    });
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found.' });
+    }
+
+    for (const p of removed) await removeFile(publicToAbs(p));
+    if (target.type === ORIGINAL) await removeVariantDir(target.path);
+
+    await db.updateDescriptors(student.id, descriptorsOfImages);
 
-    return res.json({ success: true, student: students[canonicalId] });
+    return res.json({ success: true, removed, student });
   } catch (e) {
-    return res.status(400).json({ error: e?.message || 'Failed to add photos' });
+    return res.status(e instanceof HttpError ? e.status : 500).json({ error: e?.message || 'Failed to remove photo' });
+  }
+});
+
+/**
+ * Record a verification event
+ * POST /api/attendance  { event?, studentId | studentData, verificationResult }
+ * event is one of ATTENDANCE_EVENTS (default verification_success).
+ * Student fields are taken from the DB record, not from the request body.
+ */
+app.post('/api/attendance', anyRole, async (req, res) => {
+  try {
+    const { event, studentId, studentData, verificationResult } = req.body || {};
+    if (event !== undefined && !ATTENDANCE_EVENTS.includes(event)) {
+      return res.status(400).json({ error: `event must be one of: ${ATTENDANCE_EVENTS.join(', ')}` });
+    }
+    const canonicalId = digitsOnly(studentId ?? studentData?.id);
+    if (!canonicalId) {
+      return res.status(400).json({ error: 'Missing studentId.' });
+    }
+
+    const student = await db.getStudent(canonicalId);
+    if (!student) {
+      return res.status(404).json({ error: 'Student not found.' });
+    }
+
+    const entry = await db.recordAttendance({ event, student, verificationResult });
+    return res.status(201).json({ success: true, entry });
+  } catch (e) {
+    return res.status(500).json({ error: e?.message || 'Failed to record attendance' });
+  }
+});
+
+/**
+ * List attendance events
+ * GET /api/attendance?event=&studentId=&department=&from=&to=
+ * event: one of ATTENDANCE_EVENTS or "all"; without it only attendance
+ * (verification_success) is listed, so mismatches don't count as attendance.
+ * from/to accept YYYY-MM-DD (Manila calendar day, inclusive) or any ISO timestamp.
+ */
+app.get('/api/attendance', staffOnly, async (req, res) => {
+  try {
+    const { event, studentId, department, from, to } = req.query;
+    if (event !== undefined && event !== 'all' && !ATTENDANCE_EVENTS.includes(event)) {
+      return res.status(400).json({ error: `event must be "all" or one of: ${ATTENDANCE_EVENTS.join(', ')}` });
+    }
+    for (const [key, value] of Object.entries({ from, to })) {
+      if (value && Number.isNaN(new Date(value).getTime())) {
+        return res.status(400).json({ error: `${key} must be a date (YYYY-MM-DD) or ISO timestamp` });
+      }
+    }
+
+    const entries = await db.listAttendance({
+      event,
+      studentId: studentId ? digitsOnly(studentId) : undefined,
+      department,
+      from,
+      to,
+    });
+    res.json({ entries });
+  } catch (err) {
+    console.error('Error reading attendance log:', err);
+    res.status(500).json({ error: 'Failed to read attendance log' });
   }
 });
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  if (err instanceof HttpError) {
+    return res.status(err.status).json({ success: false, error: err.message });
+  }
+
   console.error(err);
 
   if (err?.message?.toLowerCase().includes('file too large')) {
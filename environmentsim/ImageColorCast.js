@@ -0,0 +1,33 @@
+import sharp from "sharp";
+
+// per-channel gain at strength 1 for each kind of light
+const castMap = {
+  green: [0.7, 1.08, 0.75], // fluorescent tubes
+  blue: [0.78, 0.92, 1.2], // cold LED panels, daylight through windows
+  warm: [1.15, 1.0, 0.7], // tungsten bulbs
+};
+
+/**
+ * Colour cast of artificial lighting. `strength` 0-1 scales the preset's
+ * gains from neutral; `gains` ({ r, g, b }) overrides the preset.
+ */
+export async function applyColorCast(input, options = {}) {
+  const { tint = "green", strength = 0.5, gains } = options;
+
+  const preset = gains ? [gains.r ?? 1, gains.g ?? 1, gains.b ?? 1] : castMap[tint];
+  if (!preset) {
+    throw new Error(`Invalid tint: ${tint}`);
+  }
+
+  const [r, g, b] = preset.map((gain) => 1 + (gain - 1) * strength);
+
+  return await sharp(input)
+    .removeAlpha()
+    .recomb([
+      [r, 0, 0],
+      [0, g, 0],
+      [0, 0, b],
+    ])
+    .jpeg({ quality: 90 })
+    .toBuffer();
+}
@@ -0,0 +1,28 @@
+import sharp from "sharp";
+
+// kiosk camera width; block artefacts are sized for this resolution
+const CAMERA_WIDTH = 640;
+
+/**
+ * Repeated lossy JPEG encoding, as when a frame is forwarded through a
+ * capture card or a chat app before it reaches the kiosk.
+ */
+export async function applyJpegRecompression(input, options = {}) {
+  const {
+    quality = 30,
+    passes = 2,
+    chromaSubsampling = "4:2:0",
+    width = CAMERA_WIDTH,
+  } = options;
+
+  let output = await sharp(input)
+    .resize({ width, withoutEnlargement: true })
+    .jpeg({ quality, chromaSubsampling })
+    .toBuffer();
+
+  for (let i = 1; i < passes; i++) {
+    output = await sharp(output).jpeg({ quality, chromaSubsampling }).toBuffer();
+  }
+
+  return output;
+}
@@ -0,0 +1,40 @@
+import sharp from "sharp";
+
+// kiosk camera width; the blur length is in pixels at this resolution
+const CAMERA_WIDTH = 640;
+const MAX_LENGTH = 31;
+
+// odd-sized kernel with a line of `length` pixels through the centre at `angle` degrees
+function lineKernel(length, angle) {
+  const size = Math.max(3, Math.min(MAX_LENGTH, Math.round(length) | 1));
+  const kernel = new Array(size * size).fill(0);
+  const c = (size - 1) / 2;
+  const radians = (angle * Math.PI) / 180;
+
+  for (let t = -c; t <= c; t += 0.25) {
+    const x = Math.round(c + t * Math.cos(radians));
+    const y = Math.round(c - t * Math.sin(radians));
+    kernel[y * size + x] = 1;
+  }
+
+  return {
+    width: size,
+    height: size,
+    kernel,
+    scale: kernel.reduce((sum, k) => sum + k, 0),
+  };
+}
+
+/**
+ * Linear motion blur, as from a student walking up to the kiosk
+ * (angle 0 = horizontal, 90 = vertical).
+ */
+export async function applyMotionBlur(input, options = {}) {
+  const { length = 9, angle = 0, width = CAMERA_WIDTH } = options;
+
+  return await sharp(input)
+    .resize({ width, withoutEnlargement: true })
+    .convolve(lineKernel(length, angle))
+    .jpeg({ quality: 90 })
+    .toBuffer();
+}
@@ -0,0 +1,47 @@
+import sharp from "sharp";
+import { createRandom } from "../server/random.js";
+
+// kiosk camera width; sensor noise is added at this resolution
+const CAMERA_WIDTH = 640;
+
+function gaussian(random) {
+  const u = random() || 1e-12;
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/**
+ * Sensor noise of a cheap camera in low light: gaussian luma noise plus a
+ * smaller, per-channel chroma part. Same seed, same noise.
+ */
+export async function applySensorNoise(input, options = {}) {
+  const {
+    sigma = 12, // luma noise std dev, 0-255
+    chroma = 0.35, // chroma noise relative to sigma
+    width = CAMERA_WIDTH,
+    seed = 1,
+  } = options;
+
+  const random = createRandom(seed);
+
+  const { data, info } = await sharp(input)
+    .resize({ width, withoutEnlargement: true })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const out = Buffer.alloc(data.length);
+  for (let i = 0; i < data.length; i += 3) {
+    const luma = gaussian(random) * sigma;
+    for (let c = 0; c < 3; c++) {
+      const v = data[i + c] + luma + gaussian(random) * sigma * chroma;
+      out[i + c] = Math.max(0, Math.min(255, Math.round(v)));
+    }
+  }
+
+  return await sharp(out, {
+    raw: { width: info.width, height: info.height, channels: 3 },
+  })
+    .jpeg({ quality: 90 })
+    .toBuffer();
+}
@@ -0,0 +1,94 @@
+import sharp from "sharp";
+import { createRandom } from "../server/random.js";
+
+// where the face is, as fractions of the image: enrollment photos are 1x1
+// portraits with the face centred
+const DEFAULT_FACE_BOX = { left: 0.2, top: 0.12, width: 0.6, height: 0.76 };
+
+// how far (fraction of the face box) the seed may shift a mask or glasses
+const JITTER = 0.03;
+
+function maskSvg(face, random, { color = "#dbe4ec" }) {
+  const dx = (random() - 0.5) * 2 * JITTER * face.width;
+  const dy = (random() - 0.5) * 2 * JITTER * face.height;
+  const x = face.x + face.width * 0.08 + dx;
+  const y = face.y + face.height * 0.56 + dy;
+  const w = face.width * 0.84;
+  const h = face.height * 0.4;
+  const strapY = y + h * 0.2;
+
+  return `
+    <line x1="${face.x}" y1="${strapY - h * 0.25}" x2="${x}" y2="${strapY}" stroke="${color}" stroke-width="${h * 0.04}"/>
+    <line x1="${face.x + face.width}" y1="${strapY - h * 0.25}" x2="${x + w}" y2="${strapY}" stroke="${color}" stroke-width="${h * 0.04}"/>
+    <rect x="${x}" y="${y}" width="${w}" height="${h}" rx="${w * 0.3}" ry="${h * 0.45}" fill="${color}"/>`;
+}
+
+function glassesSvg(face, random, { color = "#111111", opacity = 0.8 }) {
+  const dy = (random() - 0.5) * 2 * JITTER * face.height;
+  const y = face.y + face.height * 0.33 + dy;
+  const lensW = face.width * 0.34;
+  const lensH = face.height * 0.13;
+  const leftX = face.x + face.width * 0.12;
+  const rightX = face.x + face.width * 0.54;
+  const frame = face.width * 0.015;
+
+  return `
+    <rect x="${leftX}" y="${y}" width="${lensW}" height="${lensH}" rx="${lensH * 0.35}" fill="${color}" fill-opacity="${opacity}" stroke="${color}" stroke-width="${frame}"/>
+    <rect x="${rightX}" y="${y}" width="${lensW}" height="${lensH}" rx="${lensH * 0.35}" fill="${color}" fill-opacity="${opacity}" stroke="${color}" stroke-width="${frame}"/>
+    <line x1="${leftX + lensW}" y1="${y + lensH * 0.35}" x2="${rightX}" y2="${y + lensH * 0.35}" stroke="${color}" stroke-width="${frame}"/>`;
+}
+
+// a hand, phone or hair across a random part of the face
+function patchSvg(face, random, { color }) {
+  const w = face.width * (0.25 + random() * 0.15);
+  const h = face.height * (0.25 + random() * 0.15);
+  const x = face.x + random() * (face.width - w);
+  const y = face.y + random() * (face.height - h);
+  const shade = Math.round(40 + random() * 120);
+  const fill = color ?? `rgb(${shade},${Math.round(shade * 0.85)},${Math.round(shade * 0.75)})`;
+
+  return `<rect x="${x}" y="${y}" width="${w}" height="${h}" rx="${Math.min(w, h) * 0.2}" fill="${fill}"/>`;
+}
+
+const shapeMap = {
+  mask: maskSvg,
+  glasses: glassesSvg,
+  patch: patchSvg,
+};
+
+/**
+ * Partial occlusion of the face: a surgical mask, dark glasses, or a
+ * random patch. `faceBox` (fractions of the image) says where the face is;
+ * the seed decides the jitter and the patch.
+ */
+export async function applyOcclusion(input, options = {}) {
+  const { type = "mask", faceBox = DEFAULT_FACE_BOX, seed = 1, ...style } = options;
+
+  const shape = shapeMap[type];
+  if (!shape) {
+    throw new Error(`Invalid occlusion type: ${type}`);
+  }
+
+  const meta = await sharp(input).metadata();
+  if (!meta.width || !meta.height) {
+    throw new Error("Could not read image dimensions.");
+  }
+
+  const face = {
+    x: faceBox.left * meta.width,
+    y: faceBox.top * meta.height,
+    width: faceBox.width * meta.width,
+    height: faceBox.height * meta.height,
+  };
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${meta.width}" height="${meta.height}">${shape(
+    face,
+    createRandom(seed),
+    style
+  )}</svg>`;
+
+  return await sharp(input)
+    .composite([{ input: Buffer.from(svg), top: 0, left: 0 }])
+    .jpeg({ quality: 90 })
+    .toBuffer();
+}
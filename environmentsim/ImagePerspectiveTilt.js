@@ -1,44 +1,202 @@
 import sharp from "sharp";
 
+const MAX_ANGLE = 45;
+
+// focal length as a multiple of the larger image side: ~50 mm on full frame
+const DEFAULT_FOCAL = 1.2;
+
+// warped at most this wide; faces don't need more and the warp is per-pixel JS
+const WORK_WIDTH = 1280;
+
 function clampAngle(angleDegrees) {
-  return Math.max(0, Math.min(20, Number(angleDegrees) || 0));
+  return Math.max(-MAX_ANGLE, Math.min(MAX_ANGLE, Number(angleDegrees) || 0));
+}
+
+/**
+ * Homography (centred pixel coordinates) of the photo's plane turned by `yaw`
+ * about the vertical axis, then `pitch` about the horizontal one, seen by a
+ * pinhole camera at `f` pixels. The centre stays put at scale 1.
+ * Positive yaw moves the right edge away, positive pitch the top edge.
+ */
+function tiltHomography(yawDegrees, pitchDegrees, f) {
+  const a = (yawDegrees * Math.PI) / 180;
+  const b = (pitchDegrees * Math.PI) / 180;
+  return [
+    [f * Math.cos(a), 0, 0],
+    [f * Math.sin(a) * Math.sin(b), f * Math.cos(b), 0],
+    [Math.sin(a) * Math.cos(b), -Math.sin(b), f],
+  ];
 }
 
-function angleToShear(angleDegrees) {
-  const radians = (clampAngle(angleDegrees) * Math.PI) / 180;
-  return Math.tan(radians) * 0.35;
+function invert3(m) {
+  const [[a, b, c], [d, e, f], [g, h, i]] = m;
+  const A = e * i - f * h;
+  const B = -(d * i - f * g);
+  const C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+  if (Math.abs(det) < 1e-12) throw new Error("Tilt is not invertible.");
+  return [
+    [A / det, -(b * i - c * h) / det, (b * f - c * e) / det],
+    [B / det, (a * i - c * g) / det, -(a * f - c * d) / det],
+    [C / det, -(a * h - b * g) / det, (a * e - b * d) / det],
+  ];
 }
 
+function project(m, x, y) {
+  const w = m[2][0] * x + m[2][1] * y + m[2][2];
+  return [(m[0][0] * x + m[0][1] * y + m[0][2]) / w, (m[1][0] * x + m[1][1] * y + m[1][2]) / w];
+}
+
+// "edge" | "mirror" | "black" | "#rrggbb" | { r, g, b }
+function parseFill(fill) {
+  if (fill === "edge" || fill === "mirror") return { mode: fill };
+  if (fill === "black") return { mode: "color", color: [0, 0, 0] };
+  if (typeof fill === "string" && /^#[0-9a-f]{6}$/i.test(fill)) {
+    const n = parseInt(fill.slice(1), 16);
+    return { mode: "color", color: [(n >> 16) & 255, (n >> 8) & 255, n & 255] };
+  }
+  if (fill && typeof fill === "object") {
+    return { mode: "color", color: [fill.r ?? 0, fill.g ?? 0, fill.b ?? 0] };
+  }
+  throw new Error(`Invalid fill: ${JSON.stringify(fill)}`);
+}
+
+function reflect(i, n) {
+  const period = 2 * n;
+  const m = ((i % period) + period) % period;
+  return m < n ? m : period - 1 - m;
+}
+
+/**
+ * Largest axis-aligned box inside the warped photo (a convex quad) and the
+ * frame, so no fill shows. Null when nothing is left.
+ */
+function innerBox(corners, width, height) {
+  const [tl, tr, br, bl] = corners;
+  const left = Math.ceil(Math.max(tl[0], bl[0], 0));
+  const right = Math.floor(Math.min(tr[0], br[0], width));
+  const top = Math.ceil(Math.max(tl[1], tr[1], 0));
+  const bottom = Math.floor(Math.min(bl[1], br[1], height));
+  if (right - left < 2 || bottom - top < 2) return null;
+  return { left, top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Perspective warp of a head turned away from the camera: the photo's plane
+ * is rotated by `yaw` and `pitch` degrees and re-projected. With
+ * crop "inner" the result is cut to the part the photo still covers;
+ * with crop "none" it keeps the frame and `fill` paints what's uncovered.
+ */
+export async function applyPerspectiveWarp(input, options = {}) {
+  const {
+    yaw = 0,
+    pitch = 0,
+    fill = "edge",
+    crop = "inner",
+    focal = DEFAULT_FOCAL,
+    width: workWidth = WORK_WIDTH,
+    quality = 90,
+  } = options;
+
+  if (crop !== "inner" && crop !== "none") {
+    throw new Error(`Invalid crop: ${crop}`);
+  }
+  const fillMode = parseFill(fill);
+
+  const { data, info } = await sharp(input)
+    .resize({ width: workWidth, withoutEnlargement: true })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const w = info.width;
+  const h = info.height;
+  const cx = w / 2;
+  const cy = h / 2;
+  const H = tiltHomography(clampAngle(yaw), clampAngle(pitch), focal * Math.max(w, h));
+  const inv = invert3(H);
+
+  const out = Buffer.alloc(w * h * 3);
+  const [c0, c1, c2] = fillMode.color ?? [0, 0, 0];
+  const index = fillMode.mode === "mirror" ? reflect : (i, n) => Math.max(0, Math.min(n - 1, i));
+
+  for (let v = 0; v < h; v++) {
+    const yc = v + 0.5 - cy;
+    for (let u = 0; u < w; u++) {
+      const xc = u + 0.5 - cx;
+      const wz = inv[2][0] * xc + inv[2][1] * yc + inv[2][2];
+      const sx = (inv[0][0] * xc + inv[0][1] * yc + inv[0][2]) / wz + cx - 0.5;
+      const sy = (inv[1][0] * xc + inv[1][1] * yc + inv[1][2]) / wz + cy - 0.5;
+      const o = (v * w + u) * 3;
+
+      const outside = wz <= 0 || sx < 0 || sy < 0 || sx > w - 1 || sy > h - 1;
+      if (outside && fillMode.mode === "color") {
+        out[o] = c0;
+        out[o + 1] = c1;
+        out[o + 2] = c2;
+        continue;
+      }
+
+      // bilinear sample; edge clamps, mirror reflects
+      const x0f = Math.floor(sx);
+      const y0f = Math.floor(sy);
+      const fx = sx - x0f;
+      const fy = sy - y0f;
+      const x0 = index(x0f, w);
+      const x1 = index(x0f + 1, w);
+      const y0 = index(y0f, h);
+      const y1 = index(y0f + 1, h);
+
+      for (let c = 0; c < 3; c++) {
+        const top = data[(y0 * w + x0) * 3 + c] * (1 - fx) + data[(y0 * w + x1) * 3 + c] * fx;
+        const bottom = data[(y1 * w + x0) * 3 + c] * (1 - fx) + data[(y1 * w + x1) * 3 + c] * fx;
+        out[o + c] = Math.round(top * (1 - fy) + bottom * fy);
+      }
+    }
+  }
+
+  let pipeline = sharp(out, { raw: { width: w, height: h, channels: 3 } });
+
+  if (crop === "inner") {
+    const corners = [
+      [0, 0],
+      [w, 0],
+      [w, h],
+      [0, h],
+    ].map(([x, y]) => {
+      const [px, py] = project(H, x - cx, y - cy);
+      return [px + cx, py + cy];
+    });
+    const box = innerBox(corners, w, h);
+    if (!box) throw new Error("Tilt leaves nothing of the photo to crop.");
+    pipeline = pipeline.extract(box);
+  }
+
+  return await pipeline.jpeg({ quality, chromaSubsampling: "4:2:0" }).toBuffer();
+}
+
+/**
+ * A head turned `angleDegrees` to one side: "left"/"right" are yaw,
+ * "up"/"down" pitch. `options` as for applyPerspectiveWarp.
+ */
 export async function applyPerspectiveTilt(
   input,
   angleDegrees = 10,
-  direction = "right"
+  direction = "right",
+  options = {}
 ) {
-  const shear = angleToShear(angleDegrees);
+  const angle = Math.abs(clampAngle(angleDegrees));
 
-  let matrix;
   switch (direction) {
     case "left":
-      matrix = [[1, -shear], [0, 1]];
-      break;
+      return applyPerspectiveWarp(input, { ...options, yaw: -angle });
     case "right":
-      matrix = [[1, shear], [0, 1]];
-      break;
+      return applyPerspectiveWarp(input, { ...options, yaw: angle });
     case "up":
-      matrix = [[1, 0], [-shear, 1]];
-      break;
+      return applyPerspectiveWarp(input, { ...options, pitch: angle });
     case "down":
-      matrix = [[1, 0], [shear, 1]];
-      break;
+      return applyPerspectiveWarp(input, { ...options, pitch: -angle });
     default:
       throw new Error(`Invalid direction: ${direction}`);
   }
-
-  return await sharp(input)
-    .affine(matrix, {
-      background: { r: 0, g: 0, b: 0 },
-      interpolator: sharp.interpolators.bilinear,
-    })
-    .jpeg({ quality: 70, chromaSubsampling: "4:2:0" })
-    .toBuffer();
-}
\ No newline at end of file
+}
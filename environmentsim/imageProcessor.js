@@ -1,104 +1,86 @@
-import { ImageBlurProcessor } from "./ImageBlurProcessor.js";
-import { ImageLightingProcessor } from "./ImageLightingProcessor.js";
 import { mkdir, writeFile } from "node:fs/promises";
 import path from "node:path";
-import { applySharpen } from "./ImageSharpen.js";
-import { applyPerspectiveTilt } from "./ImagePerspectiveTilt.js";
-import { applyLowBudgetCamera } from "./ImagePixelate.js";
-
+import { createRandom, seedFrom } from "../server/random.js";
+import { BUILTIN_PROFILES, DEFAULT_PROFILE, resolveParams } from "./profiles.js";
+import { SEEDED_TRANSFORMS, TRANSFORMS } from "./transforms.js";
+
+export const MANIFEST_FILE = "variants.json";
+
+/**
+ * Generates the augmented variants of one uploaded photo, as described by an
+ * augmentation profile (see profiles.js).
+ *
+ * Alongside the images, `<outputRoot>/<base>/variants.json` records the
+ * transform chain (with resolved params, seeds included) that produced each
+ * file. The same profile gives the same images for the same input.
+ *
+ * A variant whose transform throws is logged, listed under `failed` in the
+ * manifest and skipped; the other variants are still generated.
+ *
+ * @param {string} inputPath - uploaded photo
+ * @param {string} [outputRoot] - variants go to <outputRoot>/<base name>/
+ * @param {Object} [profile] - a profile from loadProfiles (default: "standard")
+ * @returns {Promise<string[]>} paths of the generated files
+ */
 export async function generateStudentVariants(
   inputPath,
-  outputRoot = "./uploads/processed"
+  outputRoot = "./uploads/processed",
+  profile = { name: DEFAULT_PROFILE, ...BUILTIN_PROFILES[DEFAULT_PROFILE] }
 ) {
-  const processor = new ImageBlurProcessor();
-  const lightingProcessor = new ImageLightingProcessor();
-
   const baseName = path.parse(inputPath).name;
   const outputDir = path.join(outputRoot, baseName);
 
   await mkdir(outputDir, { recursive: true });
 
   const generatedPaths = [];
-
-  const save = async (filename, data) => {
-    const out = path.join(outputDir, filename);
-    await writeFile(out, data);
-    generatedPaths.push(out);
-  };
-
-  console.log("start blur");
-  for (let i = 1; i <= 5; i++) {
-    const blurredImageBuffer = await processor.gaussianBlur(inputPath, 1.1 * i);
-    await save(`${baseName}_blurred${i}.jpg`, blurredImageBuffer);
-  }
-  console.log("done blur");
-
-  console.log("start lighting");
-  for (let i = 1; i <= 10; i++) {
-    const lit = await lightingProcessor.applyLighting(inputPath, i);
-    await save(`${baseName}_lighting${i}.jpg`, lit);
-  }
-  console.log("done lighting");
-
-  console.log("start sharpen");
-  for (let i = 1; i <= 5; i++) {
-    const blurredImageBuffer = await processor.gaussianBlur(inputPath, 1);
-    const sharpened = await applySharpen(blurredImageBuffer, "medium");
-    await save(`${baseName}_sharpened${i}.jpg`, sharpened);
-  }
-  console.log("done sharpen");
-
-  // console.log("start tilt");
-  // for (let i = 1; i <= 5; i++) {
-  //   const blurredImageBuffer = await processor.gaussianBlur(inputPath, 1);
-
-  //   const finaloutputleft = await applyPerspectiveTilt(blurredImageBuffer, 5 * i, "left");
-  //   await save(`${baseName}_lefttilt${i}.jpg`, finaloutputleft);
-
-  //   const finaloutputright = await applyPerspectiveTilt(blurredImageBuffer, 5 * i, "right");
-  //   await save(`${baseName}_righttilt${i}.jpg`, finaloutputright);
-
-  //   const finaloutputup = await applyPerspectiveTilt(blurredImageBuffer, 5 * i, "up");
-  //   await save(`${baseName}_uptilt${i}.jpg`, finaloutputup);
-
-  //   const finaloutputdown = await applyPerspectiveTilt(blurredImageBuffer, 5 * i, "down");
-  //   await save(`${baseName}_downtilt${i}.jpg`, finaloutputdown);
-  // }
-  // console.log("done tilt");
-
-  console.log("start pixelate");
-  for (let i = 1; i <= 20; i++) {
-    const pixelated = await applyLowBudgetCamera(inputPath, {
-      scale: 0.012 * i,
-      blurSigma: 0.4,
-      jpegQuality: 35,
-      sharpenSigma: 0.8,
-    });
-
-    await save(`${baseName}_pixelated${i}.jpg`, pixelated);
+  const variants = [];
+  const failed = [];
+
+  for (const step of profile.steps) {
+    console.log(`start ${step.name}`);
+    const random = createRandom(seedFrom(profile.seed ?? 1, step.name));
+    for (let i = 0; i < step.count; i++) {
+      const chain = step.chain.map((link) => {
+        const params = resolveParams(link.params, i, step.count, random);
+        if (SEEDED_TRANSFORMS.has(link.transform) && params.seed === undefined) {
+          params.seed = Math.floor(random() * 4294967296);
+        }
+        return { transform: link.transform, params };
+      });
+
+      const file = `${baseName}_${step.name}${i + 1}.jpg`;
+      try {
+        let image = inputPath;
+        for (const { transform, params } of chain) {
+          image = await TRANSFORMS[transform](image, params);
+        }
+
+        const out = path.join(outputDir, file);
+        await writeFile(out, image);
+        generatedPaths.push(out);
+        variants.push({ file, step: step.name, chain });
+      } catch (err) {
+        console.error(`variant ${file} failed:`, err.message);
+        failed.push({ file, step: step.name, chain, error: err.message });
+      }
+    }
+    console.log(`done ${step.name}`);
   }
-  console.log("done pixelate");
-
-  // try {
-  // for (let i = 1; i <= 5; i++) {
-  //   const blurredImageBuffer = await processor.gaussianBlur(inputPath, 1);
-
-  //   await save(`${baseName}_lefttilt${i}.jpg`,
-  //     await applyPerspectiveTilt(blurredImageBuffer, 5 * i, "left"));
-
-  //   await save(`${baseName}_righttilt${i}.jpg`,
-  //     await applyPerspectiveTilt(blurredImageBuffer, 5 * i, "right"));
-
-  //   await save(`${baseName}_uptilt${i}.jpg`,
-  //     await applyPerspectiveTilt(blurredImageBuffer, 5 * i, "up"));
 
-  //   await save(`${baseName}_downtilt${i}.jpg`,
-  //     await applyPerspectiveTilt(blurredImageBuffer, 5 * i, "down"));
-  //   }
-  // } 
-  // catch (err) {
-  //   console.error("tilt failed:", err);
-  // }
+  await writeFile(
+    path.join(outputDir, MANIFEST_FILE),
+    JSON.stringify(
+      {
+        source: path.basename(inputPath),
+        profile: profile.name,
+        createdAt: new Date().toISOString(),
+        variants,
+        failed,
+      },
+      null,
+      2
+    )
+  );
 
   return generatedPaths;
-}
\ No newline at end of file
+}
@@ -0,0 +1,299 @@
+import { readFile } from "node:fs/promises";
+import { TRANSFORMS } from "./transforms.js";
+
+/**
+ * Augmentation profiles for generateStudentVariants.
+ *
+ * A profile is a list of steps. Each step makes `count` variants named
+ * `<base>_<name><n>.jpg` by running its `chain` of transforms in order, each
+ * on the previous one's output. A transform param is either:
+ *   - a constant:          { "level": "medium" }
+ *   - a range:             { "sigma": { "from": 1.1, "to": 5.5 } }   evenly spaced over count,
+ *                          add "integer": true to round, "random": true to draw
+ *                          uniformly instead
+ *   - a list:              { "direction": ["left", "right"] }        taken in turn
+ *
+ * Random draws (random ranges, and the `seed` each use of a SEEDED_TRANSFORMS
+ * transform gets unless the params set one) come from a PRNG seeded with the
+ * profile's `seed` (default 1) and the step name, so the same profile always
+ * produces the same images.
+ *
+ * Every variant becomes a reference descriptor of the student. An occluded
+ * face (mask, glasses, a patch) as a reference lets anyone who covers the same
+ * part of their face get closer to it, so the built-in profiles don't use the
+ * `occlusion` transform, and a profile that does must say so with
+ * `"allowOcclusion": true`.
+ *
+ * More profiles (or replacements for these) can be loaded from a JSON file
+ * with the same shape, see loadProfiles.
+ */
+
+export const DEFAULT_PROFILE = "standard";
+
+const STANDARD_STEPS = [
+  {
+    name: "blurred",
+    count: 5,
+    chain: [{ transform: "blur", params: { sigma: { from: 1.1, to: 5.5 } } }],
+  },
+  {
+    name: "lighting",
+    count: 10,
+    chain: [{ transform: "lighting", params: { level: { from: 1, to: 10, integer: true } } }],
+  },
+  {
+    name: "sharpened",
+    count: 5,
+    chain: [
+      { transform: "blur", params: { sigma: { from: 0.8, to: 1.6 } } },
+      { transform: "sharpen", params: { level: "medium" } },
+    ],
+  },
+  {
+    name: "lefttilt",
+    count: 5,
+    chain: [
+      { transform: "blur", params: { sigma: 1 } },
+      { transform: "tilt", params: { direction: "left", angle: { from: 5, to: 25 } } },
+    ],
+  },
+  {
+    name: "righttilt",
+    count: 5,
+    chain: [
+      { transform: "blur", params: { sigma: 1 } },
+      { transform: "tilt", params: { direction: "right", angle: { from: 5, to: 25 } } },
+    ],
+  },
+  {
+    name: "uptilt",
+    count: 5,
+    chain: [
+      { transform: "blur", params: { sigma: 1 } },
+      { transform: "tilt", params: { direction: "up", angle: { from: 5, to: 25 } } },
+    ],
+  },
+  {
+    name: "downtilt",
+    count: 5,
+    chain: [
+      { transform: "blur", params: { sigma: 1 } },
+      { transform: "tilt", params: { direction: "down", angle: { from: 5, to: 25 } } },
+    ],
+  },
+  {
+    name: "pixelated",
+    count: 20,
+    chain: [
+      {
+        transform: "pixelate",
+        params: {
+          scale: { from: 0.012, to: 0.24 },
+          blurSigma: 0.4,
+          jpegQuality: 35,
+          sharpenSigma: 0.8,
+        },
+      },
+    ],
+  },
+];
+
+export const BUILTIN_PROFILES = {
+  // 60 variants per photo
+  standard: {
+    description: "Blur, lighting, sharpen, head-turn and low-budget camera variants",
+    steps: STANDARD_STEPS,
+  },
+
+  // 73 variants per photo: standard plus the kiosk conditions it misses
+  extended: {
+    description: "Standard plus sensor noise, motion blur, colour casts and re-compression",
+    steps: [
+      ...STANDARD_STEPS,
+      {
+        name: "noisy",
+        count: 3,
+        chain: [{ transform: "noise", params: { sigma: { from: 6, to: 18 } } }],
+      },
+      {
+        name: "dimnoisy",
+        count: 2,
+        chain: [
+          { transform: "lighting", params: { level: 4 } },
+          { transform: "noise", params: { sigma: { from: 10, to: 16 } } },
+        ],
+      },
+      {
+        name: "motion",
+        count: 4,
+        chain: [
+          {
+            transform: "motionBlur",
+            params: { length: { from: 5, to: 15, integer: true }, angle: [0, 90, 30, 150] },
+          },
+        ],
+      },
+      {
+        name: "fluorescent",
+        count: 2,
+        chain: [{ transform: "colorCast", params: { tint: ["green", "blue"], strength: 0.6 } }],
+      },
+      {
+        name: "recompressed",
+        count: 2,
+        chain: [
+          { transform: "recompress", params: { quality: { from: 35, to: 15, integer: true }, passes: 2 } },
+        ],
+      },
+    ],
+  },
+
+  // 15 variants per photo, for slower hardware or large enrollments
+  compact: {
+    description: "A few variants of each kind",
+    steps: [
+      {
+        name: "blurred",
+        count: 2,
+        chain: [{ transform: "blur", params: { sigma: { from: 1.5, to: 3.5 } } }],
+      },
+      {
+        name: "lighting",
+        count: 4,
+        chain: [{ transform: "lighting", params: { level: { from: 3, to: 9, integer: true } } }],
+      },
+      {
+        name: "sharpened",
+        count: 1,
+        chain: [
+          { transform: "blur", params: { sigma: 1 } },
+          { transform: "sharpen", params: { level: "medium" } },
+        ],
+      },
+      {
+        name: "turned",
+        count: 4,
+        chain: [
+          { transform: "tilt", params: { direction: ["left", "right", "up", "down"], angle: 15 } },
+        ],
+      },
+      {
+        name: "pixelated",
+        count: 4,
+        chain: [
+          {
+            transform: "pixelate",
+            params: {
+              scale: { from: 0.04, to: 0.16 },
+              blurSigma: 0.4,
+              jpegQuality: 35,
+              sharpenSigma: 0.8,
+            },
+          },
+        ],
+      },
+    ],
+  },
+
+  // the uploaded photos only
+  none: {
+    description: "No generated variants",
+    steps: [],
+  },
+};
+
+// any other object (e.g. occlusion's faceBox) is a constant
+const isRange = (p) => p !== null && typeof p === "object" && !Array.isArray(p) && "from" in p;
+
+function validateProfile(name, profile) {
+  const where = `augmentation profile "${name}"`;
+  if (!profile || !Array.isArray(profile.steps)) {
+    throw new Error(`${where}: "steps" must be an array`);
+  }
+  if (profile.seed !== undefined && !Number.isInteger(profile.seed)) {
+    throw new Error(`${where}: "seed" must be an integer`);
+  }
+  if (profile.allowOcclusion !== undefined && typeof profile.allowOcclusion !== "boolean") {
+    throw new Error(`${where}: "allowOcclusion" must be true or false`);
+  }
+  const names = new Set();
+  for (const step of profile.steps) {
+    if (!/^[a-z0-9-]+$/i.test(step?.name ?? "")) {
+      throw new Error(`${where}: step names must be letters, digits or "-"`);
+    }
+    if (names.has(step.name)) throw new Error(`${where}: duplicate step "${step.name}"`);
+    names.add(step.name);
+    if (!Number.isInteger(step.count) || step.count < 1) {
+      throw new Error(`${where}: step "${step.name}" needs a positive integer count`);
+    }
+    if (!Array.isArray(step.chain) || !step.chain.length) {
+      throw new Error(`${where}: step "${step.name}" needs a non-empty chain`);
+    }
+    for (const link of step.chain) {
+      if (!TRANSFORMS[link?.transform]) {
+        throw new Error(
+          `${where}: unknown transform "${link?.transform}" (known: ${Object.keys(TRANSFORMS).join(", ")})`
+        );
+      }
+      if (link.transform === "occlusion" && profile.allowOcclusion !== true) {
+        throw new Error(
+          `${where}: step "${step.name}" adds occluded faces to the reference descriptors; set "allowOcclusion": true to allow it`
+        );
+      }
+      for (const [key, p] of Object.entries(link.params ?? {})) {
+        if (isRange(p) && !(Number.isFinite(p.from) && Number.isFinite(p.to))) {
+          throw new Error(`${where}: param "${key}" of "${link.transform}" needs numeric from/to`);
+        }
+        if (Array.isArray(p) && !p.length) {
+          throw new Error(`${where}: param "${key}" of "${link.transform}" is an empty list`);
+        }
+      }
+    }
+  }
+  return {
+    name,
+    description: String(profile.description ?? ""),
+    seed: profile.seed ?? 1,
+    allowOcclusion: profile.allowOcclusion === true,
+    steps: profile.steps,
+  };
+}
+
+/**
+ * Built-in profiles, plus those in `file` (JSON: { "<name>": profile }), which
+ * replace built-ins of the same name. Throws on an invalid profile.
+ * @param {string} [file]
+ * @returns {Promise<Object<string, Object>>} name -> { name, description, seed, allowOcclusion, steps }
+ */
+export async function loadProfiles(file) {
+  const custom = file ? JSON.parse(await readFile(file, "utf8")) : {};
+  const all = { ...BUILTIN_PROFILES, ...custom };
+  return Object.fromEntries(
+    Object.entries(all).map(([name, profile]) => [name, validateProfile(name, profile)])
+  );
+}
+
+/** variants a photo gets with this profile */
+export const variantCount = (profile) =>
+  profile.steps.reduce((sum, step) => sum + step.count, 0);
+
+/**
+ * Param values for variant `i` (0-based) of `count`.
+ * @param {() => number} random - the step's seeded PRNG, for random ranges
+ * @returns {Object} params with ranges and lists resolved
+ */
+export function resolveParams(params = {}, i, count, random) {
+  const out = {};
+  for (const [key, p] of Object.entries(params)) {
+    if (Array.isArray(p)) {
+      out[key] = p[i % p.length];
+    } else if (isRange(p)) {
+      const t = p.random ? random() : count > 1 ? i / (count - 1) : 0;
+      const value = p.from + (p.to - p.from) * t;
+      out[key] = p.integer ? Math.round(value) : Math.round(value * 1e6) / 1e6;
+    } else {
+      out[key] = p;
+    }
+  }
+  return out;
+}
@@ -0,0 +1,45 @@
+// environmentsim/profiles.test.js
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { describe, expect, it } from "vitest";
+
+// profiles.js loads the transforms, which need sharp's native build
+const sharp = await import("sharp").then((m) => m.default).catch(() => null);
+
+const occludedProfile = (extra = {}) => ({
+  masked: {
+    ...extra,
+    steps: [{ name: "masked", count: 1, chain: [{ transform: "occlusion", params: { type: "mask" } }] }],
+  },
+});
+
+const loadFrom = async (profiles) => {
+  const { loadProfiles } = await import("./profiles.js");
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "profiles-test-"));
+  const file = path.join(dir, "profiles.json");
+  fs.writeFileSync(file, JSON.stringify(profiles));
+  try {
+    return await loadProfiles(file);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+};
+
+describe.skipIf(!sharp)("augmentation profiles", () => {
+  it("keeps occlusion out of the built-in profiles", async () => {
+    const { BUILTIN_PROFILES } = await import("./profiles.js");
+    for (const [name, profile] of Object.entries(BUILTIN_PROFILES)) {
+      const transforms = profile.steps.flatMap((s) => s.chain.map((link) => link.transform));
+      expect(transforms, name).not.toContain("occlusion");
+    }
+  });
+
+  it("refuses an occlusion step unless the profile allows it", async () => {
+    await expect(loadFrom(occludedProfile())).rejects.toThrow(/allowOcclusion/);
+    await expect(loadFrom(occludedProfile({ allowOcclusion: "yes" }))).rejects.toThrow(/allowOcclusion/);
+    const profiles = await loadFrom(occludedProfile({ allowOcclusion: true }));
+    expect(profiles.masked.allowOcclusion).toBe(true);
+    expect(profiles.standard.allowOcclusion).toBe(false);
+  });
+});
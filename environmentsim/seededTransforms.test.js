@@ -0,0 +1,47 @@
+// environmentsim/seededTransforms.test.js
+import { beforeAll, describe, expect, it } from "vitest";
+
+// the transforms need sharp's native build; without it there is nothing to run
+const sharp = await import("sharp").then((m) => m.default).catch(() => null);
+
+describe.skipIf(!sharp)("seeded transforms", () => {
+  let applySensorNoise;
+  let applyOcclusion;
+  let input;
+
+  beforeAll(async () => {
+    ({ applySensorNoise } = await import("./ImageNoise.js"));
+    ({ applyOcclusion } = await import("./ImageOcclusion.js"));
+    input = await sharp({
+      create: { width: 240, height: 240, channels: 3, background: { r: 180, g: 150, b: 130 } },
+    })
+      .jpeg({ quality: 90 })
+      .toBuffer();
+  });
+
+  it("gives byte-identical noise for the same seed", async () => {
+    const a = await applySensorNoise(input, { seed: 7 });
+    const b = await applySensorNoise(input, { seed: 7 });
+    expect(Buffer.compare(a, b)).toBe(0);
+  });
+
+  it("gives different noise for a different seed", async () => {
+    const a = await applySensorNoise(input, { seed: 7 });
+    const b = await applySensorNoise(input, { seed: 8 });
+    expect(a.equals(b)).toBe(false);
+  });
+
+  for (const type of ["mask", "glasses", "patch"]) {
+    it(`gives a byte-identical ${type} for the same seed`, async () => {
+      const a = await applyOcclusion(input, { type, seed: 7 });
+      const b = await applyOcclusion(input, { type, seed: 7 });
+      expect(Buffer.compare(a, b)).toBe(0);
+    });
+
+    it(`moves the ${type} with a different seed`, async () => {
+      const a = await applyOcclusion(input, { type, seed: 7 });
+      const b = await applyOcclusion(input, { type, seed: 8 });
+      expect(a.equals(b)).toBe(false);
+    });
+  }
+});
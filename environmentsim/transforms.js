@@ -0,0 +1,33 @@
+import { ImageBlurProcessor } from "./ImageBlurProcessor.js";
+import { ImageLightingProcessor } from "./ImageLightingProcessor.js";
+import { applySharpen } from "./ImageSharpen.js";
+import { applyPerspectiveTilt, applyPerspectiveWarp } from "./ImagePerspectiveTilt.js";
+import { applyLowBudgetCamera } from "./ImagePixelate.js";
+import { applySensorNoise } from "./ImageNoise.js";
+import { applyMotionBlur } from "./ImageMotionBlur.js";
+import { applyColorCast } from "./ImageColorCast.js";
+import { applyOcclusion } from "./ImageOcclusion.js";
+import { applyJpegRecompression } from "./ImageJpegRecompress.js";
+
+const blurProcessor = new ImageBlurProcessor();
+const lightingProcessor = new ImageLightingProcessor();
+
+// Transforms a profile step can chain, by name.
+// Each takes an image (file path or Buffer) and its params, and returns a Buffer.
+export const TRANSFORMS = {
+  blur: (input, { sigma = 1 }) => blurProcessor.gaussianBlur(input, sigma),
+  lighting: (input, { level }) => lightingProcessor.applyLighting(input, level),
+  sharpen: (input, { level = "medium" }) => applySharpen(input, level),
+  tilt: (input, { angle = 10, direction = "right", ...options }) =>
+    applyPerspectiveTilt(input, angle, direction, options),
+  perspective: (input, params) => applyPerspectiveWarp(input, params),
+  pixelate: (input, params) => applyLowBudgetCamera(input, params),
+  noise: (input, params) => applySensorNoise(input, params),
+  motionBlur: (input, params) => applyMotionBlur(input, params),
+  colorCast: (input, params) => applyColorCast(input, params),
+  occlusion: (input, params) => applyOcclusion(input, params),
+  recompress: (input, params) => applyJpegRecompression(input, params),
+};
+
+// Transforms that draw random numbers; the pipeline gives each use its own `seed`.
+export const SEEDED_TRANSFORMS = new Set(["noise", "occlusion"]);
@@ -35,4 +35,10 @@ export default [
       ],
     },
   },
+  {
+    files: ['backend.js', 'server/**/*.js', 'environmentsim/**/*.js', 'download-models.js', 'vite.config.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
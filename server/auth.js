@@ -0,0 +1,137 @@
+// server/auth.js
+import crypto from 'crypto';
+import { HttpError } from './errors.js';
+
+/**
+ * Operator authentication.
+ *
+ * Passwords are stored as scrypt hashes. A successful login returns a signed
+ * token (HMAC-SHA256 over { sub, exp }) which is also set as an HttpOnly
+ * cookie, so <img src="/uploads/..."> requests are authenticated too.
+ * API clients can send it as "Authorization: Bearer <token>" instead.
+ */
+
+export const ROLES = ['admin', 'registrar', 'kiosk'];
+
+export const SESSION_COOKIE = 'session';
+const TOKEN_TTL_MS = 12 * 60 * 60 * 1000; // 12h, one school day
+
+const SCRYPT_KEYLEN = 64;
+
+const scrypt = (password, salt) =>
+  new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (err, key) => (err ? reject(err) : resolve(key)));
+  });
+
+// "scrypt$<salt b64>$<hash b64>"
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+};
+
+export const verifyPassword = async (password, stored) => {
+  const [scheme, saltB64, hashB64] = String(stored ?? '').split('$');
+  if (scheme !== 'scrypt' || !saltB64 || !hashB64) return false;
+  const expected = Buffer.from(hashB64, 'base64');
+  const actual = await scrypt(String(password), Buffer.from(saltB64, 'base64'));
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+const b64url = (buf) => Buffer.from(buf).toString('base64url');
+
+const parseCookies = (header) => {
+  const out = {};
+  for (const part of String(header ?? '').split(';')) {
+    const i = part.indexOf('=');
+    if (i < 0) continue;
+    out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return out;
+};
+
+// operator record without the password hash
+export const publicOperator = ({ username, role, createdAt, updatedAt }) => ({
+  username,
+  role,
+  createdAt,
+  ...(updatedAt ? { updatedAt } : {}),
+});
+
+/**
+ * @param {Object} deps
+ * @param {Object} deps.db - storage repository (getOperator)
+ * @param {string} [deps.secret] - token signing key (AUTH_SECRET)
+ */
+export const createAuth = ({ db, secret }) => {
+  if (!secret) {
+    console.warn('auth: AUTH_SECRET is not set; using a random key (sessions end on restart)');
+  }
+  const key = secret || crypto.randomBytes(32).toString('hex');
+
+  const sign = (payload) => b64url(crypto.createHmac('sha256', key).update(payload).digest());
+
+  const issueToken = (username) => {
+    const exp = Date.now() + TOKEN_TTL_MS;
+    const payload = b64url(JSON.stringify({ sub: username, exp }));
+    return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(exp).toISOString() };
+  };
+
+  const verifyToken = (token) => {
+    const [payload, sig] = String(token ?? '').split('.');
+    if (!payload || !sig) return null;
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(sig);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+    try {
+      const { sub, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+      if (!sub || !Number.isFinite(exp) || exp < Date.now()) return null;
+      return sub;
+    } catch {
+      return null;
+    }
+  };
+
+  const tokenFrom = (req) => {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) return header.slice(7).trim();
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+  };
+
+  /** Attaches req.operator ({ username, role }) when a valid token is present. */
+  const authenticate = async (req, res, next) => {
+    try {
+      const username = verifyToken(tokenFrom(req));
+      if (username) {
+        // look the operator up every time so deleted accounts and role changes apply at once
+        const op = await db.getOperator(username);
+        if (op) req.operator = { username: op.username, role: op.role };
+      }
+      next();
+    } catch (e) {
+      next(e);
+    }
+  };
+
+  /** Route guard: 401 without a session, 403 when the role isn't listed. */
+  const requireRole = (...roles) => (req, res, next) => {
+    if (!req.operator) return next(new HttpError(401, 'Login required.'));
+    if (!roles.includes(req.operator.role)) return next(new HttpError(403, 'Not allowed for this role.'));
+    next();
+  };
+
+  const setSessionCookie = (res, token) => {
+    res.cookie(SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      maxAge: TOKEN_TTL_MS,
+    });
+  };
+
+  const clearSessionCookie = (res) => res.clearCookie(SESSION_COOKIE);
+
+  return { issueToken, verifyToken, authenticate, requireRole, setSessionCookie, clearSessionCookie };
+};
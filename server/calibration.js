@@ -0,0 +1,282 @@
+// server/calibration.js
+
+/**
+ * Threshold calibration from enrolled descriptors (uploaded photos and their
+ * generateStudentVariants outputs).
+ *
+ * Genuine distances compare descriptors of the same student, impostor
+ * distances descriptors of different students. The global threshold is the
+ * impostor distance quantile at the target false-accept rate; per-student
+ * thresholds widen it for students whose own photos vary more, but never past
+ * the point where their own sampled impostors would be accepted.
+ *
+ * Pairs are sampled (seeded, so reruns give the same result) once a gallery
+ * is too large to compare everything. A gallery too small to have 1/targetFar
+ * impostor pairs gets no suggestion at all.
+ */
+
+import { euclidean } from '../src/hooks/faceMatch.js';
+import { createRandom } from './random.js';
+
+// keep in sync with useFaceVerification
+export const DEFAULT_DISTANCE_THRESHOLD = 0.4;
+export const DEFAULT_REQUIRED_GOOD_FRAMES = 8;
+
+export const DEFAULT_TARGET_FAR = 0.001;
+
+const MAX_IMPOSTOR_PAIRS = 200000;
+const MAX_GENUINE_PAIRS_PER_STUDENT = 2000;
+const IMPOSTORS_PER_STUDENT = 1000;
+
+// never suggest thresholds outside this range, whatever the data says
+const MIN_THRESHOLD = 0.25;
+const MAX_THRESHOLD = 0.6;
+
+// genuine distances at this quantile set how far a student's threshold may widen
+const GENUINE_QUANTILE = 0.95;
+
+// a genuine batch of this many frames should pass with this probability
+const BATCH_FRAMES = DEFAULT_REQUIRED_GOOD_FRAMES;
+const GENUINE_BATCH_PASS = 0.99;
+
+const HISTOGRAM_BIN = 0.02;
+const HISTOGRAM_MAX = 1.5;
+
+const YIELD_EVERY = 20000; // distances computed between event loop turns
+
+const yieldToEventLoop = () => new Promise((resolve) => setImmediate(resolve));
+
+const round = (v) => (v === null || v === undefined ? null : Math.round(v * 10000) / 10000);
+const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
+
+const quantile = (sorted, q) => {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+};
+
+/**
+ * largest threshold accepting at most `far` of the sorted impostor distances
+ * (the hook accepts distance <= threshold)
+ */
+const thresholdAtFar = (sortedImpostors, far) => {
+  if (!sortedImpostors.length) return null;
+  const k = Math.floor(far * sortedImpostors.length);
+  if (k === 0) return sortedImpostors[0] - 1e-6;
+  return (sortedImpostors[k - 1] + sortedImpostors[k]) / 2;
+};
+
+// share of the sorted distances at or below t
+const rateAtOrBelow = (sorted, t) => {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] <= t) lo = mid + 1;
+    else hi = mid;
+  }
+  return sorted.length ? lo / sorted.length : null;
+};
+
+const histogram = (values) => {
+  const bins = new Array(Math.ceil(HISTOGRAM_MAX / HISTOGRAM_BIN)).fill(0);
+  for (const v of values) bins[Math.min(bins.length - 1, Math.floor(v / HISTOGRAM_BIN))]++;
+  return { bin: HISTOGRAM_BIN, counts: bins };
+};
+
+// P(X >= k) for X ~ Binomial(n, p)
+const binomialAtLeast = (n, p, k) => {
+  let total = 0;
+  let coeff = 1;
+  for (let i = 0; i <= n; i++) {
+    if (i > 0) coeff = (coeff * (n - i + 1)) / i;
+    if (i >= k) total += coeff * p ** i * (1 - p) ** (n - i);
+  }
+  return total;
+};
+
+/**
+ * most good frames a batch can require while a genuine user, whose frames are
+ * each accepted with probability `p`, still passes GENUINE_BATCH_PASS of the
+ * time. never more than the default and never under half the batch: the
+ * median check already needs half.
+ */
+const requiredGoodFramesFor = (p) => {
+  const min = Math.ceil(BATCH_FRAMES / 2);
+  for (let k = BATCH_FRAMES; k > min; k--) {
+    if (binomialAtLeast(BATCH_FRAMES, p, k) >= GENUINE_BATCH_PASS) return k;
+  }
+  return min;
+};
+
+/**
+ * @param {{ [id: string]: Float32Array[] }} descriptorsById - storage.listDescriptors()
+ * @param {Object} [opts]
+ * @param {number} [opts.targetFar=0.001] - false-accept rate the global threshold aims for
+ * @param {boolean} [opts.perStudent=true] - also suggest per-student thresholds
+ * @param {number} [opts.seed=1] - pair sampling seed
+ * @returns {Promise<Object>} calibration: { createdAt, targetFar, threshold, requiredGoodFrames,
+ *   far, frr, atDefault, genuine, impostor, students }; threshold is null when the
+ *   gallery is too small
+ */
+export const calibrate = async (
+  descriptorsById,
+  { targetFar = DEFAULT_TARGET_FAR, perStudent = true, seed = 1 } = {}
+) => {
+  if (!(targetFar > 0 && targetFar < 1)) throw new Error('targetFar must be between 0 and 1.');
+
+  const random = createRandom(seed);
+  const pick = (n) => Math.floor(random() * n);
+
+  const students = Object.entries(descriptorsById).filter(([, ds]) => ds.length);
+  const flat = []; // [studentIndex, descriptor]
+  students.forEach(([, ds], s) => ds.forEach((d) => flat.push([s, d])));
+
+  let work = 0;
+  const tick = async () => {
+    if (++work % YIELD_EVERY === 0) await yieldToEventLoop();
+  };
+
+  // genuine: every pair of a student's descriptors, sampled above the cap
+  const genuine = [];
+  const genuineByStudent = students.map(() => []);
+  for (let s = 0; s < students.length; s++) {
+    const ds = students[s][1];
+    const pairs = (ds.length * (ds.length - 1)) / 2;
+    const add = async (i, j) => {
+      const d = euclidean(ds[i], ds[j]);
+      genuine.push(d);
+      genuineByStudent[s].push(d);
+      await tick();
+    };
+    if (pairs <= MAX_GENUINE_PAIRS_PER_STUDENT) {
+      for (let i = 0; i < ds.length; i++) for (let j = i + 1; j < ds.length; j++) await add(i, j);
+    } else {
+      for (let n = 0; n < MAX_GENUINE_PAIRS_PER_STUDENT; n++) {
+        const i = pick(ds.length);
+        const j = (i + 1 + pick(ds.length - 1)) % ds.length;
+        await add(i, j);
+      }
+    }
+  }
+
+  // impostor: pairs of descriptors from different students, sampled above the cap
+  const impostor = [];
+  const sameStudentPairs = students.reduce((sum, [, ds]) => sum + (ds.length * (ds.length - 1)) / 2, 0);
+  const impostorPairs = (flat.length * (flat.length - 1)) / 2 - sameStudentPairs;
+  if (impostorPairs <= MAX_IMPOSTOR_PAIRS) {
+    for (let i = 0; i < flat.length; i++) {
+      for (let j = i + 1; j < flat.length; j++) {
+        if (flat[i][0] === flat[j][0]) continue;
+        impostor.push(euclidean(flat[i][1], flat[j][1]));
+        await tick();
+      }
+    }
+  } else {
+    while (impostor.length < MAX_IMPOSTOR_PAIRS) {
+      const a = flat[pick(flat.length)];
+      const b = flat[pick(flat.length)];
+      if (a[0] === b[0]) continue;
+      impostor.push(euclidean(a[1], b[1]));
+      await tick();
+    }
+  }
+
+  const byValue = (a, b) => a - b;
+  genuine.sort(byValue);
+  impostor.sort(byValue);
+
+  // too few impostor pairs to see one false accept in 1/targetFar: no suggestion,
+  // the kiosk keeps its defaults
+  const resolvable = impostor.length * targetFar >= 1;
+  const threshold = resolvable ? clamp(thresholdAtFar(impostor, targetFar), MIN_THRESHOLD, MAX_THRESHOLD) : null;
+  const acceptRate = threshold === null ? null : rateAtOrBelow(genuine, threshold);
+
+  const result = {
+    createdAt: new Date().toISOString(),
+    targetFar,
+    threshold: round(threshold),
+    requiredGoodFrames: acceptRate === null ? null : requiredGoodFramesFor(acceptRate),
+    far: threshold === null ? null : round(rateAtOrBelow(impostor, threshold)),
+    frr: acceptRate === null ? null : round(1 - acceptRate),
+    // the hardcoded defaults, for comparison
+    atDefault: {
+      threshold: DEFAULT_DISTANCE_THRESHOLD,
+      far: round(rateAtOrBelow(impostor, DEFAULT_DISTANCE_THRESHOLD)),
+      frr: genuine.length ? round(1 - rateAtOrBelow(genuine, DEFAULT_DISTANCE_THRESHOLD)) : null,
+    },
+    genuine: {
+      count: genuine.length,
+      p50: round(quantile(genuine, 0.5)),
+      p95: round(quantile(genuine, 0.95)),
+      histogram: histogram(genuine),
+    },
+    impostor: {
+      count: impostor.length,
+      min: round(impostor[0] ?? null),
+      p01: round(quantile(impostor, 0.01)),
+      p50: round(quantile(impostor, 0.5)),
+      histogram: histogram(impostor),
+    },
+    students: {},
+  };
+
+  if (!perStudent || threshold === null) return result;
+
+  // per student: own genuine spread vs. sampled impostors against their descriptors
+  for (let s = 0; s < students.length; s++) {
+    const [id, ds] = students[s];
+    const own = genuineByStudent[s].sort(byValue);
+    if (!own.length) continue;
+
+    const others = [];
+    for (let n = 0; n < IMPOSTORS_PER_STUDENT; n++) {
+      const other = flat[pick(flat.length)];
+      if (other[0] === s) continue;
+      others.push(euclidean(ds[pick(ds.length)], other[1]));
+      await tick();
+    }
+    others.sort(byValue);
+
+    const spread = quantile(own, GENUINE_QUANTILE);
+    const ceiling = thresholdAtFar(others, targetFar) ?? MAX_THRESHOLD;
+    const studentThreshold = clamp(Math.min(ceiling, Math.max(threshold, spread)), MIN_THRESHOLD, MAX_THRESHOLD);
+
+    result.students[id] = {
+      threshold: round(studentThreshold),
+      genuine: { count: own.length, p95: round(spread) },
+      impostor: { count: others.length, min: round(others[0] ?? null) },
+    };
+  }
+
+  return result;
+};
+
+/**
+ * What the kiosk needs for one verification: the student's own threshold when
+ * the calibration has one, else the global one, else the hardcoded defaults.
+ * globalThreshold is for the 1:N searches, which compare against everyone.
+ * @param {Object|null} calibration - stored calibration
+ * @param {string} [studentId]
+ * @returns {{ threshold: number, globalThreshold: number, requiredGoodFrames: number,
+ *   source: 'student'|'global'|'default', calibratedAt: string|null }}
+ */
+export const thresholdsFor = (calibration, studentId) => {
+  if (!calibration?.threshold) {
+    return {
+      threshold: DEFAULT_DISTANCE_THRESHOLD,
+      globalThreshold: DEFAULT_DISTANCE_THRESHOLD,
+      requiredGoodFrames: DEFAULT_REQUIRED_GOOD_FRAMES,
+      source: 'default',
+      calibratedAt: null,
+    };
+  }
+
+  const own = studentId ? calibration.students?.[studentId] : null;
+  return {
+    threshold: own?.threshold ?? calibration.threshold,
+    globalThreshold: calibration.threshold,
+    requiredGoodFrames: calibration.requiredGoodFrames ?? DEFAULT_REQUIRED_GOOD_FRAMES,
+    source: own?.threshold ? 'student' : 'global',
+    calibratedAt: calibration.createdAt ?? null,
+  };
+};
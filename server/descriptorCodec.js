@@ -0,0 +1,19 @@
+// server/descriptorCodec.js
+// Float32 face descriptors <-> base64 (little-endian float32), used on disk and on the wire.
+
+export const DESCRIPTOR_LENGTH = 128;
+
+export const encodeDescriptor = (descriptor) =>
+  Buffer.from(descriptor.buffer, descriptor.byteOffset, descriptor.byteLength).toString('base64');
+
+export const decodeDescriptor = (b64) => {
+  const buf = Buffer.from(b64, 'base64');
+  return new Float32Array(buf.buffer.slice(buf.byteOffset, buf.byteOffset + buf.byteLength));
+};
+
+/** Packs descriptors into one base64 blob of count * 128 float32 values. */
+export const packDescriptors = (descriptors) => {
+  const packed = new Float32Array(descriptors.length * DESCRIPTOR_LENGTH);
+  descriptors.forEach((d, i) => packed.set(d, i * DESCRIPTOR_LENGTH));
+  return encodeDescriptor(packed);
+};
@@ -0,0 +1,38 @@
+// server/errors.js
+
+/** Error carrying the HTTP status a route should answer with. */
+export class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+  }
+}
+
+/**
+ * Raised by storage when a new student collides with an existing one.
+ * field: 'id' (full student ID) or 'idNo' (last 4 digits)
+ */
+export class DuplicateStudentError extends HttpError {
+  constructor(field) {
+    super(
+      409,
+      field === 'idNo' ? 'Duplicate IDNo detected. Generate again.' : 'Student ID already exists.'
+    );
+    this.name = 'DuplicateStudentError';
+    this.field = field;
+  }
+}
+
+/**
+ * Raised when uploaded photos fail the enrollment quality check
+ * (see server/faceQuality.js). photos: every photo's result, failed or not.
+ */
+export class PhotoQualityError extends HttpError {
+  constructor(photos) {
+    const failed = photos.filter((p) => !p.ok).length;
+    super(422, `${failed} of ${photos.length} photo(s) failed the face quality check.`);
+    this.name = 'PhotoQualityError';
+    this.photos = photos;
+  }
+}
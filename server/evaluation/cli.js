@@ -0,0 +1,130 @@
+// server/evaluation/cli.js
+// Usage:
+//   node server/evaluation/cli.js [options]
+//
+//   --out <dir>          where report.json and report.html go (default logs/evaluation)
+//   --threshold <n>      evaluate at this distance threshold instead of the stored calibration
+//   --frames <n>         good frames a batch needs instead of the stored calibration
+//   --impostors <n>      other students each probe is tried against (default 50)
+//   --seed <n>           impostor sampling seed (default 1)
+//   --stored             use the stored descriptors instead of recomputing them from uploads
+//
+// Students come from the configured storage (STORAGE_DRIVER, see server/storage).
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createStorage } from '../storage/index.js';
+import { ORIGINAL, faceImagesOf, imagesOf } from '../studentImages.js';
+import { DEFAULT_IMPOSTORS_PER_PROBE, evaluate } from './evaluate.js';
+import { renderReportHtml } from './report.js';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const uploadDir = path.join(rootDir, 'uploads');
+
+// keep in sync with backend.js
+const publicToAbs = (publicPath) => {
+  const rel = String(publicPath ?? '').replace(/^\/uploads\//, '');
+  const abs = path.resolve(uploadDir, rel);
+  return abs.startsWith(uploadDir + path.sep) ? abs : null;
+};
+
+const USAGE =
+  'Usage: node server/evaluation/cli.js [--out dir] [--threshold n] [--frames n] [--impostors n] [--seed n] [--stored]';
+
+const parseArgs = (argv) => {
+  const opts = { out: path.join(rootDir, 'logs', 'evaluation'), stored: false };
+  const numeric = { '--threshold': 'threshold', '--frames': 'requiredGoodFrames', '--impostors': 'impostorsPerProbe', '--seed': 'seed' };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--stored') opts.stored = true;
+    else if (arg === '--out') opts.out = path.resolve(argv[++i] ?? '');
+    else if (numeric[arg]) {
+      const value = Number(argv[++i]);
+      if (!Number.isFinite(value) || value < 0) throw new Error(`${arg} needs a non-negative number.`);
+      opts[numeric[arg]] = value;
+    } else throw new Error(`Unknown option "${arg}".`);
+  }
+  return opts;
+};
+
+// each uploaded photo with its descriptor first, then its variants'
+const familiesOf = (student, descriptorFor) => {
+  const images = imagesOf(student);
+  return images
+    .filter((e) => e.type === ORIGINAL)
+    .map(({ path: original }) => ({
+      image: original,
+      entries: [original, ...images.filter((e) => e.source === original).map((e) => e.path)]
+        .map((image) => ({ image, descriptor: descriptorFor.get(image) }))
+        .filter((e) => e.descriptor),
+    }));
+};
+
+const loadStudents = async (db, { stored }) => {
+  // loaded lazily: --stored runs don't need the face models or sharp
+  const computeDescriptors = stored ? null : (await import('../faceDescriptors.js')).computeDescriptors;
+
+  const students = Object.values(await db.listStudents());
+  const out = [];
+  for (const [n, student] of students.entries()) {
+    const images = faceImagesOf(student);
+    const entries = stored
+      ? await db.getDescriptors(student.id)
+      : await computeDescriptors(images, publicToAbs);
+    console.log(`[${n + 1}/${students.length}] ${student.id}: ${entries.length}/${images.length} descriptors`);
+
+    const descriptorFor = new Map(entries.map((e) => [e.image, e.descriptor]));
+    out.push({ id: student.id, name: student.name, families: familiesOf(student, descriptorFor) });
+  }
+  return out;
+};
+
+const main = async () => {
+  let opts;
+  try {
+    opts = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    console.error(USAGE);
+    process.exitCode = 1;
+    return;
+  }
+
+  const db = await createStorage({ dataDir: path.join(rootDir, 'data') });
+  let students;
+  let calibration;
+  try {
+    students = await loadStudents(db, opts);
+    calibration = await db.getCalibration();
+  } finally {
+    await db.close();
+  }
+
+  const report = evaluate(students, {
+    calibration,
+    threshold: opts.threshold,
+    requiredGoodFrames: opts.requiredGoodFrames,
+    impostorsPerProbe: opts.impostorsPerProbe ?? DEFAULT_IMPOSTORS_PER_PROBE,
+    seed: opts.seed ?? 1,
+  });
+
+  await fs.promises.mkdir(opts.out, { recursive: true });
+  const jsonFile = path.join(opts.out, 'report.json');
+  const htmlFile = path.join(opts.out, 'report.html');
+  await fs.promises.writeFile(jsonFile, JSON.stringify(report, null, 2));
+  await fs.promises.writeFile(htmlFile, renderReportHtml(report));
+
+  const { current, eer, dataset } = report;
+  console.log(
+    `threshold ${current.threshold} (${current.source}), ${current.requiredGoodFrames} good frames: ` +
+      `FAR ${current.far ?? '-'} (${current.falseAccepts}/${dataset.impostorAttempts}), ` +
+      `FRR ${current.frr ?? '-'} (${current.falseRejects}/${dataset.genuineAttempts})` +
+      (eer ? `; EER ${eer.rate} at ${eer.threshold}` : '')
+  );
+  console.log(`wrote ${path.relative(rootDir, jsonFile)} and ${path.relative(rootDir, htmlFile)}`);
+};
+
+main().catch((e) => {
+  console.error(e);
+  process.exitCode = 1;
+});
@@ -0,0 +1,274 @@
+// server/evaluation/evaluate.js
+
+/**
+ * Offline FAR/FRR evaluation of the kiosk's 1:1 check over enrolled photos.
+ *
+ * Each student's descriptors are split into probes (what the camera would
+ * see) and references (what the kiosk compares against). A probe is replayed
+ * as one verification batch: its descriptors stand in for the live frames and
+ * go through the same minDistanceToRefs / decideBatch as useFaceVerification.
+ *
+ *   - genuine: a student's probe against their own remaining references. With
+ *     several uploaded photos each photo (and its variants) is held out in
+ *     turn; with one photo its variants are split between probes and references.
+ *   - impostor: a student's probe against another student's full reference set,
+ *     i.e. someone presenting another student's card.
+ */
+
+import { decideBatch, isUsableDistance, minDistanceToRefs } from '../../src/hooks/faceMatch.js';
+import { DEFAULT_DISTANCE_THRESHOLD, DEFAULT_REQUIRED_GOOD_FRAMES, thresholdsFor } from '../calibration.js';
+import { createRandom } from '../random.js';
+
+// keep in sync with useFaceVerification
+const BATCH_FRAMES = 16; // MAX_SAMPLES: frames in one verification batch
+
+export const DEFAULT_IMPOSTORS_PER_PROBE = 50;
+
+const ROC_FROM = 0.2;
+const ROC_TO = 0.8;
+const ROC_STEP = 0.01;
+
+const round = (v) => (v === null || v === undefined ? null : Math.round(v * 10000) / 10000);
+const rate = (n, total) => (total ? round(n / total) : null);
+
+/**
+ * a probe with fewer descriptors than a batch is cycled to BATCH_FRAMES (the
+ * kiosk sees many near-identical frames of one face); a longer one is split
+ * into several batches
+ */
+const toBatches = (entries) => {
+  const batches = [];
+  for (let start = 0; start < entries.length; start += BATCH_FRAMES) {
+    const chunk = entries.slice(start, start + BATCH_FRAMES);
+    batches.push(Array.from({ length: BATCH_FRAMES }, (_, i) => chunk[i % chunk.length]));
+  }
+  return batches;
+};
+
+/**
+ * @param {{ id: string, families: { image: string, entries: { image: string, descriptor: Float32Array }[] }[] }} student
+ *   families: each uploaded photo with its own descriptor first, then its variants'
+ * @returns {{ probes: Object[], protocol: string|null }} probes: { studentId, image, part, frames, refs }
+ */
+const genuineProbesFor = (student) => {
+  // identical descriptors (a variant that came out the same image) would sit on
+  // both sides of the split at distance 0, which the hook discards
+  const seen = new Set();
+  const families = student.families
+    .map((f) => ({
+      ...f,
+      entries: f.entries.filter((e) => {
+        const key = Buffer.from(e.descriptor.buffer, e.descriptor.byteOffset, e.descriptor.byteLength).toString('base64');
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      }),
+    }))
+    .filter((f) => f.entries.length);
+  const probes = [];
+
+  if (families.length >= 2) {
+    families.forEach((family, f) => {
+      const refs = families.filter((_, g) => g !== f).flatMap((g) => g.entries.map((e) => e.descriptor));
+      toBatches(family.entries).forEach((frames, part) => {
+        probes.push({ studentId: student.id, image: family.image, part, frames, refs });
+      });
+    });
+    return { probes, protocol: 'held_out_photo' };
+  }
+
+  const entries = families[0]?.entries ?? [];
+  if (entries.length < 2) return { probes, protocol: null };
+
+  // one photo: odd variants are the camera, the original and even variants the references
+  const held = entries.filter((_, i) => i % 2 === 1);
+  const refs = entries.filter((_, i) => i % 2 === 0).map((e) => e.descriptor);
+  toBatches(held).forEach((frames, part) => {
+    probes.push({ studentId: student.id, image: families[0].image, part, frames, refs });
+  });
+  return { probes, protocol: 'held_out_variants' };
+};
+
+// distances of one replayed batch, filtered like the hook's batch
+const batchDistances = (frames, refs) =>
+  frames.map((f) => minDistanceToRefs(f.descriptor, refs)).filter(isUsableDistance);
+
+// k distinct indices out of n, seeded
+const sampleIndices = (n, k, random) => {
+  const idx = Array.from({ length: n }, (_, i) => i);
+  const take = Math.min(n, k);
+  for (let i = 0; i < take; i++) {
+    const j = i + Math.floor(random() * (n - i));
+    [idx[i], idx[j]] = [idx[j], idx[i]];
+  }
+  return idx.slice(0, take);
+};
+
+const groupByClaimed = (attempts) => {
+  const out = new Map();
+  for (const a of attempts) {
+    if (!out.has(a.claimedId)) out.set(a.claimedId, []);
+    out.get(a.claimedId).push(a);
+  }
+  return out;
+};
+
+const probeLabel = (probe) => (probe.part ? `${probe.image} #${probe.part + 1}` : probe.image);
+
+/**
+ * @param {Object[]} students - see genuineProbesFor
+ * @param {Object} [opts]
+ * @param {Object|null} [opts.calibration] - stored calibration; per-student thresholds
+ *   apply as in the kiosk (see thresholdsFor)
+ * @param {number} [opts.threshold] - overrides the calibration for every student
+ * @param {number} [opts.requiredGoodFrames] - overrides the calibration
+ * @param {number} [opts.impostorsPerProbe=50] - other students each probe is tried against
+ * @param {number} [opts.seed=1] - impostor sampling seed
+ * @returns {Object} report: { createdAt, options, dataset, current, roc, eer, students }
+ */
+export const evaluate = (
+  students,
+  { calibration = null, threshold, requiredGoodFrames, impostorsPerProbe = DEFAULT_IMPOSTORS_PER_PROBE, seed = 1 } = {}
+) => {
+  const random = createRandom(seed);
+
+  const settingsFor = (studentId) => {
+    const t = thresholdsFor(calibration, studentId);
+    return {
+      threshold: threshold ?? t.threshold,
+      requiredGoodFrames: requiredGoodFrames ?? t.requiredGoodFrames,
+      source: threshold === undefined ? t.source : 'option',
+    };
+  };
+
+  const entries = students.map((s) => {
+    const { probes, protocol } = genuineProbesFor(s);
+    return {
+      student: s,
+      probes,
+      protocol,
+      refs: s.families.flatMap((f) => f.entries.map((e) => e.descriptor)),
+    };
+  });
+  const evaluated = entries.filter((e) => e.probes.length);
+  const enrolled = entries.filter((e) => e.refs.length);
+
+  // attempts keep their distances; pass/fail is decided per threshold below
+  const genuine = [];
+  const impostor = [];
+  for (const e of evaluated) {
+    for (const probe of e.probes) {
+      genuine.push({
+        claimedId: e.student.id,
+        probeStudentId: e.student.id,
+        probe: probeLabel(probe),
+        distances: batchDistances(probe.frames, probe.refs),
+      });
+
+      const others = enrolled.filter((o) => o.student.id !== e.student.id);
+      for (const i of sampleIndices(others.length, impostorsPerProbe, random)) {
+        impostor.push({
+          claimedId: others[i].student.id,
+          probeStudentId: e.student.id,
+          probe: probeLabel(probe),
+          distances: batchDistances(probe.frames, others[i].refs),
+        });
+      }
+    }
+  }
+
+  const decide = (attempt, settings) => decideBatch(attempt.distances, settings);
+
+  // at the kiosk's current settings
+  const settingsById = new Map(students.map((s) => [s.id, settingsFor(s.id)]));
+  const falseRejects = genuine.filter((a) => !decide(a, settingsById.get(a.claimedId)).pass);
+  const falseAccepts = impostor.filter((a) => decide(a, settingsById.get(a.claimedId)).pass);
+  const global = settingsFor(undefined);
+
+  // roc: one global threshold for everyone, frames as currently required
+  const roc = [];
+  for (let t = ROC_FROM; t <= ROC_TO + 1e-9; t += ROC_STEP) {
+    const settings = { threshold: round(t), requiredGoodFrames: global.requiredGoodFrames };
+    const fr = genuine.filter((a) => !decide(a, settings).pass).length;
+    const fa = impostor.filter((a) => decide(a, settings).pass).length;
+    roc.push({
+      threshold: settings.threshold,
+      far: rate(fa, impostor.length),
+      frr: rate(fr, genuine.length),
+    });
+  }
+  const measurable = roc.filter((p) => p.far !== null && p.frr !== null);
+  const eerPoint = measurable.reduce(
+    (best, p) => (!best || Math.abs(p.far - p.frr) < Math.abs(best.far - best.frr) ? p : best),
+    null
+  );
+
+  const genuineByStudent = groupByClaimed(genuine);
+  const impostorByStudent = groupByClaimed(impostor);
+  const falseRejectsByStudent = groupByClaimed(falseRejects);
+  const falseAcceptsByStudent = groupByClaimed(falseAccepts);
+
+  const failure = (a) => {
+    const result = decide(a, settingsById.get(a.claimedId));
+    return {
+      probe: a.probe,
+      probeStudentId: a.probeStudentId,
+      median: round(result.median),
+      good: result.good,
+      total: result.total,
+      threshold: settingsById.get(a.claimedId).threshold,
+    };
+  };
+
+  return {
+    createdAt: new Date().toISOString(),
+    options: {
+      threshold: threshold ?? null,
+      requiredGoodFrames: requiredGoodFrames ?? null,
+      impostorsPerProbe,
+      seed,
+      batchFrames: BATCH_FRAMES,
+      calibratedAt: calibration?.createdAt ?? null,
+    },
+    dataset: {
+      students: students.length,
+      evaluated: evaluated.length,
+      descriptors: enrolled.reduce((sum, e) => sum + e.refs.length, 0),
+      genuineAttempts: genuine.length,
+      impostorAttempts: impostor.length,
+      skipped: entries.filter((e) => !e.probes.length).map((e) => ({
+        id: e.student.id,
+        descriptors: e.refs.length,
+        reason: e.refs.length ? 'one descriptor, nothing to hold out' : 'no face found',
+      })),
+    },
+    current: {
+      threshold: global.threshold,
+      requiredGoodFrames: global.requiredGoodFrames,
+      source: global.source,
+      far: rate(falseAccepts.length, impostor.length),
+      frr: rate(falseRejects.length, genuine.length),
+      falseAccepts: falseAccepts.length,
+      falseRejects: falseRejects.length,
+    },
+    defaults: { threshold: DEFAULT_DISTANCE_THRESHOLD, requiredGoodFrames: DEFAULT_REQUIRED_GOOD_FRAMES },
+    roc,
+    eer: eerPoint && { threshold: eerPoint.threshold, rate: round((eerPoint.far + eerPoint.frr) / 2) },
+    // per claimed student: their rejected genuine batches and the impostors accepted as them
+    students: entries.map((e) => {
+      const id = e.student.id;
+      return {
+        id,
+        name: e.student.name ?? null,
+        protocol: e.protocol,
+        photos: e.student.families.length,
+        descriptors: e.refs.length,
+        ...settingsById.get(id),
+        genuineAttempts: genuineByStudent.get(id)?.length ?? 0,
+        impostorAttempts: impostorByStudent.get(id)?.length ?? 0,
+        falseRejects: (falseRejectsByStudent.get(id) ?? []).map(failure),
+        falseAccepts: (falseAcceptsByStudent.get(id) ?? []).map(failure),
+      };
+    }),
+  };
+};
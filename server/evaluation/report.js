@@ -0,0 +1,123 @@
+// server/evaluation/report.js
+// Self-contained HTML page for an evaluate() report: summary, ROC curve and
+// per-student failure lists.
+
+const escapeHtml = (s) =>
+  String(s ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const pct = (v) => (v === null || v === undefined ? '–' : `${(v * 100).toFixed(2)}%`);
+const num = (v) => (v === null || v === undefined ? '–' : String(v));
+
+const PLOT = { width: 420, height: 320, pad: 40 };
+
+// true accept rate (1 - FRR) against FAR, current threshold marked
+const rocSvg = (report) => {
+  const { width, height, pad } = PLOT;
+  const x = (far) => pad + far * (width - 2 * pad);
+  const y = (tar) => height - pad - tar * (height - 2 * pad);
+  const points = report.roc.filter((p) => p.far !== null && p.frr !== null);
+  const line = points.map((p) => `${x(p.far).toFixed(1)},${y(1 - p.frr).toFixed(1)}`).join(' ');
+  const { far, frr } = report.current;
+  const marker =
+    far !== null && frr !== null
+      ? `<circle cx="${x(far).toFixed(1)}" cy="${y(1 - frr).toFixed(1)}" r="4" fill="#dc2626"><title>current: FAR ${pct(far)}, FRR ${pct(frr)}</title></circle>`
+      : '';
+
+  return `<svg width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="ROC curve">
+  <rect x="${pad}" y="${pad}" width="${width - 2 * pad}" height="${height - 2 * pad}" fill="none" stroke="#9ca3af"/>
+  <text x="${width / 2}" y="${height - 8}" text-anchor="middle" font-size="12">false accept rate</text>
+  <text x="12" y="${height / 2}" text-anchor="middle" font-size="12" transform="rotate(-90 12 ${height / 2})">true accept rate</text>
+  <text x="${pad}" y="${height - pad + 14}" font-size="10" text-anchor="middle">0</text>
+  <text x="${width - pad}" y="${height - pad + 14}" font-size="10" text-anchor="middle">1</text>
+  <text x="${pad - 8}" y="${pad + 4}" font-size="10" text-anchor="end">1</text>
+  <polyline points="${line}" fill="none" stroke="#4f46e5" stroke-width="2"/>
+  ${marker}
+</svg>`;
+};
+
+const failureRows = (failures, withProbeStudent) =>
+  failures
+    .map(
+      (f) => `<tr>${withProbeStudent ? `<td>${escapeHtml(f.probeStudentId)}</td>` : ''}<td>${escapeHtml(f.probe)}</td>` +
+        `<td>${num(f.median)}</td><td>${f.good}/${f.total}</td><td>${num(f.threshold)}</td></tr>`
+    )
+    .join('');
+
+const studentSection = (s) => {
+  const rejects = s.falseRejects.length
+    ? `<h4>Rejected genuine batches (${s.falseRejects.length}/${s.genuineAttempts})</h4>
+<table><tr><th>probe</th><th>median</th><th>good</th><th>threshold</th></tr>${failureRows(s.falseRejects, false)}</table>`
+    : '';
+  const accepts = s.falseAccepts.length
+    ? `<h4>Impostors accepted as this student (${s.falseAccepts.length}/${s.impostorAttempts})</h4>
+<table><tr><th>student</th><th>probe</th><th>median</th><th>good</th><th>threshold</th></tr>${failureRows(s.falseAccepts, true)}</table>`
+    : '';
+
+  return `<section>
+<h3>${escapeHtml(s.id)}${s.name ? ` — ${escapeHtml(s.name)}` : ''}</h3>
+<p>${s.photos} photo(s), ${s.descriptors} descriptor(s), ${escapeHtml(s.protocol ?? 'not evaluated')};
+threshold ${num(s.threshold)} (${escapeHtml(s.source)}), ${s.requiredGoodFrames} good frames</p>
+${rejects}${accepts}${rejects || accepts ? '' : '<p>No failures.</p>'}
+</section>`;
+};
+
+/**
+ * @param {Object} report - evaluate() result
+ * @returns {string} html document
+ */
+export const renderReportHtml = (report) => {
+  const { dataset, current, eer } = report;
+  const failing = report.students.filter((s) => s.falseRejects.length || s.falseAccepts.length);
+  const passing = report.students.filter((s) => !s.falseRejects.length && !s.falseAccepts.length);
+  const skipped = dataset.skipped.length
+    ? `<p>Not evaluated: ${dataset.skipped.map((s) => `${escapeHtml(s.id)} (${escapeHtml(s.reason)})`).join(', ')}</p>`
+    : '';
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Face verification evaluation — ${escapeHtml(report.createdAt)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #111827; }
+  table { border-collapse: collapse; margin: 0.5rem 0 1rem; }
+  th, td { border: 1px solid #d1d5db; padding: 0.25rem 0.6rem; text-align: left; font-size: 0.9rem; }
+  th { background: #f3f4f6; }
+  section { border-top: 1px solid #e5e7eb; padding-top: 0.5rem; }
+  .summary { display: flex; gap: 2rem; align-items: flex-start; flex-wrap: wrap; }
+</style>
+</head>
+<body>
+<h1>Face verification evaluation</h1>
+<p>${escapeHtml(report.createdAt)} — ${dataset.evaluated}/${dataset.students} students,
+${dataset.descriptors} descriptors, ${dataset.genuineAttempts} genuine and ${dataset.impostorAttempts} impostor batches
+of ${report.options.batchFrames} frames</p>
+${skipped}
+<div class="summary">
+<table>
+  <tr><th colspan="2">Current settings</th></tr>
+  <tr><td>threshold</td><td>${num(current.threshold)} (${escapeHtml(current.source)})</td></tr>
+  <tr><td>good frames</td><td>${current.requiredGoodFrames}</td></tr>
+  <tr><td>FAR</td><td>${pct(current.far)} (${current.falseAccepts}/${dataset.impostorAttempts})</td></tr>
+  <tr><td>FRR</td><td>${pct(current.frr)} (${current.falseRejects}/${dataset.genuineAttempts})</td></tr>
+  <tr><td>EER</td><td>${eer ? `${pct(eer.rate)} at ${eer.threshold}` : '–'}</td></tr>
+</table>
+${rocSvg(report)}
+</div>
+<h2>Students with failures (${failing.length})</h2>
+${failing.map(studentSection).join('\n') || '<p>None.</p>'}
+<h2>Students without failures (${passing.length})</h2>
+<p>${passing.map((s) => escapeHtml(s.id)).join(', ') || 'None.'}</p>
+<h2>ROC points</h2>
+<table>
+  <tr><th>threshold</th><th>FAR</th><th>FRR</th></tr>
+  ${report.roc.map((p) => `<tr><td>${p.threshold}</td><td>${pct(p.far)}</td><td>${pct(p.frr)}</td></tr>`).join('\n  ')}
+</table>
+</body>
+</html>
+`;
+};
@@ -0,0 +1,130 @@
+// server/faceDescriptors.js
+import path from 'path';
+import { fileURLToPath } from 'url';
+import sharp from 'sharp';
+import * as faceapi from '@vladmandic/face-api/dist/face-api.node-wasm.js';
+
+/**
+ * Server-side face descriptors (128-d) computed once at enrollment so the
+ * kiosk doesn't have to detect every reference image in the browser.
+ *
+ * Uses the same model files and detector settings as useFaceVerification,
+ * otherwise the stored descriptors wouldn't be comparable with live ones.
+ */
+
+const modelDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'public', 'models');
+
+// keep in sync with useFaceVerification
+const TINY_INPUT_SIZE = 320;
+const SCORE_THRESHOLD = 0.7;
+
+let modelsPromise = null;
+
+const loadModels = () => {
+  if (!modelsPromise) {
+    modelsPromise = (async () => {
+      await faceapi.tf.setBackend('wasm');
+      await faceapi.tf.ready();
+      await faceapi.nets.tinyFaceDetector.loadFromDisk(modelDir);
+      await faceapi.nets.faceLandmark68Net.loadFromDisk(modelDir);
+      await faceapi.nets.faceRecognitionNet.loadFromDisk(modelDir);
+    })().catch((e) => {
+      modelsPromise = null; // allow a retry on the next enrollment
+      throw e;
+    });
+  }
+  return modelsPromise;
+};
+
+// file path or Buffer -> RGB pixels
+const decodeImage = async (input) => {
+  const { data, info } = await sharp(input)
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+};
+
+// RGB pixels -> int32 tensor; the caller disposes it
+const pixelsToTensor = ({ data, width, height }) =>
+  faceapi.tf.tensor3d(new Uint8Array(data), [height, width, 3], 'int32');
+
+const imageToTensor = async (absPath) => pixelsToTensor(await decodeImage(absPath));
+
+/**
+ * @param {string} absPath - image file on disk
+ * @returns {Promise<Float32Array|null>} descriptor, or null when no face is found
+ */
+export const computeDescriptor = async (absPath) => {
+  await loadModels();
+  const tensor = await imageToTensor(absPath);
+  try {
+    const det = await faceapi
+      .detectSingleFace(
+        tensor,
+        new faceapi.TinyFaceDetectorOptions({
+          inputSize: TINY_INPUT_SIZE,
+          scoreThreshold: SCORE_THRESHOLD,
+        })
+      )
+      .withFaceLandmarks()
+      .withFaceDescriptor();
+    return det ? det.descriptor : null;
+  } finally {
+    tensor.dispose();
+  }
+};
+
+/**
+ * Every face in an image, with landmarks, as the descriptor step would see it
+ * (same decoding, same detector and input size).
+ * @param {string|Buffer} input - image file or its contents
+ * @param {Object} [opts]
+ * @param {number} [opts.scoreThreshold] - detector confidence (default: the descriptor step's)
+ * @returns {Promise<{ image: { data: Buffer, width: number, height: number },
+ *   faces: { box: { x: number, y: number, width: number, height: number }, score: number,
+ *   landmarks: { x: number, y: number }[] }[] }>} image is the decoded RGB pixels
+ */
+export const detectFaces = async (input, { scoreThreshold = SCORE_THRESHOLD } = {}) => {
+  await loadModels();
+  const image = await decodeImage(input);
+  const tensor = pixelsToTensor(image);
+  try {
+    const dets = await faceapi
+      .detectAllFaces(tensor, new faceapi.TinyFaceDetectorOptions({ inputSize: TINY_INPUT_SIZE, scoreThreshold }))
+      .withFaceLandmarks();
+    return {
+      image,
+      faces: dets.map((d) => ({
+        box: { x: d.detection.box.x, y: d.detection.box.y, width: d.detection.box.width, height: d.detection.box.height },
+        score: d.detection.score,
+        landmarks: d.landmarks.positions.map((p) => ({ x: p.x, y: p.y })),
+      })),
+    };
+  } finally {
+    tensor.dispose();
+  }
+};
+
+/**
+ * Computes descriptors for a list of public image paths ("/uploads/...").
+ * Images without a detectable face are skipped.
+ * @param {string[]} images
+ * @param {(publicPath: string) => string|null} resolvePath - public path -> absolute file
+ * @returns {Promise<{ image: string, descriptor: Float32Array }[]>}
+ */
+export const computeDescriptors = async (images, resolvePath) => {
+  await loadModels();
+  const out = [];
+  for (const image of images) {
+    const abs = resolvePath(image);
+    if (!abs) continue;
+    try {
+      const descriptor = await computeDescriptor(abs);
+      if (descriptor) out.push({ image, descriptor });
+    } catch (e) {
+      console.error(`descriptors: failed on ${image}:`, e.message);
+    }
+  }
+  return out;
+};
@@ -0,0 +1,118 @@
+// server/faceQuality.js
+import sharp from 'sharp';
+import { detectFaces } from './faceDescriptors.js';
+import { estimatePose } from '../src/hooks/facePose.js';
+import { QUALITY_LIMITS, SAMPLE_WIDTH, faceStatsOf, lumaOf } from '../src/hooks/faceImageStats.js';
+
+/**
+ * Enrollment quality gate: checks an uploaded photo before it is saved, so a
+ * student isn't enrolled with a photo the kiosk can't match against later.
+ *
+ * A photo passes with exactly one face that the descriptor step will find
+ * (same detector), big enough, sharp, well exposed and frontal. Sharpness and
+ * exposure are measured on the face only, scaled to SAMPLE_WIDTH so the
+ * numbers don't depend on the photo's resolution.
+ */
+
+export { QUALITY_LIMITS };
+
+// faces below this confidence still count as "another face in the photo"
+const COUNT_SCORE = 0.5;
+
+// luma of the face box, resized to SAMPLE_WIDTH wide
+const faceLuma = async (image, box) => {
+  const left = Math.max(0, Math.floor(box.x));
+  const top = Math.max(0, Math.floor(box.y));
+  const width = Math.min(image.width - left, Math.ceil(box.width));
+  const height = Math.min(image.height - top, Math.ceil(box.height));
+
+  const { data, info } = await sharp(image.data, {
+    raw: { width: image.width, height: image.height, channels: 3 },
+  })
+    .extract({ left, top, width, height })
+    .resize({ width: SAMPLE_WIDTH })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return { luma: lumaOf(data, info.channels), width: info.width, height: info.height };
+};
+
+const round = (v, digits = 2) => Math.round(v * 10 ** digits) / 10 ** digits;
+
+/**
+ * @param {string|Buffer} input - the uploaded photo
+ * @param {Object} [limits] - overrides for QUALITY_LIMITS
+ * @returns {Promise<{ ok: boolean, reasons: { code: string, message: string }[], metrics: Object }>}
+ *   reasons are empty when ok; codes: no_face, multiple_faces, low_confidence,
+ *   face_too_small, blurry, too_dark, too_bright, clipped, not_frontal
+ */
+export const assessFaceQuality = async (input, limits = {}) => {
+  const L = { ...QUALITY_LIMITS, ...limits };
+  const { image, faces } = await detectFaces(input, { scoreThreshold: COUNT_SCORE });
+  const metrics = { width: image.width, height: image.height, faces: faces.length };
+
+  if (!faces.length) {
+    return { ok: false, reasons: [{ code: 'no_face', message: 'No face found.' }], metrics };
+  }
+  if (faces.length > 1) {
+    return {
+      ok: false,
+      reasons: [
+        { code: 'multiple_faces', message: `${faces.length} faces found; the photo must show only the student.` },
+      ],
+      metrics,
+    };
+  }
+
+  const [face] = faces;
+  const reasons = [];
+  const fail = (code, message) => reasons.push({ code, message });
+
+  metrics.score = round(face.score);
+  if (face.score < L.minScore) {
+    fail('low_confidence', `Face is unclear (detector confidence ${metrics.score}, needs ${L.minScore}).`);
+  }
+
+  metrics.faceWidth = Math.round(face.box.width);
+  metrics.faceRatio = round(face.box.width / image.width);
+  if (face.box.width < L.minFaceWidth || metrics.faceRatio < L.minFaceRatio) {
+    fail(
+      'face_too_small',
+      `Face is too small (${metrics.faceWidth} px, ${Math.round(metrics.faceRatio * 100)}% of the photo width; ` +
+        `needs ${L.minFaceWidth} px and ${Math.round(L.minFaceRatio * 100)}%).`
+    );
+  }
+
+  const { luma, width, height } = await faceLuma(image, face.box);
+  const { brightness, clipped, sharpness } = faceStatsOf(luma, width, height);
+
+  metrics.sharpness = round(sharpness, 1);
+  if (metrics.sharpness < L.minSharpness) {
+    fail('blurry', `Face is blurry (sharpness ${metrics.sharpness}, needs ${L.minSharpness}).`);
+  }
+
+  metrics.brightness = round(brightness, 1);
+  metrics.clipped = round(clipped);
+  if (brightness < L.minBrightness) {
+    fail('too_dark', `Face is too dark (brightness ${metrics.brightness}, needs ${L.minBrightness}-${L.maxBrightness}).`);
+  } else if (brightness > L.maxBrightness) {
+    fail('too_bright', `Face is too bright (brightness ${metrics.brightness}, needs ${L.minBrightness}-${L.maxBrightness}).`);
+  }
+  if (clipped > L.maxClipped) {
+    fail('clipped', `${Math.round(clipped * 100)}% of the face is pure black or white (max ${Math.round(L.maxClipped * 100)}%).`);
+  }
+
+  const pose = estimatePose(face.landmarks);
+  if (pose) {
+    metrics.yaw = round(pose.yaw);
+    metrics.pitch = round(pose.pitch);
+    metrics.roll = round(pose.roll, 1);
+    const off = [];
+    if (Math.abs(pose.yaw) > L.maxYaw) off.push('turned to the side');
+    if (!(pose.pitch >= L.minPitch && pose.pitch <= L.maxPitch)) off.push(pose.pitch < L.minPitch ? 'tilted up' : 'tilted down');
+    if (Math.abs(pose.roll) > L.maxRoll) off.push('tilted sideways');
+    if (off.length) fail('not_frontal', `Face is not frontal (head ${off.join(', ')}).`);
+  }
+
+  return { ok: !reasons.length, reasons, metrics };
+};
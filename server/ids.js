@@ -0,0 +1,90 @@
+// server/ids.js
+// Student ID helpers. Two formats are in use:
+//   v1 (legacy): 7 digits, YY4####   (entry year, 4, IDNo)
+//   v2:          8 digits, YY4####C  (v1 + Verhoeff check digit), generated since v2
+// Both are canonical; the IDNo (4 digits after YY4) is unique across formats.
+
+const pad2 = (n) => String(n).padStart(2, '0');
+const pad4 = (n) => String(n).padStart(4, '0');
+
+export const digitsOnly = (s) => String(s ?? '').replace(/\D/g, '');
+
+// Verhoeff tables (dihedral group D5): catches every single-digit error and
+// every adjacent transposition, which Luhn doesn't (e.g. 09 <-> 90)
+const D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+];
+const P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8],
+];
+const INV = [0, 4, 3, 2, 1, 5, 6, 7, 8, 9];
+
+const verhoeff = (digits, offset) => {
+  let c = 0;
+  const d = String(digits);
+  for (let i = 0; i < d.length; i++) {
+    c = D[c][P[(i + offset) % 8][Number(d[d.length - 1 - i])]];
+  }
+  return c;
+};
+
+export const verhoeffCheckDigit = (digits) => INV[verhoeff(digits, 1)];
+
+export const verhoeffValid = (digits) => /^\d+$/.test(String(digits)) && verhoeff(digits, 0) === 0;
+
+/** 1 (legacy 7-digit), 2 (8-digit with valid check digit) or null */
+export const idVersionOf = (id) => {
+  const d = String(id ?? '');
+  if (/^\d{7}$/.test(d)) return 1;
+  if (/^\d{8}$/.test(d) && verhoeffValid(d)) return 2;
+  return null;
+};
+
+export const isValidStudentId = (id) => idVersionOf(id) !== null;
+
+// IDNo = the 4 digits after YY4; must be unique across all students
+export const idNoOf = (id) => {
+  const d = digitsOnly(id);
+  return d.length === 8 ? d.slice(3, 7) : d.slice(-4);
+};
+
+// v1: YY-4-####, v2: YY-4-####-C
+export const formatDisplayId = (id) => {
+  const d = digitsOnly(id);
+  if (d.length === 7) return `${d.slice(0, 2)}-${d.slice(2, 3)}-${d.slice(3)}`;
+  if (d.length === 8) return `${d.slice(0, 2)}-${d.slice(2, 3)}-${d.slice(3, 7)}-${d.slice(7)}`;
+  return d;
+};
+
+// new IDs are always v2
+export const generateUniqueId = (entryYear, students) => {
+  const yy = pad2(Number(entryYear) % 100);
+  const usedIdNos = new Set(Object.values(students).map((s) => idNoOf(s.id)));
+
+  for (let i = 0; i < 10000; i++) {
+    const idNo = pad4(Math.floor(Math.random() * 10000));
+    if (usedIdNos.has(idNo)) continue;
+
+    const base = `${yy}4${idNo}`;
+    const id = `${base}${verhoeffCheckDigit(base)}`;
+    if (students[id]) continue;
+    return { id, displayId: formatDisplayId(id) };
+  }
+  throw new Error('ID space exhausted: cannot generate a unique 4-digit IDNo.');
+};
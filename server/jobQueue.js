@@ -0,0 +1,180 @@
+// server/jobQueue.js
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { createExclusive } from './serialize.js';
+
+// finished jobs kept in the file; older ones are dropped
+const KEEP_FINISHED = 200;
+
+const now = () => new Date().toISOString();
+
+/**
+ * Background jobs, run one at a time in enqueue order and persisted to `file`
+ * (written after every change, write-then-rename) so they survive a restart.
+ *
+ *   enqueue(type, payload, { id? }) -> job   (status "queued"; id defaults to a new UUID)
+ *   get(id)                         -> job | null
+ *   retry(id)                       -> job | null   (a failed job, queued again with fresh attempts)
+ *   start()                         -> loads the file and starts working; jobs that were
+ *                                      running when the process stopped are queued again
+ *   stop()
+ *
+ * A job is { id, type, payload, status: 'queued' | 'running' | 'done' | 'failed',
+ * attempts, maxAttempts, createdAt, updatedAt, runAfter?, startedAt?,
+ * finishedAt?, error?, result? }.
+ *
+ * handlers[type](payload, job) does the work; what it returns is stored as
+ * `result`. When it throws, the job is queued again after retryDelayMs,
+ * doubled on every attempt, until maxAttempts; then it is "failed" and
+ * onFailed(job) is called.
+ */
+export const createJobQueue = ({
+  file,
+  handlers,
+  maxAttempts = 3,
+  retryDelayMs = 5000,
+  onFailed = () => {},
+}) => {
+  const exclusive = createExclusive();
+  let jobs = [];
+  let running = false;
+  let stopped = true;
+  let timer = null;
+
+  const save = async () => {
+    const finished = jobs.filter((j) => j.status === 'done' || j.status === 'failed');
+    if (finished.length > KEEP_FINISHED) {
+      const drop = new Set(finished.slice(0, finished.length - KEEP_FINISHED));
+      jobs = jobs.filter((j) => !drop.has(j));
+    }
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify({ jobs }, null, 2), 'utf8');
+    await fs.promises.rename(tmp, file);
+  };
+
+  const update = (job, changes) =>
+    exclusive(async () => {
+      Object.assign(job, changes, { updatedAt: now() });
+      await save();
+      return { ...job };
+    });
+
+  const schedule = (delayMs = 0) => {
+    if (stopped) return;
+    clearTimeout(timer);
+    timer = setTimeout(work, Math.max(0, delayMs));
+    timer.unref?.();
+  };
+
+  const work = async () => {
+    if (running || stopped) return;
+    const queued = jobs.filter((j) => j.status === 'queued');
+    if (!queued.length) return;
+
+    const due = queued.find((j) => !j.runAfter || Date.parse(j.runAfter) <= Date.now());
+    if (!due) {
+      schedule(Math.min(...queued.map((j) => Date.parse(j.runAfter))) - Date.now());
+      return;
+    }
+
+    running = true;
+    const job = due;
+    let next = 0;
+    try {
+      await update(job, { status: 'running', attempts: job.attempts + 1, startedAt: now(), runAfter: undefined });
+      try {
+        const handler = handlers[job.type];
+        if (!handler) throw new Error(`No handler for job type "${job.type}"`);
+        const result = await handler(job.payload, { ...job });
+        await update(job, { status: 'done', result: result ?? null, error: undefined, finishedAt: now() });
+      } catch (e) {
+        console.error(`jobs: ${job.type} ${job.id} attempt ${job.attempts}/${job.maxAttempts} failed:`, e);
+        if (job.attempts < job.maxAttempts) {
+          const delay = retryDelayMs * 2 ** (job.attempts - 1);
+          await update(job, {
+            status: 'queued',
+            error: e.message,
+            runAfter: new Date(Date.now() + delay).toISOString(),
+          });
+        } else {
+          await update(job, { status: 'failed', error: e.message, finishedAt: now() });
+          await onFailed({ ...job });
+        }
+      }
+    } catch (e) {
+      // bookkeeping itself failed (e.g. the disk is full); try again later
+      console.error(`jobs: could not update ${job.id}:`, e);
+      next = retryDelayMs;
+    } finally {
+      running = false;
+      schedule(next);
+    }
+  };
+
+  return {
+    start: () =>
+      exclusive(async () => {
+        try {
+          jobs = JSON.parse((await fs.promises.readFile(file, 'utf8')) || '{}').jobs || [];
+        } catch (e) {
+          if (e.code !== 'ENOENT') throw e;
+          jobs = [];
+        }
+        for (const job of jobs) {
+          if (job.status === 'running') Object.assign(job, { status: 'queued', updatedAt: now() });
+        }
+        await save();
+        stopped = false;
+        schedule();
+      }),
+
+    stop: () => {
+      stopped = true;
+      clearTimeout(timer);
+    },
+
+    enqueue: (type, payload, { id = crypto.randomUUID() } = {}) =>
+      exclusive(async () => {
+        if (jobs.some((j) => j.id === id)) throw new Error(`Job ${id} already exists`);
+        const at = now();
+        const job = {
+          id,
+          type,
+          payload,
+          status: 'queued',
+          attempts: 0,
+          maxAttempts,
+          createdAt: at,
+          updatedAt: at,
+        };
+        jobs.push(job);
+        await save();
+        schedule();
+        return { ...job };
+      }),
+
+    get: (id) =>
+      exclusive(async () => {
+        const job = jobs.find((j) => j.id === id);
+        return job ? { ...job } : null;
+      }),
+
+    retry: (id) =>
+      exclusive(async () => {
+        const job = jobs.find((j) => j.id === id);
+        if (!job || job.status !== 'failed') return null;
+        Object.assign(job, {
+          status: 'queued',
+          attempts: 0,
+          updatedAt: now(),
+          runAfter: undefined,
+          finishedAt: undefined,
+        });
+        await save();
+        schedule();
+        return { ...job };
+      }),
+  };
+};
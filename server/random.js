@@ -0,0 +1,32 @@
+// server/random.js
+
+/**
+ * mulberry32: small seeded PRNG, so sampled runs (calibration, evaluation)
+ * give the same result for the same seed
+ * @param {number} seed
+ * @returns {() => number} uniform in [0, 1)
+ */
+export const createRandom = (seed) => {
+  let s = seed >>> 0;
+  return () => {
+    s = (s + 0x6d2b79f5) >>> 0;
+    let t = s;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * 32-bit seed from any values (FNV-1a over their string form), for a stable
+ * per-item seed such as `seedFrom(profileSeed, stepName)`
+ * @returns {number}
+ */
+export const seedFrom = (...parts) => {
+  let h = 0x811c9dc5;
+  for (const ch of parts.join(':')) {
+    h ^= ch.charCodeAt(0);
+    h = Math.imul(h, 0x01000193) >>> 0;
+  }
+  return h;
+};
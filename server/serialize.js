@@ -0,0 +1,14 @@
+// server/serialize.js
+
+/**
+ * Returns a function that runs async tasks one at a time, in call order.
+ * Used by the file-backed stores so read-modify-write cycles can't interleave.
+ */
+export const createExclusive = () => {
+  let queue = Promise.resolve();
+  return (fn) => {
+    const run = queue.then(fn, fn);
+    queue = run.catch(() => {});
+    return run;
+  };
+};
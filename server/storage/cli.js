@@ -0,0 +1,41 @@
+// server/storage/cli.js
+// Usage:
+//   node server/storage/cli.js migrate       apply pending PostgreSQL migrations
+//   node server/storage/cli.js import-json   copy data/ (students, descriptors, operators, calibration,
+//                                            attendance) into PostgreSQL
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createJsonStorage } from './jsonStorage.js';
+import { createPgStorage } from './pgStorage.js';
+import { importJson } from './importJson.js';
+
+const rootDir = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+const dataDir = path.join(rootDir, 'data');
+
+const main = async () => {
+  const command = process.argv[2];
+  if (!['migrate', 'import-json'].includes(command)) {
+    console.error('Usage: node server/storage/cli.js <migrate|import-json>');
+    process.exitCode = 1;
+    return;
+  }
+
+  // createPgStorage applies pending migrations before returning
+  const pgStorage = await createPgStorage();
+  try {
+    if (command === 'import-json') {
+      const json = createJsonStorage({
+        dataDir,
+        legacyAttendanceFile: path.join(rootDir, 'logs', 'success.json'),
+      });
+      await importJson(json, pgStorage);
+    }
+  } finally {
+    await pgStorage.close();
+  }
+};
+
+main().catch((e) => {
+  console.error(e);
+  process.exitCode = 1;
+});
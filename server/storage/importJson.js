@@ -0,0 +1,73 @@
+// server/storage/importJson.js
+import { DuplicateStudentError, HttpError } from '../errors.js';
+
+/**
+ * Copies everything the JSON driver holds into another storage: students with
+ * their face descriptors, operators, the latest calibration and the attendance
+ * log. Students and operators that already exist in the target are skipped,
+ * and so are their descriptors. Calibration and attendance are only copied
+ * into a target that has none yet, so running it twice doesn't duplicate them.
+ * @param {object} json   source storage (createJsonStorage)
+ * @param {object} target destination storage, usually createPgStorage
+ * @param {{ log?: Pick<Console, 'log' | 'warn'> }} [options]
+ */
+export const importJson = async (json, target, { log = console } = {}) => {
+  let imported = 0;
+  let skipped = 0;
+  let descriptors = 0;
+  for (const student of Object.values(await json.listStudents())) {
+    try {
+      await target.createStudent(student);
+      imported++;
+    } catch (e) {
+      if (!(e instanceof DuplicateStudentError)) throw e;
+      log.warn(`skip ${student.id}: ${e.message}`);
+      skipped++;
+      continue;
+    }
+    const entries = await json.getDescriptors(student.id);
+    if (entries.length) {
+      await target.setDescriptors(student.id, entries);
+      descriptors++;
+    }
+  }
+  log.log(`students: ${imported} imported, ${skipped} skipped, ${descriptors} with descriptors`);
+
+  let operators = 0;
+  for (const operator of await json.listOperators()) {
+    try {
+      await target.createOperator(operator);
+      operators++;
+    } catch (e) {
+      if (!(e instanceof HttpError && e.status === 409)) throw e;
+      log.warn(`skip operator ${operator.username}: ${e.message}`);
+    }
+  }
+  log.log(`operators: ${operators} imported`);
+
+  const calibration = await json.getCalibration();
+  if (!calibration) {
+    log.log('calibration: none to import');
+  } else if (await target.getCalibration()) {
+    log.log('calibration: target already has one, skipped');
+  } else {
+    await target.saveCalibration(calibration);
+    log.log(`calibration: ${calibration.createdAt} imported`);
+  }
+
+  // attendance is append-only, so only import into an empty table
+  if ((await target.listAttendance({ event: 'all' })).length) {
+    log.log('attendance: table not empty, skipped');
+    return;
+  }
+  const entries = await json.listAttendance({ event: 'all' });
+  for (const entry of entries) {
+    await target.recordAttendance({
+      event: entry.event,
+      student: entry.student && { ...entry.student, displayId: entry.student.displayid },
+      verificationResult: entry.verificationResult,
+      at: entry.ts_manila,
+    });
+  }
+  log.log(`attendance: ${entries.length} imported`);
+};
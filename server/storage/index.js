@@ -0,0 +1,50 @@
+// server/storage/index.js
+import { createJsonStorage } from './jsonStorage.js';
+
+export { ATTENDANCE_EVENT, ATTENDANCE_EVENTS } from './jsonAttendance.js';
+
+/**
+ * Storage repository used by backend.js. Both drivers expose:
+ *
+ *   listStudents()               -> { [id]: student }
+ *   getStudent(id)               -> student | null
+ *   createStudent(student)       -> student   (throws DuplicateStudentError on id / IDNo clash)
+ *   updateStudent(id, update)    -> student | null   (update(current) returns the next record)
+ *   deleteStudent(id)            -> removed student | null   (also drops its descriptors)
+ *   getDescriptors(id)           -> [{ image, descriptor: Float32Array }]
+ *   listDescriptors()            -> { [id]: Float32Array[] }   (students with any stored)
+ *   setDescriptors(id, entries)  -> replaces the stored descriptors
+ *   updateDescriptors(id, update) -> entries | null   (update(stored, student) returns the
+ *                                   next entries; runs with the student locked, so
+ *                                   concurrent photo changes can't interleave)
+ *   getCalibration()             -> latest threshold calibration | null
+ *   saveCalibration(calibration) -> calibration   (becomes the latest)
+ *   listOperators() / getOperator(username)
+ *   createOperator(op)           -> op   (throws HttpError 409 if the username is taken)
+ *   updateOperator(username, update) / deleteOperator(username)
+ *   recordAttendance(input)      -> entry   (input: { event, student, verificationResult, at? })
+ *   listAttendance(filters)      -> entry[]   (filters: { event, studentId, department, from, to };
+ *                                   event defaults to attendance only, 'all' for every event)
+ *   close()
+ *
+ * Driver is picked by STORAGE_DRIVER: "json" (default, data/*.json) or
+ * "postgres" (DATABASE_URL).
+ */
+export const createStorage = async ({
+  driver = process.env.STORAGE_DRIVER || 'json',
+  dataDir,
+  legacyAttendanceFile,
+} = {}) => {
+  switch (driver) {
+    case 'json':
+      return createJsonStorage({ dataDir, legacyAttendanceFile });
+    case 'postgres':
+    case 'pg': {
+      // loaded lazily so JSON-only deployments don't need a reachable database
+      const { createPgStorage } = await import('./pgStorage.js');
+      return createPgStorage();
+    }
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}". Use "json" or "postgres".`);
+  }
+};
@@ -0,0 +1,164 @@
+// server/storage/jsonAttendance.js
+import fs from 'fs';
+import path from 'path';
+import { createExclusive } from '../serialize.js';
+
+/**
+ * Persistent attendance log (JSON array on disk).
+ *
+ * Entries keep the shape the old Vite `local-file-logger` plugin wrote to
+ * logs/success.json: { ts_manila, event, student, verificationResult }.
+ * On first use the legacy log is copied over so no history is lost.
+ */
+
+const manilaFormatter = new Intl.DateTimeFormat('sv-SE', {
+  timeZone: 'Asia/Manila',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hour12: false,
+});
+
+// e.g. 2026-02-25T19:39:04.138+08:00
+export const manilaTimestamp = (now = new Date()) =>
+  manilaFormatter.format(now).replace(' ', 'T') +
+  `.${String(now.getMilliseconds()).padStart(3, '0')}+08:00`;
+
+/**
+ * events the log accepts. Only verification_success is attendance; an
+ * identity_mismatch (a face that belongs to someone else, or a card whose
+ * printed name doesn't match) is kept for security review and is left out of
+ * listings unless asked for.
+ */
+export const ATTENDANCE_EVENT = 'verification_success';
+export const ATTENDANCE_EVENTS = [ATTENDANCE_EVENT, 'identity_mismatch'];
+
+export const toStudentMin = (student) =>
+  student
+    ? {
+        id: student.id,
+        displayid: student.displayId,
+        department: student.department,
+        year: student.year,
+        name: student.name,
+        email: student.email,
+      }
+    : null;
+
+// identity_mismatch events keep what the kiosk saw, for security review
+const toMismatchMin = (m) => ({
+  reason: m.reason,
+  resembledStudentId: m.resembledStudentId,
+  claimedDistance: m.claimedDistance,
+  resembledDistance: m.resembledDistance,
+  score: m.score,
+});
+
+export const toVerificationMin = (vr) =>
+  vr
+    ? {
+        confidence: vr.confidence,
+        similarity: vr.similarity,
+        ...(vr.mismatch ? { mismatch: toMismatchMin(vr.mismatch) } : {}),
+      }
+    : null;
+
+const isDateOnly = (s) => /^\d{4}-\d{2}-\d{2}$/.test(String(s ?? ''));
+
+// Date-only bounds compare against the Manila calendar day; anything else is parsed as an instant.
+const withinRange = (entry, from, to) => {
+  if (from) {
+    if (isDateOnly(from)) {
+      if (entry.ts_manila.slice(0, 10) < from) return false;
+    } else if (new Date(entry.ts_manila) < new Date(from)) {
+      return false;
+    }
+  }
+  if (to) {
+    if (isDateOnly(to)) {
+      if (entry.ts_manila.slice(0, 10) > to) return false;
+    } else if (new Date(entry.ts_manila) > new Date(to)) {
+      return false;
+    }
+  }
+  return true;
+};
+
+export const createAttendanceStore = ({ file, legacyFile } = {}) => {
+  // serialize read-modify-write cycles so concurrent POSTs can't drop entries
+  const exclusive = createExclusive();
+
+  const ensureFile = async () => {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    if (fs.existsSync(file)) return;
+
+    let seed = [];
+    if (legacyFile && fs.existsSync(legacyFile)) {
+      try {
+        const raw = await fs.promises.readFile(legacyFile, 'utf8');
+        const parsed = raw.trim() ? JSON.parse(raw) : [];
+        if (Array.isArray(parsed)) seed = parsed;
+      } catch (e) {
+        console.error('attendance: could not import legacy log:', e);
+      }
+    }
+    await writeAll(seed);
+  };
+
+  const readAll = async () => {
+    await ensureFile();
+    const raw = await fs.promises.readFile(file, 'utf8');
+    const arr = raw.trim() ? JSON.parse(raw) : [];
+    return Array.isArray(arr) ? arr : [];
+  };
+
+  // write-then-rename, so list() never parses a half-written log
+  const writeAll = async (arr) => {
+    const tmp = `${file}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify(arr, null, 2) + '\n', 'utf8');
+    await fs.promises.rename(tmp, file);
+  };
+
+  /**
+   * Append one attendance event.
+   * @param {Object} input - { event, student, verificationResult, at? }
+   * @returns {Promise<Object>} the stored entry
+   */
+  const record = ({ event, student, verificationResult, at }) =>
+    exclusive(async () => {
+      const arr = await readAll();
+      const entry = {
+        ts_manila: manilaTimestamp(at ? new Date(at) : new Date()),
+        event: event ?? ATTENDANCE_EVENT,
+        student: toStudentMin(student),
+        verificationResult: toVerificationMin(verificationResult),
+      };
+      arr.push(entry);
+      await writeAll(arr);
+      return entry;
+    });
+
+  /**
+   * List attendance events, oldest first.
+   * @param {Object} filters - { event, studentId, department, from, to }; event is one of
+   *   ATTENDANCE_EVENTS or 'all' (default: attendance only)
+   */
+  const list = async ({ event = ATTENDANCE_EVENT, studentId, department, from, to } = {}) => {
+    // in the queue too, so two first calls can't both create the file
+    const arr = await exclusive(readAll);
+    const dept = department ? String(department).toLowerCase() : null;
+
+    return arr.filter((entry) => {
+      // entries imported from the legacy log may have no event
+      if (event !== 'all' && (entry.event ?? ATTENDANCE_EVENT) !== event) return false;
+      if (studentId && entry.student?.id !== studentId) return false;
+      if (dept && String(entry.student?.department ?? '').toLowerCase() !== dept) return false;
+      return withinRange(entry, from, to);
+    });
+  };
+
+  return { record, list };
+};
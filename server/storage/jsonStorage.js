@@ -0,0 +1,214 @@
+// server/storage/jsonStorage.js
+import fs from 'fs';
+import path from 'path';
+import { createExclusive } from '../serialize.js';
+import { DuplicateStudentError, HttpError } from '../errors.js';
+import { createAttendanceStore } from './jsonAttendance.js';
+import { idNoOf } from '../ids.js';
+import { decodeDescriptor, encodeDescriptor } from '../descriptorCodec.js';
+
+// write-then-rename, so a crash mid-write can't leave a truncated file and a
+// reader outside the queue sees either the old contents or the new ones
+const writeFileAtomic = async (file, data) => {
+  const tmp = `${file}.tmp`;
+  await fs.promises.writeFile(tmp, data, 'utf8');
+  await fs.promises.rename(tmp, file);
+};
+
+/**
+ * File-backed storage: data/students.json (map of id -> student), face
+ * descriptors in data/descriptors/<id>.json, operator accounts in
+ * data/operators.json, the latest threshold calibration in
+ * data/calibration.json, plus the attendance log.
+ * Every write goes through one queue so concurrent requests can't overwrite
+ * each other's changes.
+ */
+export const createJsonStorage = ({ dataDir, legacyAttendanceFile }) => {
+  const studentsFile = path.join(dataDir, 'students.json');
+  const descriptorsDir = path.join(dataDir, 'descriptors');
+  const descriptorsFile = (id) => path.join(descriptorsDir, `${id}.json`);
+  const operatorsFile = path.join(dataDir, 'operators.json');
+  const calibrationFile = path.join(dataDir, 'calibration.json');
+  const exclusive = createExclusive();
+  const attendance = createAttendanceStore({
+    file: path.join(dataDir, 'attendance.json'),
+    legacyFile: legacyAttendanceFile,
+  });
+
+  const ensureDb = async () => {
+    if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
+    if (!fs.existsSync(studentsFile)) {
+      await fs.promises.writeFile(studentsFile, JSON.stringify({}, null, 2), 'utf8');
+    }
+  };
+
+  const readStudents = async () => {
+    await ensureDb();
+    const raw = await fs.promises.readFile(studentsFile, 'utf8');
+    return JSON.parse(raw || '{}');
+  };
+
+  const writeStudents = async (obj) => {
+    await ensureDb();
+    await writeFileAtomic(studentsFile, JSON.stringify(obj, null, 2));
+  };
+
+  const readDescriptors = async (id) => {
+    let raw;
+    try {
+      raw = await fs.promises.readFile(descriptorsFile(id), 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw e;
+    }
+    const { entries = [] } = JSON.parse(raw || '{}');
+    return entries.map((e) => ({ image: e.image, descriptor: decodeDescriptor(e.descriptor) }));
+  };
+
+  const writeDescriptors = async (id, entries) => {
+    await fs.promises.mkdir(descriptorsDir, { recursive: true });
+    const body = {
+      updatedAt: new Date().toISOString(),
+      entries: entries.map((e) => ({ image: e.image, descriptor: encodeDescriptor(e.descriptor) })),
+    };
+    await writeFileAtomic(descriptorsFile(id), JSON.stringify(body));
+  };
+
+  const readOperators = async () => {
+    try {
+      return JSON.parse((await fs.promises.readFile(operatorsFile, 'utf8')) || '{}');
+    } catch (e) {
+      if (e.code === 'ENOENT') return {};
+      throw e;
+    }
+  };
+
+  const writeOperators = async (obj) => {
+    await ensureDb();
+    await writeFileAtomic(operatorsFile, JSON.stringify(obj, null, 2));
+  };
+
+  return {
+    driver: 'json',
+
+    listStudents: () => exclusive(readStudents),
+
+    getStudent: (id) => exclusive(async () => (await readStudents())[id] || null),
+
+    createStudent: (student) =>
+      exclusive(async () => {
+        const students = await readStudents();
+        if (students[student.id]) throw new DuplicateStudentError('id');
+
+        const idNo = idNoOf(student.id);
+        if (Object.values(students).some((s) => idNoOf(s.id) === idNo)) {
+          throw new DuplicateStudentError('idNo');
+        }
+
+        students[student.id] = student;
+        await writeStudents(students);
+        return student;
+      }),
+
+    updateStudent: (id, update) =>
+      exclusive(async () => {
+        const students = await readStudents();
+        if (!students[id]) return null;
+
+        const next = await update(students[id]);
+        students[id] = { ...next, id };
+        await writeStudents(students);
+        return students[id];
+      }),
+
+    deleteStudent: (id) =>
+      exclusive(async () => {
+        const students = await readStudents();
+        const student = students[id];
+        if (!student) return null;
+
+        delete students[id];
+        await writeStudents(students);
+        await fs.promises.rm(descriptorsFile(id), { force: true });
+        return student;
+      }),
+
+    getDescriptors: (id) => readDescriptors(id),
+
+    // only registered students: a descriptors file can outlive a failed registration
+    listDescriptors: async () => {
+      const out = {};
+      for (const id of Object.keys(await readStudents())) {
+        const entries = await readDescriptors(id);
+        if (entries.length) out[id] = entries.map((e) => e.descriptor);
+      }
+      return out;
+    },
+
+    setDescriptors: (id, entries) => exclusive(() => writeDescriptors(id, entries)),
+
+    // in the same queue as updateStudent, so the student can't change in between
+    updateDescriptors: (id, update) =>
+      exclusive(async () => {
+        const student = (await readStudents())[id];
+        if (!student) return null;
+
+        const next = await update(await readDescriptors(id), student);
+        await writeDescriptors(id, next);
+        return next;
+      }),
+
+    getCalibration: async () => {
+      try {
+        return JSON.parse(await fs.promises.readFile(calibrationFile, 'utf8'));
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+
+    saveCalibration: (calibration) =>
+      exclusive(async () => {
+        await ensureDb();
+        await writeFileAtomic(calibrationFile, JSON.stringify(calibration, null, 2));
+        return calibration;
+      }),
+
+    listOperators: () => exclusive(async () => Object.values(await readOperators())),
+
+    getOperator: (username) => exclusive(async () => (await readOperators())[username] || null),
+
+    createOperator: (operator) =>
+      exclusive(async () => {
+        const operators = await readOperators();
+        if (operators[operator.username]) throw new HttpError(409, 'Operator already exists.');
+        operators[operator.username] = operator;
+        await writeOperators(operators);
+        return operator;
+      }),
+
+    updateOperator: (username, update) =>
+      exclusive(async () => {
+        const operators = await readOperators();
+        if (!operators[username]) return null;
+        operators[username] = { ...(await update(operators[username])), username };
+        await writeOperators(operators);
+        return operators[username];
+      }),
+
+    deleteOperator: (username) =>
+      exclusive(async () => {
+        const operators = await readOperators();
+        const operator = operators[username];
+        if (!operator) return null;
+        delete operators[username];
+        await writeOperators(operators);
+        return operator;
+      }),
+
+    recordAttendance: attendance.record,
+    listAttendance: attendance.list,
+
+    close: async () => {},
+  };
+};
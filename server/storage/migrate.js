@@ -0,0 +1,57 @@
+// server/storage/migrate.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const migrationsDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+
+// arbitrary constant so two servers starting together don't run migrations twice
+const MIGRATION_LOCK_KEY = 4810262;
+
+/**
+ * Applies pending migrations/*.sql in filename order, each in its own
+ * transaction, and records them in schema_migrations.
+ * @param {import('pg').Pool} pool
+ * @returns {Promise<string[]>} names of the migrations that were applied
+ */
+export const migrate = async (pool) => {
+  const client = await pool.connect();
+  const applied = [];
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        name        TEXT PRIMARY KEY,
+        applied_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+      )
+    `);
+
+    const { rows } = await client.query('SELECT name FROM schema_migrations');
+    const done = new Set(rows.map((r) => r.name));
+
+    const files = (await fs.promises.readdir(migrationsDir))
+      .filter((f) => f.endsWith('.sql'))
+      .sort();
+
+    for (const name of files) {
+      if (done.has(name)) continue;
+      const sql = await fs.promises.readFile(path.join(migrationsDir, name), 'utf8');
+
+      try {
+        await client.query('BEGIN');
+        await client.query(sql);
+        await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [name]);
+        await client.query('COMMIT');
+        applied.push(name);
+        console.log(`storage: applied migration ${name}`);
+      } catch (e) {
+        await client.query('ROLLBACK');
+        throw new Error(`Migration ${name} failed: ${e.message}`);
+      }
+    }
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+  return applied;
+};
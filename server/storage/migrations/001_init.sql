@@ -0,0 +1,36 @@
+-- 001_init.sql: students, face images and attendance
+
+CREATE TABLE students (
+  id          TEXT PRIMARY KEY,
+  id_no       TEXT NOT NULL,
+  display_id  TEXT NOT NULL,
+  name        TEXT NOT NULL,
+  department  TEXT NOT NULL,
+  year        TEXT NOT NULL,
+  email       TEXT NOT NULL,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at  TIMESTAMPTZ,
+  CONSTRAINT students_id_no_key UNIQUE (id_no)
+);
+
+-- ordered list backing student.faceImages (position 0 = faceImage)
+CREATE TABLE face_images (
+  student_id  TEXT NOT NULL REFERENCES students (id) ON DELETE CASCADE,
+  position    INTEGER NOT NULL,
+  path        TEXT NOT NULL,
+  PRIMARY KEY (student_id, position)
+);
+
+-- no FK on student_id: attendance history outlives deleted students
+CREATE TABLE attendance (
+  id                   BIGSERIAL PRIMARY KEY,
+  ts                   TIMESTAMPTZ NOT NULL DEFAULT now(),
+  ts_manila            TEXT NOT NULL,
+  event                TEXT NOT NULL,
+  student_id           TEXT,
+  student              JSONB,
+  verification_result  JSONB
+);
+
+CREATE INDEX attendance_ts_idx ON attendance (ts);
+CREATE INDEX attendance_student_idx ON attendance (student_id, ts);
@@ -0,0 +1,9 @@
+-- 002_face_descriptors.sql: 128-d descriptors computed at enrollment
+
+CREATE TABLE face_descriptors (
+  student_id  TEXT NOT NULL REFERENCES students (id) ON DELETE CASCADE,
+  position    INTEGER NOT NULL,
+  image_path  TEXT NOT NULL,
+  descriptor  BYTEA NOT NULL,  -- 128 little-endian float32 values
+  PRIMARY KEY (student_id, position)
+);
@@ -0,0 +1,9 @@
+-- 003_operators.sql: operator accounts for the admin/registrar/kiosk roles
+
+CREATE TABLE operators (
+  username       TEXT PRIMARY KEY,
+  role           TEXT NOT NULL CHECK (role IN ('admin', 'registrar', 'kiosk')),
+  password_hash  TEXT NOT NULL,
+  created_at     TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at     TIMESTAMPTZ
+);
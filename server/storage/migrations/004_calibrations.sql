@@ -0,0 +1,8 @@
+-- 004_calibrations.sql: threshold calibration runs (see server/calibration.js)
+
+-- every run is kept; the kiosk uses the latest
+CREATE TABLE calibrations (
+  id          BIGSERIAL PRIMARY KEY,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now(),
+  result      JSONB NOT NULL
+);
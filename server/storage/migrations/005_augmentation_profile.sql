@@ -0,0 +1,4 @@
+-- 005_augmentation_profile.sql: which augmentation profile made a student's variants
+-- (see environmentsim/profiles.js); NULL for students enrolled before profiles existed
+
+ALTER TABLE students ADD COLUMN augmentation_profile TEXT;
@@ -0,0 +1,6 @@
+-- 006_enrollment_status.sql: background enrollment (see server/jobQueue.js)
+-- 'pending' until the variants and descriptors are made, then 'ready' or 'failed';
+-- NULL for students enrolled before enrollment jobs existed
+
+ALTER TABLE students ADD COLUMN enrollment_status TEXT;
+ALTER TABLE students ADD COLUMN enrollment_job_id TEXT;
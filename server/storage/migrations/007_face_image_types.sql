@@ -0,0 +1,17 @@
+-- 007_face_image_types.sql: originals vs generated variants in face_images
+-- (see server/studentImages.js); a variant's source is the original it was made from
+
+ALTER TABLE face_images ADD COLUMN type TEXT NOT NULL DEFAULT 'original'
+  CHECK (type IN ('original', 'variant'));
+ALTER TABLE face_images ADD COLUMN source TEXT;
+
+-- existing rows: variants are the files under /uploads/processed/<original's base name>/
+UPDATE face_images SET type = 'variant' WHERE path LIKE '/uploads/processed/%';
+
+UPDATE face_images v
+   SET source = o.path
+  FROM face_images o
+ WHERE v.type = 'variant'
+   AND o.type = 'original'
+   AND o.student_id = v.student_id
+   AND v.path LIKE '/uploads/processed/' || regexp_replace(o.path, '^.*/([^/]*?)(\.[^./]*)?$', '\1') || '/%';
@@ -0,0 +1,354 @@
+// server/storage/pgStorage.js
+import pg from 'pg';
+import { DuplicateStudentError, HttpError } from '../errors.js';
+import { idNoOf } from '../ids.js';
+import { imagesOf, withImages } from '../studentImages.js';
+import { ATTENDANCE_EVENT, manilaTimestamp, toStudentMin, toVerificationMin } from './jsonAttendance.js';
+import { migrate } from './migrate.js';
+
+const UNIQUE_VIOLATION = '23505';
+
+const toIso = (v) => (v instanceof Date ? v.toISOString() : v ?? undefined);
+
+// students row + ordered face_images entries -> the same object shape students.json holds
+const rowToStudent = (row, images) => {
+  const student = withImages(
+    {
+      id: row.id,
+      displayId: row.display_id,
+      name: row.name,
+      department: row.department,
+      year: row.year,
+      email: row.email,
+      createdAt: toIso(row.created_at),
+    },
+    images
+  );
+  if (row.augmentation_profile) student.augmentationProfile = row.augmentation_profile;
+  if (row.enrollment_status) student.enrollmentStatus = row.enrollment_status;
+  if (row.enrollment_job_id) student.enrollmentJobId = row.enrollment_job_id;
+  if (row.updated_at) student.updatedAt = toIso(row.updated_at);
+  return student;
+};
+
+const rowToOperator = (row) => {
+  const operator = {
+    username: row.username,
+    role: row.role,
+    passwordHash: row.password_hash,
+    createdAt: toIso(row.created_at),
+  };
+  if (row.updated_at) operator.updatedAt = toIso(row.updated_at);
+  return operator;
+};
+
+const isDateOnly = (s) => /^\d{4}-\d{2}-\d{2}$/.test(String(s ?? ''));
+
+/**
+ * PostgreSQL storage. Connection comes from DATABASE_URL (or the usual PG*
+ * variables). Pending migrations run before the storage is returned.
+ */
+export const createPgStorage = async ({ connectionString = process.env.DATABASE_URL, pool } = {}) => {
+  const db = pool || new pg.Pool(connectionString ? { connectionString } : {});
+  await migrate(db);
+
+  const transaction = async (fn) => {
+    const client = await db.connect();
+    try {
+      await client.query('BEGIN');
+      const result = await fn(client);
+      await client.query('COMMIT');
+      return result;
+    } catch (e) {
+      await client.query('ROLLBACK');
+      throw e;
+    } finally {
+      client.release();
+    }
+  };
+
+  const loadImages = async (q, ids) => {
+    const { rows } = await q.query(
+      `SELECT student_id, path, type, source FROM face_images
+        WHERE student_id = ANY($1) ORDER BY student_id, position`,
+      [ids]
+    );
+    const byStudent = new Map();
+    for (const r of rows) {
+      if (!byStudent.has(r.student_id)) byStudent.set(r.student_id, []);
+      byStudent
+        .get(r.student_id)
+        .push(r.source ? { path: r.path, type: r.type, source: r.source } : { path: r.path, type: r.type });
+    }
+    return byStudent;
+  };
+
+  const writeImages = async (client, id, images) => {
+    await client.query('DELETE FROM face_images WHERE student_id = $1', [id]);
+    for (let i = 0; i < images.length; i++) {
+      await client.query(
+        'INSERT INTO face_images (student_id, position, path, type, source) VALUES ($1, $2, $3, $4, $5)',
+        [id, i, images[i].path, images[i].type, images[i].source ?? null]
+      );
+    }
+  };
+
+  const readDescriptors = async (q, id) => {
+    const { rows } = await q.query(
+      'SELECT image_path, descriptor FROM face_descriptors WHERE student_id = $1 ORDER BY position',
+      [id]
+    );
+    return rows.map((r) => ({
+      image: r.image_path,
+      descriptor: new Float32Array(
+        r.descriptor.buffer.slice(r.descriptor.byteOffset, r.descriptor.byteOffset + r.descriptor.byteLength)
+      ),
+    }));
+  };
+
+  const writeDescriptors = async (client, id, entries) => {
+    await client.query('DELETE FROM face_descriptors WHERE student_id = $1', [id]);
+    for (let i = 0; i < entries.length; i++) {
+      const { image, descriptor } = entries[i];
+      await client.query(
+        'INSERT INTO face_descriptors (student_id, position, image_path, descriptor) VALUES ($1, $2, $3, $4)',
+        [id, i, image, Buffer.from(descriptor.buffer, descriptor.byteOffset, descriptor.byteLength)]
+      );
+    }
+  };
+
+  const getStudent = async (id, q = db, { forUpdate = false } = {}) => {
+    const { rows } = await q.query(
+      `SELECT * FROM students WHERE id = $1${forUpdate ? ' FOR UPDATE' : ''}`,
+      [id]
+    );
+    if (!rows.length) return null;
+    const images = await loadImages(q, [id]);
+    return rowToStudent(rows[0], images.get(id) || []);
+  };
+
+  return {
+    driver: 'postgres',
+
+    listStudents: async () => {
+      const { rows } = await db.query('SELECT * FROM students ORDER BY created_at, id');
+      const images = await loadImages(db, rows.map((r) => r.id));
+      const students = {};
+      for (const row of rows) students[row.id] = rowToStudent(row, images.get(row.id) || []);
+      return students;
+    },
+
+    getStudent: (id) => getStudent(id),
+
+    // id and id_no uniqueness are enforced by constraints inside the transaction
+    createStudent: (student) =>
+      transaction(async (client) => {
+        try {
+          await client.query(
+            `INSERT INTO students (id, id_no, display_id, name, department, year, email, augmentation_profile,
+                                   enrollment_status, enrollment_job_id, created_at)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11::timestamptz, now()))`,
+            [
+              student.id,
+              idNoOf(student.id),
+              student.displayId,
+              student.name,
+              student.department,
+              student.year,
+              student.email,
+              student.augmentationProfile ?? null,
+              student.enrollmentStatus ?? null,
+              student.enrollmentJobId ?? null,
+              student.createdAt ?? null,
+            ]
+          );
+        } catch (e) {
+          if (e.code === UNIQUE_VIOLATION) {
+            throw new DuplicateStudentError(e.constraint === 'students_id_no_key' ? 'idNo' : 'id');
+          }
+          throw e;
+        }
+        await writeImages(client, student.id, imagesOf(student));
+        return getStudent(student.id, client);
+      }),
+
+    // row is locked for the duration of update() so concurrent edits serialize
+    updateStudent: (id, update) =>
+      transaction(async (client) => {
+        const current = await getStudent(id, client, { forUpdate: true });
+        if (!current) return null;
+
+        const next = await update(current);
+        await client.query(
+          `UPDATE students
+             SET name = $2, department = $3, year = $4, email = $5,
+                 augmentation_profile = $6, enrollment_status = $7, enrollment_job_id = $8,
+                 updated_at = $9::timestamptz
+           WHERE id = $1`,
+          [
+            id,
+            next.name,
+            next.department,
+            next.year,
+            next.email,
+            next.augmentationProfile ?? null,
+            next.enrollmentStatus ?? null,
+            next.enrollmentJobId ?? null,
+            next.updatedAt ?? null,
+          ]
+        );
+        await writeImages(client, id, imagesOf(next));
+        return getStudent(id, client);
+      }),
+
+    deleteStudent: (id) =>
+      transaction(async (client) => {
+        const current = await getStudent(id, client, { forUpdate: true });
+        if (!current) return null;
+        await client.query('DELETE FROM students WHERE id = $1', [id]);
+        return current;
+      }),
+
+    getDescriptors: (id) => readDescriptors(db, id),
+
+    listDescriptors: async () => {
+      const { rows } = await db.query(
+        'SELECT student_id, descriptor FROM face_descriptors ORDER BY student_id, position'
+      );
+      const out = {};
+      for (const r of rows) {
+        (out[r.student_id] ||= []).push(
+          new Float32Array(
+            r.descriptor.buffer.slice(r.descriptor.byteOffset, r.descriptor.byteOffset + r.descriptor.byteLength)
+          )
+        );
+      }
+      return out;
+    },
+
+    setDescriptors: (id, entries) => transaction((client) => writeDescriptors(client, id, entries)),
+
+    // the student row stays locked (as in updateStudent) until the descriptors are written
+    updateDescriptors: (id, update) =>
+      transaction(async (client) => {
+        const student = await getStudent(id, client, { forUpdate: true });
+        if (!student) return null;
+
+        const next = await update(await readDescriptors(client, id), student);
+        await writeDescriptors(client, id, next);
+        return next;
+      }),
+
+    getCalibration: async () => {
+      const { rows } = await db.query('SELECT result FROM calibrations ORDER BY id DESC LIMIT 1');
+      return rows.length ? rows[0].result : null;
+    },
+
+    saveCalibration: async (calibration) => {
+      await db.query('INSERT INTO calibrations (created_at, result) VALUES ($1, $2)', [
+        calibration.createdAt,
+        JSON.stringify(calibration),
+      ]);
+      return calibration;
+    },
+
+    listOperators: async () => {
+      const { rows } = await db.query('SELECT * FROM operators ORDER BY username');
+      return rows.map(rowToOperator);
+    },
+
+    getOperator: async (username) => {
+      const { rows } = await db.query('SELECT * FROM operators WHERE username = $1', [username]);
+      return rows.length ? rowToOperator(rows[0]) : null;
+    },
+
+    createOperator: async (operator) => {
+      try {
+        const { rows } = await db.query(
+          `INSERT INTO operators (username, role, password_hash, created_at)
+           VALUES ($1, $2, $3, COALESCE($4::timestamptz, now()))
+           RETURNING *`,
+          [operator.username, operator.role, operator.passwordHash, operator.createdAt ?? null]
+        );
+        return rowToOperator(rows[0]);
+      } catch (e) {
+        if (e.code === UNIQUE_VIOLATION) throw new HttpError(409, 'Operator already exists.');
+        throw e;
+      }
+    },
+
+    updateOperator: (username, update) =>
+      transaction(async (client) => {
+        const { rows } = await client.query(
+          'SELECT * FROM operators WHERE username = $1 FOR UPDATE',
+          [username]
+        );
+        if (!rows.length) return null;
+
+        const next = await update(rowToOperator(rows[0]));
+        const updated = await client.query(
+          `UPDATE operators SET role = $2, password_hash = $3, updated_at = $4::timestamptz
+           WHERE username = $1 RETURNING *`,
+          [username, next.role, next.passwordHash, next.updatedAt ?? null]
+        );
+        return rowToOperator(updated.rows[0]);
+      }),
+
+    deleteOperator: async (username) => {
+      const { rows } = await db.query('DELETE FROM operators WHERE username = $1 RETURNING *', [username]);
+      return rows.length ? rowToOperator(rows[0]) : null;
+    },
+
+    recordAttendance: async ({ event, student, verificationResult, at }) => {
+      const now = at ? new Date(at) : new Date();
+      const entry = {
+        ts_manila: manilaTimestamp(now),
+        event: event ?? ATTENDANCE_EVENT,
+        student: toStudentMin(student),
+        verificationResult: toVerificationMin(verificationResult),
+      };
+      await db.query(
+        `INSERT INTO attendance (ts, ts_manila, event, student_id, student, verification_result)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [now, entry.ts_manila, entry.event, entry.student?.id ?? null, entry.student, entry.verificationResult]
+      );
+      return entry;
+    },
+
+    listAttendance: async ({ event = ATTENDANCE_EVENT, studentId, department, from, to } = {}) => {
+      const where = [];
+      const params = [];
+      const add = (sql, value) => {
+        params.push(value);
+        where.push(sql.replace('?', `$${params.length}`));
+      };
+
+      if (event !== 'all') add('event = ?', event);
+      if (studentId) add('student_id = ?', studentId);
+      if (department) add("lower(student->>'department') = lower(?)", String(department));
+      if (from) {
+        if (isDateOnly(from)) add("(ts AT TIME ZONE 'Asia/Manila')::date >= ?::date", from);
+        else add('ts >= ?::timestamptz', from);
+      }
+      if (to) {
+        if (isDateOnly(to)) add("(ts AT TIME ZONE 'Asia/Manila')::date <= ?::date", to);
+        else add('ts <= ?::timestamptz', to);
+      }
+
+      const { rows } = await db.query(
+        `SELECT ts_manila, event, student, verification_result FROM attendance
+         ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+         ORDER BY ts, id`,
+        params
+      );
+      return rows.map((r) => ({
+        ts_manila: r.ts_manila,
+        event: r.event,
+        student: r.student,
+        verificationResult: r.verification_result,
+      }));
+    },
+
+    close: () => db.end(),
+  };
+};
@@ -0,0 +1,330 @@
+// server/storage/storage.test.js
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PGlite } from '@electric-sql/pglite';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { DuplicateStudentError } from '../errors.js';
+import { faceImagesOf, imagesOf, withImages } from '../studentImages.js';
+import { createJsonStorage } from './jsonStorage.js';
+import { importJson } from './importJson.js';
+import { createPgStorage } from './pgStorage.js';
+
+// the methods server/storage/index.js documents; both drivers must have all of them
+const REPOSITORY_METHODS = [
+  'listStudents',
+  'getStudent',
+  'createStudent',
+  'updateStudent',
+  'deleteStudent',
+  'getDescriptors',
+  'listDescriptors',
+  'setDescriptors',
+  'updateDescriptors',
+  'getCalibration',
+  'saveCalibration',
+  'listOperators',
+  'getOperator',
+  'createOperator',
+  'updateOperator',
+  'deleteOperator',
+  'recordAttendance',
+  'listAttendance',
+  'close',
+];
+
+/**
+ * In-process Postgres (PGlite) behind the part of the pg.Pool API pgStorage
+ * uses. PGlite has one connection, so callers take turns on it like a pool of
+ * size 1: a transaction holds it from connect() until release().
+ */
+const pglitePool = (pglite) => {
+  let tail = Promise.resolve();
+  const acquire = () => {
+    let release;
+    const held = new Promise((resolve) => {
+      release = resolve;
+    });
+    const ready = tail;
+    tail = tail.then(() => held);
+    return ready.then(() => release);
+  };
+
+  // migrations are several statements without parameters, which only exec() runs
+  const run = async (sql, params = []) => {
+    if (params.length) return pglite.query(sql, params);
+    const results = await pglite.exec(sql);
+    return results[results.length - 1] ?? { rows: [] };
+  };
+
+  return {
+    connect: async () => ({ query: run, release: await acquire() }),
+    query: async (sql, params) => {
+      const release = await acquire();
+      try {
+        return await run(sql, params);
+      } finally {
+        release();
+      }
+    },
+    end: () => pglite.close(),
+  };
+};
+
+const drivers = {
+  json: async () => {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+    const storage = createJsonStorage({ dataDir });
+    return { storage, cleanup: () => fs.rmSync(dataDir, { recursive: true, force: true }) };
+  },
+  postgres: async () => {
+    const storage = await createPgStorage({ pool: pglitePool(new PGlite()) });
+    return { storage, cleanup: () => storage.close() };
+  },
+};
+
+// as backend.js builds them
+const student = (id, extra = {}) =>
+  withImages(
+    {
+      id,
+      displayId: id,
+      name: 'Juan Dela Cruz',
+      department: 'CCICT',
+      year: '2026',
+      email: `${id}@university.edu`,
+      createdAt: '2026-01-05T01:00:00.000Z',
+      ...extra,
+    },
+    [{ path: `/uploads/${id}.jpg`, type: 'original' }]
+  );
+
+const descriptor = (image, value) => ({ image, descriptor: new Float32Array(128).fill(value) });
+
+describe.each(Object.keys(drivers))('%s storage', (driver) => {
+  let storage;
+  let cleanup;
+
+  beforeEach(async () => {
+    ({ storage, cleanup } = await drivers[driver]());
+  });
+
+  afterEach(async () => {
+    await cleanup();
+  });
+
+  it('implements the whole repository interface', () => {
+    for (const method of REPOSITORY_METHODS) expect(typeof storage[method], method).toBe('function');
+  });
+
+  it('creates and reads back a student', async () => {
+    await storage.createStudent(student('26412342'));
+    const stored = await storage.getStudent('26412342');
+    expect(stored).toMatchObject({ id: '26412342', name: 'Juan Dela Cruz', faceImage: '/uploads/26412342.jpg' });
+    expect(Object.keys(await storage.listStudents())).toEqual(['26412342']);
+  });
+
+  it('rejects a duplicate ID', async () => {
+    await storage.createStudent(student('26412342'));
+    const err = await storage.createStudent(student('26412342', { name: 'Other' })).catch((e) => e);
+    expect(err).toBeInstanceOf(DuplicateStudentError);
+    expect(err.field).toBe('id');
+    expect((await storage.getStudent('26412342')).name).toBe('Juan Dela Cruz');
+  });
+
+  it('rejects a duplicate IDNo under another ID, across ID formats', async () => {
+    await storage.createStudent(student('2541234')); // v1, IDNo 1234
+    const err = await storage.createStudent(student('26412342')).catch((e) => e); // v2, IDNo 1234
+    expect(err).toBeInstanceOf(DuplicateStudentError);
+    expect(err.field).toBe('idNo');
+    expect(await storage.getStudent('26412342')).toBeNull();
+  });
+
+  it('lets exactly one of two concurrent registrations with the same IDNo through', async () => {
+    const results = await Promise.allSettled([
+      storage.createStudent(student('26412342')),
+      storage.createStudent(student('25412346')),
+    ]);
+    expect(results.filter((r) => r.status === 'fulfilled')).toHaveLength(1);
+    const [rejected] = results.filter((r) => r.status === 'rejected');
+    expect(rejected.reason).toBeInstanceOf(DuplicateStudentError);
+    expect(Object.keys(await storage.listStudents())).toHaveLength(1);
+  });
+
+  it('keeps working after a rejected registration', async () => {
+    await storage.createStudent(student('26412342'));
+    await storage.createStudent(student('26412342')).catch(() => {});
+    await storage.createStudent(student('26455552'));
+    expect(Object.keys(await storage.listStudents()).sort()).toEqual(['26412342', '26455552']);
+  });
+
+  it('round-trips attendance entries and filters them', async () => {
+    const s = student('26412342');
+    const entry = await storage.recordAttendance({
+      event: 'verification_success',
+      student: s,
+      verificationResult: { confidence: 0.91, similarity: 0.72, extra: 'dropped' },
+      at: '2026-03-02T02:30:00.000Z',
+    });
+    await storage.recordAttendance({
+      event: 'verification_success',
+      student: student('26455552', { department: 'CBA' }),
+      verificationResult: { confidence: 0.8, similarity: 0.6 },
+      at: '2026-03-04T02:30:00.000Z',
+    });
+
+    expect(entry).toEqual({
+      ts_manila: '2026-03-02T10:30:00.000+08:00',
+      event: 'verification_success',
+      student: {
+        id: '26412342',
+        displayid: '26412342',
+        department: 'CCICT',
+        year: '2026',
+        name: 'Juan Dela Cruz',
+        email: '26412342@university.edu',
+      },
+      verificationResult: { confidence: 0.91, similarity: 0.72 },
+    });
+
+    const all = await storage.listAttendance();
+    expect(all).toHaveLength(2);
+    expect(all[0]).toEqual(entry);
+
+    expect(await storage.listAttendance({ studentId: '26412342' })).toEqual([entry]);
+    expect(await storage.listAttendance({ department: 'ccict' })).toEqual([entry]);
+    expect(await storage.listAttendance({ from: '2026-03-03' })).toHaveLength(1);
+    expect(await storage.listAttendance({ to: '2026-03-02' })).toEqual([entry]);
+  });
+
+  it('leaves identity mismatches out of attendance listings unless asked for', async () => {
+    const s = student('26412342');
+    const attended = await storage.recordAttendance({
+      student: s,
+      verificationResult: { confidence: 0.9, similarity: 0.7 },
+      at: '2026-03-02T02:30:00.000Z',
+    });
+    const mismatch = await storage.recordAttendance({
+      event: 'identity_mismatch',
+      student: s,
+      verificationResult: { mismatch: { reason: 'face', resembledStudentId: '26455552' } },
+      at: '2026-03-02T02:31:00.000Z',
+    });
+    expect(attended.event).toBe('verification_success');
+
+    expect(await storage.listAttendance()).toEqual([attended]);
+    expect(await storage.listAttendance({ studentId: '26412342' })).toEqual([attended]);
+    expect(await storage.listAttendance({ event: 'identity_mismatch' })).toEqual([mismatch]);
+    expect(await storage.listAttendance({ event: 'all' })).toEqual([attended, mismatch]);
+  });
+
+  it('updates descriptors against the student as it is at write time', async () => {
+    const s = withImages(student('26412342'), [
+      { path: '/uploads/26412342.jpg', type: 'original' },
+      { path: '/uploads/26412342_2.jpg', type: 'original' },
+    ]);
+    await storage.createStudent(s);
+    await storage.setDescriptors(s.id, [descriptor('/uploads/26412342.jpg', 0.1)]);
+
+    // a photo removal requested while the descriptors are being written waits for them
+    let release;
+    const gate = new Promise((resolve) => {
+      release = resolve;
+    });
+    const write = storage.updateDescriptors(s.id, async (entries, current) => {
+      await gate;
+      return [...entries, descriptor(faceImagesOf(current)[1], 0.2)];
+    });
+    let removed = false;
+    const removal = storage
+      .updateStudent(s.id, (current) => withImages(current, imagesOf(current).slice(0, 1)))
+      .then(() => {
+        removed = true;
+      });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(removed).toBe(false);
+    release();
+
+    const written = await write;
+    await removal;
+    expect(written.map((d) => d.image)).toEqual(['/uploads/26412342.jpg', '/uploads/26412342_2.jpg']);
+
+    // and the next update sees the removal
+    const kept = await storage.updateDescriptors(s.id, (entries, current) =>
+      entries.filter((d) => faceImagesOf(current).includes(d.image))
+    );
+    expect(kept.map((d) => d.image)).toEqual(['/uploads/26412342.jpg']);
+    const stored = await storage.getDescriptors(s.id);
+    expect(stored.map((d) => d.image)).toEqual(['/uploads/26412342.jpg']);
+    expect(stored[0].descriptor).toEqual(new Float32Array(128).fill(0.1));
+  });
+
+  it('writes no descriptors for an unknown student', async () => {
+    const update = await storage.updateDescriptors('26412342', () => [descriptor('/uploads/26412342.jpg', 0.1)]);
+    expect(update).toBeNull();
+    expect(await storage.getDescriptors('26412342')).toEqual([]);
+  });
+});
+
+describe('importJson', () => {
+  const quiet = { log: () => {}, warn: () => {} };
+  let json;
+  let pg;
+  let cleanup;
+
+  beforeEach(async () => {
+    const source = await drivers.json();
+    json = source.storage;
+    cleanup = source.cleanup;
+    pg = (await drivers.postgres()).storage;
+  });
+
+  afterEach(async () => {
+    await pg.close();
+    cleanup();
+  });
+
+  it('copies descriptors and the latest calibration along with the students', async () => {
+    await json.createStudent(student('26412342'));
+    await json.createStudent(student('26455552'));
+    await json.setDescriptors('26412342', [descriptor('/uploads/26412342.jpg', 0.1)]);
+    const calibration = { createdAt: '2026-03-01T00:00:00.000Z', threshold: 0.42 };
+    await json.saveCalibration(calibration);
+
+    await importJson(json, pg, { log: quiet });
+
+    expect(Object.keys(await pg.listStudents()).sort()).toEqual(['26412342', '26455552']);
+    const copied = await pg.getDescriptors('26412342');
+    expect(copied.map((d) => d.image)).toEqual(['/uploads/26412342.jpg']);
+    expect(copied[0].descriptor).toEqual(new Float32Array(128).fill(0.1));
+    expect(await pg.getDescriptors('26455552')).toEqual([]);
+    expect(await pg.getCalibration()).toEqual(calibration);
+  });
+
+  it('leaves a student that is already there, and its descriptors, alone', async () => {
+    await json.createStudent(student('26412342'));
+    await json.setDescriptors('26412342', [descriptor('/uploads/26412342.jpg', 0.1)]);
+    await pg.createStudent(student('26412342'));
+    await pg.setDescriptors('26412342', [descriptor('/uploads/26412342.jpg', 0.3)]);
+    const calibration = { createdAt: '2026-04-01T00:00:00.000Z', threshold: 0.38 };
+    await pg.saveCalibration(calibration);
+    await json.saveCalibration({ createdAt: '2026-03-01T00:00:00.000Z', threshold: 0.42 });
+
+    await importJson(json, pg, { log: quiet });
+
+    const [kept] = await pg.getDescriptors('26412342');
+    expect(kept.descriptor).toEqual(new Float32Array(128).fill(0.3));
+    expect(await pg.getCalibration()).toEqual(calibration);
+  });
+
+  it('copies identity mismatches along with attendance', async () => {
+    const s = student('26412342');
+    await json.recordAttendance({ student: s, verificationResult: { distance: 0.3 } });
+    await json.recordAttendance({ event: 'identity_mismatch', student: s, verificationResult: { distance: 0.2 } });
+
+    await importJson(json, pg, { log: quiet });
+
+    const events = (await pg.listAttendance({ event: 'all' })).map((e) => e.event);
+    expect(events).toEqual(['verification_success', 'identity_mismatch']);
+  });
+});
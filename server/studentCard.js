@@ -0,0 +1,102 @@
+// server/studentCard.js
+import crypto from 'crypto';
+import QRCode from 'qrcode';
+import { HttpError } from './errors.js';
+import { digitsOnly, formatDisplayId, isValidStudentId } from './ids.js';
+
+/**
+ * Signed card codes.
+ *
+ * Each printed card carries a QR code with "SID1.<id>.<sig>" (id: 7 or 8
+ * digits, see ids.js), where sig is HMAC-SHA256(CARD_SECRET, "SID1.<id>")
+ * truncated to 96 bits (base64url).
+ * The kiosk decodes it from the camera and asks the backend to check the
+ * signature (POST /api/cards/verify), so the key never reaches the browser.
+ */
+
+export const CARD_CODE_VERSION = 'SID1';
+const SIG_BYTES = 12;
+
+// ID-1 card at 10 px/mm, same as the scanner's rectified card
+const CARD_WIDTH = 856;
+const CARD_HEIGHT = 540;
+
+const escapeXml = (s) =>
+  String(s ?? '').replace(/[<>&"']/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c]);
+
+/**
+ * @param {Object} deps
+ * @param {string} [deps.secret] - signing key (CARD_SECRET, else AUTH_SECRET)
+ */
+export const createCardCodec = ({ secret }) => {
+  if (!secret) {
+    console.warn('cards: CARD_SECRET is not set; using a random key (printed cards stop scanning on restart)');
+  }
+  const key = secret || crypto.randomBytes(32).toString('hex');
+
+  const sign = (body) =>
+    crypto.createHmac('sha256', key).update(body).digest().subarray(0, SIG_BYTES).toString('base64url');
+
+  /** canonical id (7 or 8 digits) -> QR payload */
+  const encode = (id) => {
+    const canonicalId = digitsOnly(id);
+    if (!isValidStudentId(canonicalId)) throw new HttpError(400, 'Not a valid student ID.');
+    const body = `${CARD_CODE_VERSION}.${canonicalId}`;
+    return `${body}.${sign(body)}`;
+  };
+
+  /**
+   * QR payload -> canonical id
+   * @throws {HttpError} 400 if it isn't a card code, 403 if the signature doesn't match
+   */
+  const decode = (payload) => {
+    const [version, id, sig, ...rest] = String(payload ?? '').trim().split('.');
+    if (version !== CARD_CODE_VERSION || !isValidStudentId(id) || !sig || rest.length) {
+      throw new HttpError(400, 'Not a student card code.');
+    }
+    const expected = Buffer.from(sign(`${version}.${id}`));
+    const actual = Buffer.from(sig);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new HttpError(403, 'Card signature is not valid.');
+    }
+    return id;
+  };
+
+  return { encode, decode };
+};
+
+/**
+ * Printable ID-1 card (SVG, 85.6 x 54 mm) with the student details, the
+ * display ID in large digits (still readable by the OCR fallback) and the QR code.
+ *
+ * @param {Object} student - { id, name, department, year }
+ * @param {string} code - payload from encode()
+ * @returns {Promise<string>} svg document
+ */
+export const renderCardSvg = async (student, code) => {
+  const qrSize = 300;
+  const qrX = CARD_WIDTH - qrSize - 40;
+  const qrY = (CARD_HEIGHT - qrSize) / 2 + 20;
+
+  // error level M survives some glare; the nested <svg> is positioned on the card
+  const qr = (await QRCode.toString(code, { type: 'svg', errorCorrectionLevel: 'M', margin: 2 }))
+    .replace(/^<\?xml[^>]*>\s*/, '')
+    .replace('<svg ', `<svg x="${qrX}" y="${qrY}" width="${qrSize}" height="${qrSize}" `);
+
+  const text = (x, y, size, value, extra = '') =>
+    `<text x="${x}" y="${y}" font-size="${size}" ${extra}>${escapeXml(value)}</text>`;
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="85.6mm" height="54mm" viewBox="0 0 ${CARD_WIDTH} ${CARD_HEIGHT}" font-family="Arial, Helvetica, sans-serif">`,
+    `<rect width="${CARD_WIDTH}" height="${CARD_HEIGHT}" rx="32" fill="#ffffff" stroke="#1e293b" stroke-width="4"/>`,
+    `<rect width="${CARD_WIDTH}" height="90" rx="32" fill="#1e3a8a"/>`,
+    `<rect y="58" width="${CARD_WIDTH}" height="32" fill="#1e3a8a"/>`,
+    text(40, 60, 36, 'STUDENT ID', 'fill="#ffffff" font-weight="bold" letter-spacing="4"'),
+    text(40, 180, 40, student.name, 'fill="#0f172a" font-weight="bold"'),
+    text(40, 235, 28, student.department, 'fill="#334155"'),
+    text(40, 280, 28, student.year ? `Year ${student.year}` : '', 'fill="#334155"'),
+    text(40, 440, 64, formatDisplayId(student.id), 'fill="#000000" font-family="Courier New, monospace" font-weight="bold"'),
+    qr,
+    '</svg>',
+  ].join('\n');
+};
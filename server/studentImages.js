@@ -0,0 +1,58 @@
+// server/studentImages.js
+import path from 'path';
+
+/**
+ * A student's face images as typed entries, in the order the kiosk tries them:
+ *
+ *   { path, type: 'original' }                   a photo uploaded by the registrar
+ *   { path, type: 'variant', source: <path> }    generated from that original
+ *                                                (environmentsim, uploads/processed/<base>/)
+ *
+ * Records keep the entries in `images`. `faceImages` (every path, same order)
+ * and `faceImage` (the first original) are kept alongside for the kiosk and
+ * older clients; set all three with withImages. Records from before `images`
+ * existed are typed by where the file lives.
+ */
+
+const VARIANT_DIR = '/uploads/processed/';
+
+export const ORIGINAL = 'original';
+export const VARIANT = 'variant';
+
+// "/uploads/x.jpg" -> "/uploads/processed/x/", where its variants are written
+export const variantPrefixFor = (publicPath) => `${VARIANT_DIR}${path.parse(publicPath).name}/`;
+
+const legacyPathsOf = (student) =>
+  Array.isArray(student.faceImages) && student.faceImages.length
+    ? student.faceImages
+    : student.faceImage
+      ? [student.faceImage]
+      : [];
+
+/** @returns {{ path: string, type: 'original' | 'variant', source?: string }[]} */
+export const imagesOf = (student) => {
+  if (Array.isArray(student.images)) return student.images;
+
+  const paths = legacyPathsOf(student);
+  const originals = paths.filter((p) => !String(p).startsWith(VARIANT_DIR));
+  return paths.map((p) => {
+    if (originals.includes(p)) return { path: p, type: ORIGINAL };
+    const source = originals.find((o) => String(p).startsWith(variantPrefixFor(o)));
+    return source ? { path: p, type: VARIANT, source } : { path: p, type: VARIANT };
+  });
+};
+
+export const faceImagesOf = (student) => imagesOf(student).map((e) => e.path);
+
+export const originalsOf = (student) =>
+  imagesOf(student)
+    .filter((e) => e.type === ORIGINAL)
+    .map((e) => e.path);
+
+/** The student with `images` replaced and faceImages / faceImage derived from it. */
+export const withImages = (student, images) => ({
+  ...student,
+  images,
+  faceImages: images.map((e) => e.path),
+  faceImage: images.find((e) => e.type === ORIGINAL)?.path ?? images[0]?.path,
+});
@@ -1,4 +1,5 @@
 import React, { useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import IDScanner from './components/IDScanner';
 import FaceVerifier from './components/FaceVerifier';
 import SuccessScreen from './components/SuccessScreen';
@@ -21,37 +22,57 @@ import useVerificationFlow from './hooks/useVerificationFlow';
  *   2. verifying_face   -> faceverifier component
  *   3. success          -> successscreen component
  *   4. failed_*         -> failurescreen component (with retry)
+ *
+ * face-only mode (`/?mode=face`, or VITE_KIOSK_MODE=face) for entrances
+ * without a card reader skips step 1:
+ *   1. identifying_face -> faceverifier in identify mode (1:N search)
+ *   2. success / failed_identify
  */
 const VerificationApp = () => {
+  const [searchParams] = useSearchParams();
+
   // state machine hook - manages step transitions and data flow
   const {
+    mode,                 // 'card' (id card + face) or 'face' (face only)
     currentStep,          // current verification state (scanning_id, verifying_face, success, failed_*)
     studentId,            // detected student id string
     studentData,          // full student record from database
     verificationResult,   // face match results { similarity, confidence, timestamp }
+    mismatch,             // reason for failed_mismatch ({ reason: 'card_name' | 'face', ... }) or null
     handleIDDetected,     // callback: id scanned -> look up student -> next step
     handleFaceVerified,   // callback: face matched -> success screen
     handleFaceFailed,     // callback: face failed -> failure screen
+    handleFaceMismatch,   // callback: face is another enrolled student -> mismatch screen
+    handleFaceIdentified, // callback: face-only mode found the student -> success screen
     reset                 // callback: reset everything to step 1
-  } = useVerificationFlow();
+  } = useVerificationFlow({ mode: searchParams.get('mode') ?? undefined });
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100">
       <div className="container mx-auto px-4 py-8">
         <div className="flex items-center justify-center gap-8">
-          <ProgressIndicator currentStep={currentStep} />
+          <ProgressIndicator currentStep={currentStep} mode={mode} />
           
           <div className="flex-1 max-w-2xl">
             {currentStep === 'scanning_id' && (
               <IDScanner onIDDetected={handleIDDetected} />
             )}
 
+            {currentStep === 'identifying_face' && (
+              <FaceVerifier
+                identify
+                onVerified={handleFaceIdentified}
+                onFailed={handleFaceFailed}
+              />
+            )}
+
             {currentStep === 'verifying_face' && studentData && (
               <FaceVerifier
                 studentId={studentId}
                 studentData={studentData}
                 onVerified={handleFaceVerified}
                 onFailed={handleFaceFailed}
+                onMismatch={handleFaceMismatch}
               />
             )}
 
@@ -65,10 +86,12 @@ const VerificationApp = () => {
 
             {(currentStep === 'failed_id' || 
               currentStep === 'failed_face' || 
-              currentStep === 'failed_mismatch') && (
+              currentStep === 'failed_mismatch' ||
+              currentStep === 'failed_identify') && (
               <FailureScreen
                 failureType={currentStep}
                 studentId={studentId}
+                mismatch={mismatch}
                 onRetry={reset}
               />
             )}
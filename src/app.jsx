@@ -1,21 +1,33 @@
-import React, { useEffect } from "react";
+import React from "react";
 import { BrowserRouter, Routes, Route, Navigate } from "react-router-dom";
 import FaceRecog from "./FaceRecog";
 import Registration from "./pages/Registration";
-import { syncStudentsFromServer } from "./services/testDB";
+import Login from "./pages/Login";
+import RequireRole from "./components/RequireRole";
 
 export default function App() {
-  useEffect(() => {
-    syncStudentsFromServer().catch(console.error);
-  }, []);
-
   return (
     <BrowserRouter>
       <Routes>
-        <Route path="/" element={<FaceRecog />} />
-        <Route path="/register" element={<Registration />} />
+        <Route
+          path="/"
+          element={
+            <RequireRole roles={["admin", "registrar", "kiosk"]}>
+              <FaceRecog />
+            </RequireRole>
+          }
+        />
+        <Route
+          path="/register"
+          element={
+            <RequireRole roles={["admin", "registrar"]}>
+              <Registration />
+            </RequireRole>
+          }
+        />
+        <Route path="/login" element={<Login />} />
         <Route path="*" element={<Navigate to="/" replace />} />
       </Routes>
     </BrowserRouter>
   );
-}
\ No newline at end of file
+}
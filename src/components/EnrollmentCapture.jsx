@@ -0,0 +1,125 @@
+import { useRef } from "react";
+import PropTypes from "prop-types";
+import useEnrollmentCapture from "../hooks/useEnrollmentCapture";
+import { CAPTURE_POSES } from "../hooks/enrollmentCapture";
+
+/**
+ * Guided webcam capture of the enrollment photos (useEnrollmentCapture): a
+ * mirrored preview with the current pose prompt and a hold bar that fills while
+ * the frame is good, then one slot per pose with a retake button.
+ *
+ * @param {number} maxBytes - per photo, as the upload form's limit
+ * @param {Function} onUse - called with the photos (File[], in CAPTURE_POSES order)
+ * @param {Function} onCancel - back to picking a file
+ */
+export default function EnrollmentCapture({ maxBytes, onUse, onCancel }) {
+  const videoRef = useRef(null);
+  const { status, error, pose, hint, holdProgress, shots, start, stop, retake } = useEnrollmentCapture(videoRef, {
+    maxBytes,
+  });
+
+  const allTaken = CAPTURE_POSES.every((p) => shots[p.key]);
+  const live = status === "loading" || status === "capturing";
+
+  return (
+    <div className="mt-2 space-y-3">
+      <div className="relative w-full aspect-video bg-black rounded-lg overflow-hidden border border-slate-700">
+        <video
+          ref={videoRef}
+          muted
+          playsInline
+          className={`w-full h-full object-cover -scale-x-100 ${live ? "" : "hidden"}`}
+        />
+        {!live && (
+          <div className="absolute inset-0 flex items-center justify-center text-sm text-slate-400 p-4 text-center">
+            {error ||
+              (allTaken ? "All photos taken." : "The camera takes a frontal, a slight-left and a slight-right photo.")}
+          </div>
+        )}
+        {status === "loading" && (
+          <div className="absolute inset-0 flex items-center justify-center text-sm text-slate-200 bg-black/60">
+            Starting camera...
+          </div>
+        )}
+        {pose && (
+          <div className="absolute top-3 left-3 right-3 bg-black/60 backdrop-blur-sm rounded-lg p-3 border border-white/10">
+            <div className="text-sm font-semibold">{pose.prompt}</div>
+            <div className="text-xs text-white/80 mt-1">{hint}</div>
+            <div className="w-full h-2 bg-white/20 rounded-full overflow-hidden mt-2">
+              <div
+                className="h-full bg-green-400 rounded-full transition-all duration-200"
+                style={{ width: `${Math.round(holdProgress * 100)}%` }}
+              />
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-3 gap-2">
+        {CAPTURE_POSES.map((p) => (
+          <div
+            key={p.key}
+            className={`rounded-lg border p-2 text-center text-xs ${
+              pose?.key === p.key ? "border-yellow-300/60" : "border-slate-700"
+            }`}
+          >
+            {shots[p.key] ? (
+              <img
+                src={shots[p.key].url}
+                alt={p.label}
+                className="w-full aspect-square object-cover rounded"
+              />
+            ) : (
+              <div className="w-full aspect-square rounded bg-slate-950 flex items-center justify-center text-slate-500">
+                Pending
+              </div>
+            )}
+            <div className="mt-1 text-slate-300">{p.label}</div>
+            {shots[p.key] && (
+              <button type="button" onClick={() => retake(p.key)} className="mt-1 underline text-slate-200">
+                Retake
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex gap-2">
+        {!live && !allTaken && (
+          <button
+            type="button"
+            onClick={start}
+            className="px-4 py-2 rounded-lg bg-indigo-600 hover:bg-indigo-500 transition text-sm"
+          >
+            {status === "error" ? "Try Again" : "Start Camera"}
+          </button>
+        )}
+        {allTaken && (
+          <button
+            type="button"
+            onClick={() => onUse(CAPTURE_POSES.map((p) => shots[p.key].file))}
+            className="px-4 py-2 rounded-lg bg-emerald-600 hover:bg-emerald-500 transition text-sm"
+          >
+            Use These Photos
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={() => {
+            stop();
+            onCancel();
+          }}
+          className="px-4 py-2 rounded-lg bg-slate-800 hover:bg-slate-700 transition text-sm"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+EnrollmentCapture.propTypes = {
+  maxBytes: PropTypes.number.isRequired,
+  onUse: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
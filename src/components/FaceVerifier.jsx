@@ -1,7 +1,10 @@
   import React, { useRef, useMemo, useEffect } from "react";
-  import { User, CheckCircle2, XCircle, ArrowLeft, ArrowRight, ArrowLeftRight } from 'lucide-react';
+  import { User, CheckCircle2, XCircle, ArrowLeft, ArrowRight, ArrowLeftRight, Eye, EyeOff, Timer } from 'lucide-react';
+  import PropTypes from 'prop-types';
   import useFaceVerification from '../hooks/useFaceVerification';
   import * as faceapi from '@vladmandic/face-api';
+import { CHALLENGE_ACTIONS } from '../hooks/liveness';
+import { formatDisplayId } from '../services/studentIds';
   
 
   /**
@@ -20,11 +23,16 @@
    * @param {Object} studentData - full student record { name, department, year, faceImage, email }
    * @param {Function} onVerified - callback when face is verified (receives { similarity, confidence })
    * @param {Function} onFailed - callback when face verification fails
+   * @param {Function} [onMismatch] - callback when the face belongs to another enrolled student
+   * @param {string} [livenessPolicy] - 'yaw', 'blink', 'both' or 'all': actions the challenge draws from
+   * @param {boolean} [identify] - face-only mode: no student yet, the face is searched among
+   *   everyone enrolled and onVerified also receives the found studentId
    */
-  const FaceVerifier = ({ studentId, studentData, onVerified, onFailed }) => {
+  const FaceVerifier = ({ studentId, studentData, onVerified, onFailed, onMismatch, livenessPolicy, identify = false }) => {
     const videoRef = useRef(null);
     const canvasRef = useRef(null);
 
+    // identify mode has no student yet; the hook searches every enrolled face instead
     const referenceImages = useMemo(() => {
       return Array.isArray(studentData?.faceImages) && studentData.faceImages.length
         ? studentData.faceImages
@@ -42,14 +50,26 @@
       isVerifying,
       detectionsRef,
       yawScore,
-      passedLeft,
-      passedRight,
       livenessPassed,
-    } = useFaceVerification(videoRef, referenceImages, onVerified, onFailed);
-  const livenessProgress = (passedLeft ? 50 : 0) + (passedRight ? 50 : 0); // 0, 50, 100
+      challengeSteps,
+      challengeStepIndex,
+      challengePrompt,
+      stepTimeLeftMs,
+      eyesClosed,
+      speak,
+    } = useFaceVerification(videoRef, referenceImages, onVerified, onFailed, { studentId, livenessPolicy, onMismatch, identify });
+  const livenessProgress = challengeSteps.length
+    ? Math.round((challengeStepIndex / challengeSteps.length) * 100)
+    : 0;
+  const currentKind = CHALLENGE_ACTIONS[challengeSteps[challengeStepIndex]]?.kind;
   const yawClamped = Math.max(-100, Math.min(100, yawScore ?? 0));
   const yawPercent = ((yawClamped + 100) / 200) * 100; // 0..100
 
+    // announce each challenge step once, as it becomes current
+    useEffect(() => {
+      if (isReady && challengePrompt && !livenessPassed) speak(challengePrompt);
+    }, [isReady, challengePrompt, challengeStepIndex, livenessPassed, speak]);
+
     /**
      * canvas drawing effect - renders face-api roi overlay
      * 
@@ -116,35 +136,37 @@
           <div className="flex items-center justify-between mb-2">
             <h2 className="text-2xl font-bold text-gray-800 flex items-center gap-2">
               <User className="text-green-600" size={28} />
-              Step 2: Verify Face
+              {identify ? 'Face Check-in' : 'Step 2: Verify Face'}
             </h2>
-            <span className="text-sm text-gray-500">2/2</span>
+            <span className="text-sm text-gray-500">{identify ? '1/1' : '2/2'}</span>
           </div>
           <p className="text-gray-600">
-            Look at the camera to verify your identity
+            {identify ? 'No ID card needed. Look at the camera to check in' : 'Look at the camera to verify your identity'}
           </p>
         </div>
 
-        <div className="mb-4 p-4 bg-gradient-to-r from-blue-50 to-indigo-50 rounded-lg border border-blue-200">
-          <div className="grid grid-cols-2 gap-4">
-            <div>
-              <p className="text-xs text-gray-600 mb-1">Student ID</p>
-              <p className="text-lg font-bold text-gray-800">{studentId}</p>
-            </div>
-            <div>
-              <p className="text-xs text-gray-600 mb-1">Name</p>
-              <p className="text-lg font-bold text-gray-800">{studentData.name}</p>
-            </div>
-            <div>
-              <p className="text-xs text-gray-600 mb-1">Department</p>
-              <p className="text-sm text-gray-700">{studentData.department}</p>
-            </div>
-            <div>
-              <p className="text-xs text-gray-600 mb-1">Year</p>
-              <p className="text-sm text-gray-700">{studentData.year}</p>
+        {!identify && (
+          <div className="mb-4 p-4 bg-gradient-to-r from-blue-50 to-indigo-50 rounded-lg border border-blue-200">
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <p className="text-xs text-gray-600 mb-1">Student ID</p>
+                <p className="text-lg font-bold text-gray-800">{formatDisplayId(studentId)}</p>
+              </div>
+              <div>
+                <p className="text-xs text-gray-600 mb-1">Name</p>
+                <p className="text-lg font-bold text-gray-800">{studentData.name}</p>
+              </div>
+              <div>
+                <p className="text-xs text-gray-600 mb-1">Department</p>
+                <p className="text-sm text-gray-700">{studentData.department}</p>
+              </div>
+              <div>
+                <p className="text-xs text-gray-600 mb-1">Year</p>
+                <p className="text-sm text-gray-700">{studentData.year}</p>
+              </div>
             </div>
           </div>
-        </div>
+        )}
 
         <div className="relative bg-gray-900 rounded-lg overflow-hidden" style={{ aspectRatio: '4/3' }}>
           <video
@@ -180,45 +202,64 @@
                 </div>
 
                 {/* Steps */}
-                <div className="flex items-center justify-between text-xs text-white/90 mb-3">
-                  <div className="flex items-center gap-2">
-                    <span className={`w-2 h-2 rounded-full ${passedRight ? 'bg-green-400' : 'bg-white/30'}`} />
-                    <span>Turn Right</span>
-                  </div>
-                  <div className="flex items-center gap-2">
-                    <span className={`w-2 h-2 rounded-full ${passedLeft ? 'bg-green-400' : 'bg-white/30'}`} />
-                    <span>Turn Left</span>
-                  </div>
+                <div className="flex flex-wrap items-center gap-x-4 gap-y-1 text-xs text-white/90 mb-3">
+                  {challengeSteps.map((action, i) => (
+                    <div key={`${i}-${action}`} className="flex items-center gap-2">
+                      <span
+                        className={`w-2 h-2 rounded-full ${
+                          i < challengeStepIndex
+                            ? 'bg-green-400'
+                            : i === challengeStepIndex
+                              ? 'bg-yellow-300'
+                              : 'bg-white/30'
+                        }`}
+                      />
+                      <span className={i === challengeStepIndex ? 'font-semibold' : ''}>
+                        {CHALLENGE_ACTIONS[action].prompt}
+                      </span>
+                    </div>
+                  ))}
                 </div>
 
                 {/* Yaw meter */}
-                <div className="text-white/90 text-xs mb-1 flex items-center justify-between">
-                  <span className="flex items-center gap-1">
-                    <ArrowRight size={14} /> Right
-                  </span>
-                  <span className="text-white/70">Yaw: {Math.round(yawClamped)}</span>
-                  <span className="flex items-center gap-1">
-                    Left <ArrowLeft size={14} />
-                  </span>
-                </div>
+                {currentKind === 'yaw' && (
+                  <>
+                    <div className="text-white/90 text-xs mb-1 flex items-center justify-between">
+                      <span className="flex items-center gap-1">
+                        <ArrowRight size={14} /> Right
+                      </span>
+                      <span className="text-white/70">Yaw: {Math.round(yawClamped)}</span>
+                      <span className="flex items-center gap-1">
+                        Left <ArrowLeft size={14} />
+                      </span>
+                    </div>
 
-                <div className="relative h-2 bg-white/20 rounded-full overflow-hidden">
-                  <div
-                    className="absolute top-0 bottom-0 w-1 bg-white"
-                    style={{ left: `${yawPercent}%`, transform: 'translateX(-50%)' }}
-                  />
-                </div>
+                    <div className="relative h-2 bg-white/20 rounded-full overflow-hidden">
+                      <div
+                        className="absolute top-0 bottom-0 w-1 bg-white"
+                        style={{ left: `${yawPercent}%`, transform: 'translateX(-50%)' }}
+                      />
+                    </div>
+                  </>
+                )}
 
-                {/* Hint text */}
-                <div className="mt-2 text-xs text-white/90">
-                  {!passedRight && !passedLeft && (
-                    <span>Turn your head <b>RIGHT</b> then <b>LEFT</b>.</span>
-                  )}
-                  {passedRight && !passedLeft && (
-                    <span>Good! Now turn your head <b>LEFT</b>.</span>
-                  )}
-                  {!passedRight && passedLeft && (
-                    <span>Good! Now turn your head <b>RIGHT</b>.</span>
+                {/* Eye state */}
+                {currentKind === 'blink' && (
+                  <div className="mt-2 flex items-center gap-2 text-xs text-white/90">
+                    {eyesClosed ? <EyeOff size={14} /> : <Eye size={14} />}
+                    <span>{eyesClosed ? 'Eyes closed' : 'Eyes open'}</span>
+                  </div>
+                )}
+
+                {/* Current prompt */}
+                <div className="mt-2 flex items-center justify-between text-xs text-white/90">
+                  <span>
+                    {challengePrompt ? <b>{challengePrompt}</b> : 'Look straight at the camera.'}
+                  </span>
+                  {stepTimeLeftMs !== null && (
+                    <span className="flex items-center gap-1 text-white/70">
+                      <Timer size={14} /> {Math.ceil(stepTimeLeftMs / 1000)}s
+                    </span>
                   )}
                 </div>
               </div>
@@ -283,4 +324,21 @@
     );
   };
 
+  FaceVerifier.propTypes = {
+    studentId: PropTypes.string,
+    studentData: PropTypes.shape({
+      name: PropTypes.string,
+      department: PropTypes.string,
+      year: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+      email: PropTypes.string,
+      faceImage: PropTypes.string,
+      faceImages: PropTypes.arrayOf(PropTypes.string),
+    }),
+    onVerified: PropTypes.func.isRequired,
+    onFailed: PropTypes.func.isRequired,
+    onMismatch: PropTypes.func,
+    livenessPolicy: PropTypes.oneOf(['yaw', 'blink', 'both', 'all']),
+    identify: PropTypes.bool,
+  };
+
   export default FaceVerifier;
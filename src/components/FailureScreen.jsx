@@ -1,5 +1,7 @@
 import React, { useEffect } from 'react';
+import PropTypes from 'prop-types';
 import { XCircle, AlertTriangle, RefreshCw } from 'lucide-react';
+import { formatDisplayId } from '../services/studentIds';
 
 /**
  * failurescreen component
@@ -9,6 +11,7 @@ import { XCircle, AlertTriangle, RefreshCw } from 'lucide-react';
  *   - failed_id: student id not found in database (yellow warning)
  *   - failed_face: face doesn't match reference photo (red error)
  *   - failed_mismatch: id and face belong to different people (red error)
+ *   - failed_identify: face-only mode found no (or no clear) match (red error)
  * 
  * each failure type shows:
  * - appropriate icon (warning triangle or x circle)
@@ -17,17 +20,34 @@ import { XCircle, AlertTriangle, RefreshCw } from 'lucide-react';
  * - the attempted student id (if available)
  * - retry button to restart the verification flow
  * 
- * @param {string} failureType - one of 'failed_id', 'failed_face', 'failed_mismatch'
+ * @param {string} failureType - one of 'failed_id', 'failed_face', 'failed_mismatch', 'failed_identify'
  * @param {string} studentId - the student id that was attempted (may be null)
+ * @param {Object} [mismatch] - for failed_mismatch: { reason: 'card_name', score, threshold }
+ *   or { reason: 'face', resembledStudentId, resembledDistance, claimedDistance }
  * @param {Function} onRetry - callback to reset and retry the verification flow
  */
-const FailureScreen = ({ failureType, studentId, onRetry }) => {
+const FailureScreen = ({ failureType, studentId, mismatch, onRetry }) => {
   // play failure sound effect on mount (silently fails if audio not available)
   useEffect(() => {
     const audio = new Audio('/failure.mp3');
     audio.play().catch(() => {});
   }, []);
 
+  // record mismatches on the backend for security review (fire-and-forget);
+  // the other student is only in the log, never shown on the kiosk
+  useEffect(() => {
+    if (failureType !== 'failed_mismatch' || !studentId || !mismatch) return;
+    fetch('/api/attendance', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        event: 'identity_mismatch',
+        studentId,
+        verificationResult: { mismatch },
+      }),
+    }).catch(() => {});
+  }, [failureType, studentId, mismatch]);
+
   /** returns failure-specific ui content based on the failure type */
   const getFailureInfo = () => {
     switch (failureType) {
@@ -58,7 +78,35 @@ const FailureScreen = ({ failureType, studentId, onRetry }) => {
           ],
           color: 'red'
         };
+      case 'failed_identify':
+        return {
+          icon: <XCircle size={60} className="text-red-600" />,
+          title: 'Face Not Recognized',
+          message: 'The face could not be matched to a single registered student.',
+          suggestions: [
+            'Look straight at the camera and hold still',
+            'Remove glasses, masks, or face coverings',
+            'Improve lighting conditions',
+            'Use an entrance with an ID card scanner',
+            'Contact administration if you are not registered yet'
+          ],
+          color: 'red'
+        };
       case 'failed_mismatch':
+        if (mismatch?.reason === 'card_name') {
+          return {
+            icon: <XCircle size={60} className="text-red-600" />,
+            title: 'Card Details Mismatch',
+            message: `The name on the card does not match the record for this ID (${Math.round(mismatch.score * 100)}% match).`,
+            suggestions: [
+              'Use your own, original ID card',
+              'Hold the card flat so the name is readable',
+              'Improve lighting and avoid glare on the card',
+              'Contact administration if your card details changed'
+            ],
+            color: 'red'
+          };
+        }
         return {
           icon: <XCircle size={60} className="text-red-600" />,
           title: 'Identity Mismatch',
@@ -104,7 +152,7 @@ const FailureScreen = ({ failureType, studentId, onRetry }) => {
         <div className={`bg-gradient-to-br ${bgColor} rounded-lg p-4 mb-6 border-2 ${borderColor}`}>
           <div className="text-center">
             <p className="text-sm text-gray-600 mb-1">Attempted Student ID</p>
-            <p className="text-2xl font-bold text-gray-800">{studentId}</p>
+            <p className="text-2xl font-bold text-gray-800">{formatDisplayId(studentId)}</p>
           </div>
         </div>
       )}
@@ -143,4 +191,18 @@ const FailureScreen = ({ failureType, studentId, onRetry }) => {
   );
 };
 
+FailureScreen.propTypes = {
+  failureType: PropTypes.oneOf(['failed_id', 'failed_face', 'failed_mismatch', 'failed_identify']).isRequired,
+  studentId: PropTypes.string,
+  mismatch: PropTypes.shape({
+    reason: PropTypes.oneOf(['card_name', 'face']),
+    score: PropTypes.number,
+    threshold: PropTypes.number,
+    resembledStudentId: PropTypes.string,
+    resembledDistance: PropTypes.number,
+    claimedDistance: PropTypes.number,
+  }),
+  onRetry: PropTypes.func.isRequired,
+};
+
 export default FailureScreen;
@@ -8,9 +8,11 @@ import useIDScannerLogic from '../hooks/useIDScannerLogic';
  * renders the id card scanning interface with:
  * - live video feed from rear-facing camera (16:9 aspect ratio)
  * - canvas overlay with roi visualization:
+ *   - when the card outline is found (opencv): cyan quadrilateral with corner dots
  *   - when object detected: cyan bounding box with corner accents
  *   - when no object: dashed guide box with corner brackets and scan line animation
  * - real-time status messages
+ * - per-frame ocr candidates of the consensus vote (leader highlighted)
  * - loading spinner while models initialize
  * - error display for camera failures
  * - tips section for best scanning results
@@ -28,6 +30,9 @@ const IDScanner = ({ onIDDetected }) => {
     error,
     status,
     detections,
+    cardQuad,
+    frameCandidates,
+    consensus,
     scanProgress,
     startScanning
   } = useIDScannerLogic(videoRef, onIDDetected);
@@ -42,9 +47,10 @@ const IDScanner = ({ onIDDetected }) => {
   /**
    * canvas drawing effect - renders roi overlay
    * 
-   * two modes:
-   * 1. object detected: draw cyan bounding box with corner accents around detected object
-   * 2. no object: draw dashed guide box with corner brackets, scan line animation, and text hint
+   * three modes:
+   * 1. card found: draw the detected card quadrilateral (it can be tilted, so not a rect)
+   * 2. object detected: draw cyan bounding box with corner accents around detected object
+   * 3. no object: draw dashed guide box with corner brackets, scan line animation, and text hint
    */
   useEffect(() => {
     const canvas = canvasRef.current;
@@ -64,8 +70,31 @@ const IDScanner = ({ onIDDetected }) => {
       
       const isScanning = scanProgress > 0 && scanProgress < 100;
       
-      // mode 1: draw bounding boxes around detected objects (coco-ssd results)
-      if (detections && detections.length > 0) {
+      // mode 1: draw the card outline found by opencv
+      if (cardQuad) {
+        const scaleX = rect.width / (video.videoWidth || 1);
+        const scaleY = rect.height / (video.videoHeight || 1);
+        const points = cardQuad.map((p) => ({ x: p.x * scaleX, y: p.y * scaleY }));
+
+        ctx.strokeStyle = '#00bcd4';
+        ctx.fillStyle = 'rgba(0, 188, 212, 0.12)';
+        ctx.lineWidth = 3;
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        points.forEach((p, i) => (i === 0 ? ctx.moveTo(p.x, p.y) : ctx.lineTo(p.x, p.y)));
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+
+        // corner dots
+        ctx.fillStyle = '#00bcd4';
+        points.forEach((p) => {
+          ctx.beginPath();
+          ctx.arc(p.x, p.y, 5, 0, Math.PI * 2);
+          ctx.fill();
+        });
+      // mode 2: draw bounding boxes around detected objects (coco-ssd results)
+      } else if (detections && detections.length > 0) {
         const scaleX = rect.width / (video.videoWidth || 1);
         const scaleY = rect.height / (video.videoHeight || 1);
         
@@ -116,7 +145,7 @@ const IDScanner = ({ onIDDetected }) => {
           ctx.stroke();
         });
       } else {
-        // mode 2: no detection - draw guide box for id card placement
+        // mode 3: no detection - draw guide box for id card placement
         // guide box sized for landscape id card (85% width, 40% height)
         const guideWidth = canvas.width * 0.85;
         const guideHeight = canvas.height * 0.40;
@@ -200,7 +229,7 @@ const IDScanner = ({ onIDDetected }) => {
         cancelAnimationFrame(animationRef.current);
       }
     };
-  }, [isReady, detections, scanProgress]);
+  }, [isReady, detections, cardQuad, scanProgress]);
 
   return (
     <div className="bg-white rounded-xl shadow-2xl p-6">
@@ -250,6 +279,26 @@ const IDScanner = ({ onIDDetected }) => {
           </div>
         )}
 
+        {/* consensus votes: one chip per recent frame */}
+        {isReady && frameCandidates.some((f) => f.id) && (
+          <div className="absolute top-3 left-3 flex flex-wrap gap-1 max-w-[80%]">
+            {frameCandidates.map((f, i) => (
+              <span
+                key={i}
+                className={`px-2 py-0.5 rounded text-xs font-mono ${
+                  !f.id
+                    ? 'bg-black/50 text-white/50'
+                    : f.id === consensus?.id
+                      ? 'bg-green-500/80 text-white'
+                      : 'bg-yellow-500/80 text-white'
+                }`}
+              >
+                {f.id ? `${f.id} ${Math.round(f.confidence * 100)}%` : '—'}
+              </span>
+            ))}
+          </div>
+        )}
+
         <div className="absolute bottom-4 left-4 right-4">
           <div className="rounded-lg p-3">
             <div className="flex items-center justify-between">
@@ -268,6 +317,7 @@ const IDScanner = ({ onIDDetected }) => {
               <li>Ensure good lighting on the card</li>
               <li>Keep the card steady and in focus</li>
               <li>Position the student number clearly visible</li>
+              <li>If your card has a QR code, keep it uncovered - it is read first</li>
             </ul>
           </div>
         </div>
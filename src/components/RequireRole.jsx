@@ -0,0 +1,40 @@
+import { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import { Navigate, useLocation } from "react-router-dom";
+import { getSession } from "../services/auth";
+
+/**
+ * Route guard: renders children only for an operator whose role is listed,
+ * otherwise sends them to /login (and back here afterwards).
+ */
+export default function RequireRole({ roles, children }) {
+  const location = useLocation();
+  const [state, setState] = useState({ loading: true, operator: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    getSession()
+      .then((operator) => !cancelled && setState({ loading: false, operator }))
+      .catch(() => !cancelled && setState({ loading: false, operator: null }));
+    return () => {
+      cancelled = true;
+    };
+  }, [location.pathname]);
+
+  if (state.loading) {
+    return <div className="min-h-screen bg-slate-950" />;
+  }
+
+  if (!state.operator || !roles.includes(state.operator.role)) {
+    const next = encodeURIComponent(location.pathname + location.search);
+    const denied = state.operator ? "&denied=1" : "";
+    return <Navigate to={`/login?next=${next}${denied}`} replace />;
+  }
+
+  return children;
+}
+
+RequireRole.propTypes = {
+  roles: PropTypes.arrayOf(PropTypes.string).isRequired,
+  children: PropTypes.node,
+};
@@ -1,4 +1,5 @@
 import React, { useEffect } from 'react';
+import PropTypes from 'prop-types';
 import { CheckCircle2, User, Calendar, Clock, Award } from 'lucide-react';
 
 /**
@@ -24,18 +25,18 @@ const SuccessScreen = ({ studentData, verificationResult, onReset }) => {
     const audio = new Audio('/success.mp3');
     audio.play().catch(() => {});
   }, []);
-  //writeintologfileherehrerheur
+  // record the attendance event on the backend (fire-and-forget)
   useEffect(() => {
-  fetch("/api/log-success", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      event: "verification_success",
-      studentData,
-      verificationResult,
-    }),
-  }).catch(() => {});
-}, [studentData, verificationResult]);
+    fetch("/api/attendance", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        event: "verification_success",
+        studentId: studentData?.id,
+        verificationResult,
+      }),
+    }).catch(() => {});
+  }, [studentData, verificationResult]);
 
   /** formats iso timestamp to readable time (e.g., "02:30:45 pm") */
   const formatTime = (timestamp) => {
@@ -161,4 +162,21 @@ const SuccessScreen = ({ studentData, verificationResult, onReset }) => {
   );
 };
 
+SuccessScreen.propTypes = {
+  studentData: PropTypes.shape({
+    id: PropTypes.string,
+    name: PropTypes.string,
+    department: PropTypes.string,
+    year: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    faceImage: PropTypes.string,
+  }).isRequired,
+  verificationResult: PropTypes.shape({
+    similarity: PropTypes.number,
+    confidence: PropTypes.number,
+    timestamp: PropTypes.string,
+    studentId: PropTypes.string,
+  }).isRequired,
+  onReset: PropTypes.func.isRequired,
+};
+
 export default SuccessScreen;
@@ -0,0 +1,191 @@
+// src/hooks/binarize.js
+// OCR preprocessing on raw RGBA pixels (ImageData-like { data, width, height }).
+// No DOM access, so it runs the same in the preprocess worker, on the main
+// thread, and in node.
+
+/**
+ * binarization methods:
+ * - fixed: global threshold at 128 (the original behaviour)
+ * - otsu: global threshold that best separates the two histogram peaks
+ * - mean: local threshold, pixel < window mean - C
+ * - sauvola: local threshold mean * (1 + k * (std / R - 1)); copes with glare and shadows
+ */
+export const THRESHOLD_METHODS = ['fixed', 'otsu', 'mean', 'sauvola'];
+
+export const DEFAULT_PREPROCESS = {
+  method: 'sauvola',
+  contrast: true, // stretch the 1st-99th percentile to 0-255 first
+  denoise: false, // 3x3 median before thresholding
+  window: 31,     // local window (px) for mean / sauvola
+  k: 0.34,        // sauvola sensitivity
+  C: 10,          // mean offset
+};
+
+/** luminance: gray = R*0.299 + G*0.587 + B*0.114 */
+export const toGray = ({ data, width, height }) => {
+  const gray = new Uint8ClampedArray(width * height);
+  for (let i = 0, p = 0; p < gray.length; i += 4, p++) {
+    gray[p] = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+  }
+  return gray;
+};
+
+const histogram = (gray) => {
+  const hist = new Uint32Array(256);
+  for (let i = 0; i < gray.length; i++) hist[gray[i]]++;
+  return hist;
+};
+
+/** maps the [lowPct, highPct] percentile range to 0-255 (in place) */
+export const contrastStretch = (gray, lowPct = 0.01, highPct = 0.99) => {
+  const hist = histogram(gray);
+  const lowCount = gray.length * lowPct;
+  const highCount = gray.length * highPct;
+  let lo = 0;
+  let hi = 255;
+  for (let v = 0, acc = 0; v < 256; v++) {
+    acc += hist[v];
+    if (acc <= lowCount) lo = v;
+    if (acc < highCount) hi = v + 1;
+  }
+  if (hi <= lo) return gray;
+
+  const scale = 255 / (hi - lo);
+  for (let i = 0; i < gray.length; i++) gray[i] = (gray[i] - lo) * scale;
+  return gray;
+};
+
+/** 3x3 median filter (returns a new array; edges use clamped neighbours) */
+export const medianDenoise = (gray, width, height) => {
+  const out = new Uint8ClampedArray(gray.length);
+  const win = new Uint8Array(9);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let n = 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        const yy = Math.min(height - 1, Math.max(0, y + dy));
+        for (let dx = -1; dx <= 1; dx++) {
+          const xx = Math.min(width - 1, Math.max(0, x + dx));
+          win[n++] = gray[yy * width + xx];
+        }
+      }
+      win.sort();
+      out[y * width + x] = win[4];
+    }
+  }
+  return out;
+};
+
+/** otsu's threshold: maximises the between-class variance of the histogram */
+export const otsuThreshold = (gray) => {
+  const hist = histogram(gray);
+  const total = gray.length;
+  let sumAll = 0;
+  for (let v = 0; v < 256; v++) sumAll += v * hist[v];
+
+  let sumBg = 0;
+  let weightBg = 0;
+  let best = 0;
+  let threshold = 128;
+  for (let t = 0; t < 256; t++) {
+    weightBg += hist[t];
+    if (!weightBg) continue;
+    const weightFg = total - weightBg;
+    if (!weightFg) break;
+
+    sumBg += t * hist[t];
+    const meanBg = sumBg / weightBg;
+    const meanFg = (sumAll - sumBg) / weightFg;
+    const between = weightBg * weightFg * (meanBg - meanFg) ** 2;
+    if (between > best) {
+      best = between;
+      threshold = t;
+    }
+  }
+  return threshold;
+};
+
+// summed-area tables of values and squared values, (width+1) x (height+1)
+const integralImages = (gray, width, height) => {
+  const w1 = width + 1;
+  const sum = new Float64Array(w1 * (height + 1));
+  const sqSum = new Float64Array(w1 * (height + 1));
+  for (let y = 0; y < height; y++) {
+    let row = 0;
+    let rowSq = 0;
+    for (let x = 0; x < width; x++) {
+      const v = gray[y * width + x];
+      row += v;
+      rowSq += v * v;
+      sum[(y + 1) * w1 + x + 1] = sum[y * w1 + x + 1] + row;
+      sqSum[(y + 1) * w1 + x + 1] = sqSum[y * w1 + x + 1] + rowSq;
+    }
+  }
+  return { sum, sqSum, w1 };
+};
+
+/**
+ * per-pixel threshold from the local window (mean or sauvola), O(1) per pixel
+ * @returns {Uint8ClampedArray} 0 / 255 per pixel
+ */
+export const localThreshold = (gray, width, height, { method = 'sauvola', window = 31, k = 0.34, C = 10, R = 128 } = {}) => {
+  const { sum, sqSum, w1 } = integralImages(gray, width, height);
+  const half = Math.max(1, Math.floor(window / 2));
+  const out = new Uint8ClampedArray(gray.length);
+
+  for (let y = 0; y < height; y++) {
+    const y0 = Math.max(0, y - half);
+    const y1 = Math.min(height, y + half + 1);
+    for (let x = 0; x < width; x++) {
+      const x0 = Math.max(0, x - half);
+      const x1 = Math.min(width, x + half + 1);
+      const n = (x1 - x0) * (y1 - y0);
+      const s = sum[y1 * w1 + x1] - sum[y0 * w1 + x1] - sum[y1 * w1 + x0] + sum[y0 * w1 + x0];
+      const mean = s / n;
+
+      let t;
+      if (method === 'mean') {
+        t = mean - C;
+      } else {
+        const sq = sqSum[y1 * w1 + x1] - sqSum[y0 * w1 + x1] - sqSum[y1 * w1 + x0] + sqSum[y0 * w1 + x0];
+        const std = Math.sqrt(Math.max(0, sq / n - mean * mean));
+        t = mean * (1 + k * (std / R - 1));
+      }
+      const p = y * width + x;
+      out[p] = gray[p] > t ? 255 : 0;
+    }
+  }
+  return out;
+};
+
+/**
+ * grayscale -> (contrast stretch) -> (denoise) -> threshold, written back
+ * into imageData.data as black/white (alpha untouched).
+ *
+ * @param {{data: Uint8ClampedArray, width: number, height: number}} imageData
+ * @param {Object} [options] - see DEFAULT_PREPROCESS
+ * @returns the same imageData
+ */
+export const binarizeImageData = (imageData, options = {}) => {
+  const opts = { ...DEFAULT_PREPROCESS, ...options };
+  const { data, width, height } = imageData;
+
+  let gray = toGray(imageData);
+  if (opts.contrast) contrastStretch(gray);
+  if (opts.denoise) gray = medianDenoise(gray, width, height);
+
+  let bw;
+  if (opts.method === 'mean' || opts.method === 'sauvola') {
+    bw = localThreshold(gray, width, height, opts);
+  } else {
+    const t = opts.method === 'otsu' ? otsuThreshold(gray) : 128;
+    bw = gray.map((v) => (v > t ? 255 : 0));
+  }
+
+  for (let i = 0, p = 0; p < bw.length; i += 4, p++) {
+    data[i] = bw[p];
+    data[i + 1] = bw[p];
+    data[i + 2] = bw[p];
+  }
+  return imageData;
+};
@@ -0,0 +1,126 @@
+// src/hooks/binarize.test.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { Jimp } from 'jimp';
+import { beforeAll, describe, expect, it } from 'vitest';
+import { THRESHOLD_METHODS, binarizeImageData, contrastStretch, localThreshold, otsuThreshold, toGray } from './binarize';
+
+const SIM_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../environmentsim');
+const OUTPUT_DIR = path.join(SIM_DIR, 'output');
+const SAMPLES = fs.readdirSync(OUTPUT_DIR).filter((f) => f.endsWith('.jpg')).sort();
+
+// the samples are 4896px squares; OCR sees far fewer pixels than that
+const WIDTH = 320;
+
+const load = async (file) => {
+  const image = await Jimp.read(file);
+  image.resize({ w: WIDTH });
+  const { data, width, height } = image.bitmap;
+  return { data: new Uint8ClampedArray(data), width, height };
+};
+
+const copy = (imageData) => ({ ...imageData, data: new Uint8ClampedArray(imageData.data) });
+
+const meanLuma = (imageData) => toGray(imageData).reduce((a, v) => a + v, 0) / (imageData.width * imageData.height);
+
+const isBinary = (values) => values.every((v) => v === 0 || v === 255);
+
+// rgb is black or white and gray, alpha is left alone
+const expectBinaryRgba = (out, source) => {
+  for (let i = 0; i < out.data.length; i += 4) {
+    const v = out.data[i];
+    if ((v !== 0 && v !== 255) || out.data[i + 1] !== v || out.data[i + 2] !== v || out.data[i + 3] !== source.data[i + 3]) {
+      throw new Error(`pixel ${i / 4} is [${out.data.slice(i, i + 4)}]`);
+    }
+  }
+};
+
+// the lit image fading into the shaded one from left to right: a shadow across the frame
+const shadeAcross = (lit, shaded) => {
+  const out = copy(lit);
+  for (let y = 0; y < lit.height; y++) {
+    for (let x = 0; x < lit.width; x++) {
+      const t = x / (lit.width - 1);
+      const i = (y * lit.width + x) * 4;
+      for (let c = 0; c < 3; c++) out.data[i + c] = lit.data[i + c] * (1 - t) + shaded.data[i + c] * t;
+    }
+  }
+  return out;
+};
+
+// share of pixels two binarized images agree on
+const agreement = (a, b) => {
+  let same = 0;
+  for (let i = 0; i < a.data.length; i += 4) same += a.data[i] === b.data[i];
+  return same / (a.data.length / 4);
+};
+
+const images = {};
+
+beforeAll(async () => {
+  images.input = await load(path.join(SIM_DIR, 'input.jpg'));
+  for (const file of SAMPLES) images[file] = await load(path.join(OUTPUT_DIR, file));
+}, 600_000);
+
+describe('binarize on the environmentsim samples', () => {
+  it('finds the samples', () => {
+    expect(SAMPLES.length).toBeGreaterThan(0);
+    expect(SAMPLES.filter((f) => f.startsWith('inputlighting')).length).toBeGreaterThan(0);
+  });
+
+  it('otsuThreshold splits every sample into two non-empty classes', () => {
+    for (const file of SAMPLES) {
+      const gray = contrastStretch(toGray(images[file]));
+      const t = otsuThreshold(gray);
+      expect(t, file).toBeGreaterThanOrEqual(0);
+      expect(t, file).toBeLessThan(255);
+      expect(gray.some((v) => v <= t), file).toBe(true);
+      expect(gray.some((v) => v > t), file).toBe(true);
+    }
+  });
+
+  it('localThreshold gives strictly 0 / 255 for mean and sauvola', () => {
+    for (const file of SAMPLES) {
+      const { width, height } = images[file];
+      const gray = contrastStretch(toGray(images[file]));
+      for (const method of ['mean', 'sauvola']) {
+        const bw = localThreshold(gray, width, height, { method });
+        expect(bw).toHaveLength(width * height);
+        expect(isBinary(bw), `${file} ${method}`).toBe(true);
+      }
+    }
+  });
+
+  it('binarizeImageData gives a strictly black and white image for every method', () => {
+    for (const file of SAMPLES) {
+      for (const method of THRESHOLD_METHODS) {
+        for (const denoise of [false, true]) {
+          const out = binarizeImageData(copy(images[file]), { method, denoise });
+          expect(() => expectBinaryRgba(out, images[file]), `${file} ${method} denoise=${denoise}`).not.toThrow();
+        }
+      }
+    }
+  });
+
+  it('keeps local methods closer than global otsu to the evenly lit result under uneven lighting', () => {
+    // the inputlighting samples are input.jpg darkened evenly; shading input.jpg
+    // into one across the frame gives the uneven light a global threshold can't
+    // follow. each method is held to its own result on the evenly lit input.
+    // samples within 10% of the input's brightness have no shadow to speak of.
+    const { input } = images;
+    const shaded = SAMPLES.filter((f) => f.startsWith('inputlighting')).filter(
+      (f) => meanLuma(images[f]) < 0.9 * meanLuma(input)
+    );
+    expect(shaded.length).toBeGreaterThan(0);
+
+    for (const file of shaded) {
+      const uneven = shadeAcross(input, images[file]);
+      const score = (method) =>
+        agreement(binarizeImageData(copy(uneven), { method }), binarizeImageData(copy(input), { method }));
+      const otsu = score('otsu');
+      expect(score('sauvola'), file).toBeGreaterThan(otsu);
+      expect(score('mean'), file).toBeGreaterThan(otsu);
+    }
+  });
+});
@@ -0,0 +1,64 @@
+// src/hooks/cardCode.js
+// Reads the signed QR code printed on student cards (see server/studentCard.js).
+// The signature is checked by the backend; this only finds and decodes the code.
+import jsQR from 'jsqr';
+
+// "SID1.<7- or 8-digit id>.<base64url signature>"
+export const CARD_CODE_RE = /^SID1\.\d{7,8}\.[A-Za-z0-9_-]+$/;
+
+export const isCardCode = (text) => CARD_CODE_RE.test(String(text ?? '').trim());
+
+/**
+ * decodes qr codes from video frames: the native BarcodeDetector where the
+ * browser has one (chrome / android), jsQR on the frame pixels otherwise.
+ *
+ * @returns {{ read: (video: HTMLVideoElement) => Promise<string|null> }} read resolves
+ *   with the first card code in the frame; other qr codes are ignored
+ */
+export const createCodeReader = () => {
+  let detector = null;
+  let detectorChecked = false;
+  let canvas = null;
+
+  const nativeDetector = async () => {
+    if (detectorChecked) return detector;
+    detectorChecked = true;
+    try {
+      if (typeof BarcodeDetector !== 'undefined') {
+        const formats = await BarcodeDetector.getSupportedFormats();
+        if (formats.includes('qr_code')) detector = new BarcodeDetector({ formats: ['qr_code'] });
+      }
+    } catch (err) {
+      console.warn('BarcodeDetector unavailable, using jsQR:', err);
+    }
+    return detector;
+  };
+
+  const readWithJsQR = (video) => {
+    if (!canvas) canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    const { data, width, height } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+    // printed cards are dark-on-light, so skip the inverted pass
+    const result = jsQR(data, width, height, { inversionAttempts: 'dontInvert' });
+    return result ? [result.data] : [];
+  };
+
+  const read = async (video) => {
+    if (!video?.videoWidth) return null;
+
+    let values;
+    const native = await nativeDetector();
+    if (native) {
+      values = (await native.detect(video)).map((b) => b.rawValue);
+    } else {
+      values = readWithJsQR(video);
+    }
+    return values.map((v) => String(v).trim()).find(isCardCode) ?? null;
+  };
+
+  return { read };
+};
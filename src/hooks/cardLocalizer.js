@@ -0,0 +1,145 @@
+// src/hooks/cardLocalizer.js
+// Finds the ID card in a video frame with OpenCV.js (edges + contours) and
+// warps it flat, so Tesseract only sees the card.
+
+// CR80 / ID-1 card: 85.6 x 54 mm
+export const CARD_ASPECT = 85.6 / 54;
+export const CARD_LONG_SIDE = 856; // px of the rectified card (10 px/mm)
+
+let cvPromise = null;
+
+/**
+ * resolves with { cv } once the wasm runtime is initialised. opencv.js is
+ * several MB, so it's imported on first use rather than with the app bundle.
+ * the package exports either a promise or the emscripten module; the module
+ * is a thenable, so it's wrapped in an object instead of being resolved directly.
+ */
+export const loadOpenCv = () => {
+  if (!cvPromise) {
+    cvPromise = (async () => {
+      const { default: cvModule } = await import('@techstark/opencv-js');
+      if (cvModule instanceof Promise) return { cv: await cvModule };
+      if (!cvModule.Mat) {
+        await new Promise((resolve) => {
+          cvModule.onRuntimeInitialized = resolve;
+        });
+      }
+      return { cv: cvModule };
+    })();
+  }
+  return cvPromise;
+};
+
+const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+/**
+ * orders 4 points as top-left, top-right, bottom-right, bottom-left
+ * (smallest x+y is tl, largest is br; smallest y-x is tr, largest is bl)
+ */
+export const orderQuad = (points) => {
+  const bySum = points.slice().sort((a, b) => a.x + a.y - (b.x + b.y));
+  const byDiff = points.slice().sort((a, b) => a.y - a.x - (b.y - b.x));
+  return [bySum[0], byDiff[0], bySum[3], byDiff[3]];
+};
+
+/**
+ * finds the largest convex 4-sided contour with a card-like aspect ratio.
+ *
+ * the frame is downscaled to `workWidth` for speed, blurred, run through
+ * canny and dilated so the card edge closes into one contour.
+ *
+ * @param {Object} cv - from loadOpenCv()
+ * @param {Object} src - RGBA cv.Mat of the full frame (not freed here)
+ * @param {Object} [opts]
+ * @param {number} [opts.workWidth=640]
+ * @param {number} [opts.minAreaRatio=0.08] - of the frame area
+ * @param {number} [opts.aspectTolerance=0.3] - allowed relative deviation from CARD_ASPECT
+ * @returns {{x: number, y: number}[] | null} quad in src pixels, ordered tl, tr, br, bl
+ */
+export const findCardQuad = (cv, src, { workWidth = 640, minAreaRatio = 0.08, aspectTolerance = 0.3 } = {}) => {
+  const scale = Math.min(1, workWidth / src.cols);
+  const small = new cv.Mat();
+  const gray = new cv.Mat();
+  const edges = new cv.Mat();
+  const contours = new cv.MatVector();
+  const hierarchy = new cv.Mat();
+  const kernel = cv.Mat.ones(3, 3, cv.CV_8U);
+
+  try {
+    cv.resize(src, small, new cv.Size(Math.round(src.cols * scale), Math.round(src.rows * scale)), 0, 0, cv.INTER_AREA);
+    cv.cvtColor(small, gray, cv.COLOR_RGBA2GRAY);
+    cv.GaussianBlur(gray, gray, new cv.Size(5, 5), 0);
+    cv.Canny(gray, edges, 50, 150);
+    cv.dilate(edges, edges, kernel);
+    cv.findContours(edges, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE);
+
+    const minArea = small.cols * small.rows * minAreaRatio;
+    let best = null;
+
+    for (let i = 0; i < contours.size(); i++) {
+      const contour = contours.get(i);
+      const approx = new cv.Mat();
+      try {
+        const area = cv.contourArea(contour);
+        if (area < minArea || (best && area <= best.area)) continue;
+
+        cv.approxPolyDP(contour, approx, 0.02 * cv.arcLength(contour, true), true);
+        if (approx.rows !== 4 || !cv.isContourConvex(approx)) continue;
+
+        const points = [];
+        for (let j = 0; j < 4; j++) {
+          points.push({ x: approx.data32S[j * 2] / scale, y: approx.data32S[j * 2 + 1] / scale });
+        }
+        const [tl, tr, br, bl] = orderQuad(points);
+        const w = (dist(tl, tr) + dist(bl, br)) / 2;
+        const h = (dist(tl, bl) + dist(tr, br)) / 2;
+        const aspect = Math.max(w, h) / Math.max(1, Math.min(w, h)); // portrait cards too
+        if (Math.abs(aspect - CARD_ASPECT) / CARD_ASPECT > aspectTolerance) continue;
+
+        best = { area, quad: [tl, tr, br, bl] };
+      } finally {
+        approx.delete();
+        contour.delete();
+      }
+    }
+
+    return best ? best.quad : null;
+  } finally {
+    small.delete();
+    gray.delete();
+    edges.delete();
+    contours.delete();
+    hierarchy.delete();
+    kernel.delete();
+  }
+};
+
+/**
+ * perspective-warps the quad to a canonical card (856x540, or 540x856 for
+ * a portrait card).
+ *
+ * @param {Object} cv
+ * @param {Object} src - RGBA cv.Mat (not freed here)
+ * @param {{x: number, y: number}[]} quad - tl, tr, br, bl
+ * @returns {Object} new cv.Mat; the caller deletes it
+ */
+export const warpCard = (cv, src, quad) => {
+  const [tl, tr, br, bl] = quad;
+  const portrait = dist(tl, bl) + dist(tr, br) > dist(tl, tr) + dist(bl, br);
+  const shortSide = Math.round(CARD_LONG_SIDE / CARD_ASPECT);
+  const width = portrait ? shortSide : CARD_LONG_SIDE;
+  const height = portrait ? CARD_LONG_SIDE : shortSide;
+
+  const from = cv.matFromArray(4, 1, cv.CV_32FC2, quad.flatMap((p) => [p.x, p.y]));
+  const to = cv.matFromArray(4, 1, cv.CV_32FC2, [0, 0, width, 0, width, height, 0, height]);
+  const transform = cv.getPerspectiveTransform(from, to);
+  const out = new cv.Mat();
+  try {
+    cv.warpPerspective(src, out, transform, new cv.Size(width, height), cv.INTER_LINEAR, cv.BORDER_REPLICATE);
+    return out;
+  } finally {
+    from.delete();
+    to.delete();
+    transform.delete();
+  }
+};
@@ -0,0 +1,140 @@
+// src/hooks/enrollmentCapture.js
+// Guided webcam enrollment on the Registration page: the poses to take,
+// whether a camera frame is good enough to keep, and how to crop it. Pure
+// (no React, no face-api); useEnrollmentCapture drives it from the camera.
+
+import { estimatePose } from './facePose';
+import { QUALITY_LIMITS } from './faceImageStats';
+
+// slight turns stay under the quality gate's maxYaw, or the backend rejects them
+const SLIGHT_MIN_YAW = 0.07;
+const SLIGHT_MAX_YAW = QUALITY_LIMITS.maxYaw - 0.02;
+
+/**
+ * yaw as estimatePose: positive is the student's left, like the kiosk's turnLeft
+ */
+export const CAPTURE_POSES = [
+  { key: 'frontal', label: 'Frontal', prompt: 'Look straight at the camera', minYaw: -0.04, maxYaw: 0.04 },
+  { key: 'left', label: 'Slight left', prompt: 'Turn your head slightly to your left', minYaw: SLIGHT_MIN_YAW, maxYaw: SLIGHT_MAX_YAW },
+  { key: 'right', label: 'Slight right', prompt: 'Turn your head slightly to your right', minYaw: -SLIGHT_MAX_YAW, maxYaw: -SLIGHT_MIN_YAW },
+];
+
+// frames are held to a bit more than the gate asks, since the browser measures
+// a live frame and the backend the saved JPEG
+const MARGIN = {
+  faceWidth: 1.5, // x minFaceWidth
+  brightness: 10,
+  sharpness: 1.25, // x minSharpness
+  pitch: 0.05,
+  roll: 3,
+};
+
+// share of the frame kept clear around the face, so the crop has room
+const EDGE = 0.05;
+// a face wider than this share of the frame's short side can't be cropped with margin
+const MAX_FACE_SHARE = 0.6;
+
+/**
+ * @param {Object} frame
+ * @param {{ box: { x: number, y: number, width: number, height: number }, score: number,
+ *   landmarks: { x: number, y: number }[] }[]} frame.faces - every face in the frame
+ * @param {number} frame.width - video width
+ * @param {number} frame.height - video height
+ * @param {{ brightness: number, clipped: number, sharpness: number }} [frame.stats] - of
+ *   the face when there is exactly one (faceStatsOf)
+ * @param {Object} pose - a CAPTURE_POSES entry
+ * @param {Object} [limits=QUALITY_LIMITS]
+ * @returns {{ ok: boolean, hint: string }} hint: what the student should do next
+ */
+export const checkCaptureFrame = ({ faces, width, height, stats }, pose, limits = QUALITY_LIMITS) => {
+  const fail = (hint) => ({ ok: false, hint });
+
+  if (!faces.length) return fail('Look at the camera.');
+  if (faces.length > 1) return fail('Only the student should be in view.');
+
+  const [{ box, score, landmarks }] = faces;
+  if (score < limits.minScore) return fail('Face the camera and hold still.');
+
+  if (box.width < limits.minFaceWidth * MARGIN.faceWidth) return fail('Move closer to the camera.');
+  if (box.width > Math.min(width, height) * MAX_FACE_SHARE) return fail('Move back a little.');
+  if (
+    box.x < width * EDGE ||
+    box.y < height * EDGE ||
+    box.x + box.width > width * (1 - EDGE) ||
+    box.y + box.height > height * (1 - EDGE)
+  ) {
+    return fail('Center your face in the frame.');
+  }
+
+  if (stats) {
+    if (stats.brightness < limits.minBrightness + MARGIN.brightness) return fail('Too dark: add light in front of the face.');
+    if (stats.brightness > limits.maxBrightness - MARGIN.brightness) return fail('Too bright: reduce the light on the face.');
+    if (stats.clipped > limits.maxClipped) return fail('Avoid harsh light or shadows on the face.');
+    if (stats.sharpness < limits.minSharpness * MARGIN.sharpness) return fail('Hold still, the picture is blurry.');
+  }
+
+  const p = estimatePose(landmarks);
+  if (!p) return fail('Look at the camera.');
+  if (Math.abs(p.roll) > limits.maxRoll - MARGIN.roll) return fail('Keep your head level.');
+  if (!(p.pitch >= limits.minPitch + MARGIN.pitch)) return fail('Lower your chin a little.');
+  if (p.pitch > limits.maxPitch - MARGIN.pitch) return fail('Raise your chin a little.');
+  if (p.yaw < pose.minYaw) return fail(pose.key === 'right' ? 'Turn a little less to your right.' : 'Turn a little to your left.');
+  if (p.yaw > pose.maxYaw) return fail(pose.key === 'left' ? 'Turn a little less to your left.' : 'Turn a little to your right.');
+
+  return { ok: true, hint: 'Hold still...' };
+};
+
+/**
+ * Auto-capture fires once `frames` good frames in a row have the face in
+ * (about) the same place, so a moving head doesn't give a smeared shot.
+ *
+ * @param {Object} [opts]
+ * @param {number} [opts.frames=4]
+ * @param {number} [opts.maxShift=0.04] - allowed move of the face centre between
+ *   frames, as a share of the face width
+ * @returns {{ update: (ok: boolean, box?: Object) => { progress: number, ready: boolean }, reset: () => void }}
+ */
+export const createCaptureHold = ({ frames = 4, maxShift = 0.04 } = {}) => {
+  let count = 0;
+  let last = null;
+
+  const reset = () => {
+    count = 0;
+    last = null;
+  };
+
+  const update = (ok, box) => {
+    if (!ok || !box) {
+      reset();
+      return { progress: 0, ready: false };
+    }
+    const centre = { x: box.x + box.width / 2, y: box.y + box.height / 2 };
+    const still = last && Math.hypot(centre.x - last.x, centre.y - last.y) <= maxShift * box.width;
+    count = still ? count + 1 : 1;
+    last = centre;
+    return { progress: Math.min(1, count / frames), ready: count >= frames };
+  };
+
+  return { update, reset };
+};
+
+/**
+ * Square around the face to save as the photo (the "1x1" the upload form asks
+ * for): `scale` times the face box, a little above its centre so the hair
+ * fits, kept inside the frame.
+ *
+ * @returns {{ x: number, y: number, side: number, outSide: number }} source square
+ *   in video pixels and the side to save it at (at most maxSide)
+ */
+export const captureCrop = (box, width, height, { scale = 2.2, maxSide = 720 } = {}) => {
+  const side = Math.floor(Math.min(scale * Math.max(box.width, box.height), width, height));
+  const cx = box.x + box.width / 2;
+  const cy = box.y + box.height / 2 - 0.1 * box.height;
+  const clamp = (v, max) => Math.round(Math.max(0, Math.min(max, v)));
+  return {
+    x: clamp(cx - side / 2, width - side),
+    y: clamp(cy - side / 2, height - side),
+    side,
+    outSide: Math.min(side, maxSide),
+  };
+};
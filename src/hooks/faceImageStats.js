@@ -0,0 +1,74 @@
+// src/hooks/faceImageStats.js
+// Measurements of a face crop for the enrollment quality gate, and its limits.
+// Pure, so the backend's check (server/faceQuality.js) and the registration
+// camera (useEnrollmentCapture) judge a photo by the same numbers.
+
+export const QUALITY_LIMITS = {
+  minScore: 0.7, // detector confidence the descriptor step needs
+  minFaceWidth: 100, // px
+  minFaceRatio: 0.2, // face width / photo width
+  minSharpness: 12, // Laplacian variance per luma variance of the face, x1000
+  minBrightness: 60, // mean face luma, 0-255
+  maxBrightness: 200,
+  maxClipped: 0.2, // share of face pixels that are (near) black or white
+  maxYaw: 0.15, // see estimatePose
+  minPitch: 0.35,
+  maxPitch: 0.8,
+  maxRoll: 12, // degrees
+};
+
+// faces are measured at this width, so the numbers don't depend on resolution
+export const SAMPLE_WIDTH = 256;
+
+/** RGB (channels 3) or RGBA (4, e.g. canvas ImageData) pixels -> luma per pixel */
+export const lumaOf = (data, channels) => {
+  const luma = new Float32Array(Math.floor(data.length / channels));
+  for (let i = 0; i < luma.length; i++) {
+    const o = i * channels;
+    luma[i] = 0.299 * data[o] + 0.587 * data[o + 1] + 0.114 * data[o + 2];
+  }
+  return luma;
+};
+
+// variance of the 4-neighbour Laplacian: low when there are no edges, i.e. blur
+export const laplacianVariance = (luma, width, height) => {
+  let sum = 0;
+  let sumSq = 0;
+  let n = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const lap = luma[i - width] + luma[i + width] + luma[i - 1] + luma[i + 1] - 4 * luma[i];
+      sum += lap;
+      sumSq += lap * lap;
+      n++;
+    }
+  }
+  if (!n) return 0;
+  const mean = sum / n;
+  return sumSq / n - mean * mean;
+};
+
+/**
+ * @param {Float32Array} luma - of the face crop, SAMPLE_WIDTH wide
+ * @returns {{ brightness: number, clipped: number, sharpness: number }}
+ *   sharpness is relative to the face's contrast, so a dark photo doesn't also
+ *   count as blurry
+ */
+export const faceStatsOf = (luma, width, height) => {
+  let sum = 0;
+  let sumSq = 0;
+  let clipped = 0;
+  for (const v of luma) {
+    sum += v;
+    sumSq += v * v;
+    if (v <= 5 || v >= 250) clipped++;
+  }
+  const brightness = sum / luma.length;
+  const variance = sumSq / luma.length - brightness * brightness;
+  return {
+    brightness,
+    clipped: clipped / luma.length,
+    sharpness: variance > 0 ? (1000 * laplacianVariance(luma, width, height)) / variance : 0,
+  };
+};
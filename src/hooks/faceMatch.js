@@ -0,0 +1,52 @@
+// src/hooks/faceMatch.js
+// 1:1 decision over one verification batch: the live face's distance to the
+// claimed student's reference descriptors, and whether a batch of those
+// distances passes. Pure, so the offline evaluation (server/evaluation) runs
+// exactly what the kiosk runs.
+
+export const euclidean = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const d = a[i] - b[i];
+    sum += d * d;
+  }
+  return Math.sqrt(sum);
+};
+
+/** distance to the closest reference descriptor (Infinity with no references) */
+export const minDistanceToRefs = (descriptor, refs) => {
+  let minDist = Number.POSITIVE_INFINITY;
+  for (const ref of refs) {
+    const d = euclidean(descriptor, ref);
+    if (d < minDist) minDist = d;
+  }
+  return minDist;
+};
+
+/** 0 is the reference image itself, >= 2 a broken descriptor; neither counts */
+export const isUsableDistance = (d) => Number.isFinite(d) && d > 0 && d < 2.0;
+
+/**
+ * a batch passes when its median distance is within the threshold and enough
+ * frames are individually within it
+ *
+ * @param {number[]} distances - usable distances of one batch, any order
+ * @param {Object} opts
+ * @param {number} opts.threshold - distance threshold
+ * @param {number} opts.requiredGoodFrames - frames that must be within the threshold
+ * @returns {{pass: boolean, median: number|null, good: number, total: number}}
+ */
+export const decideBatch = (distances, { threshold, requiredGoodFrames }) => {
+  const arr = distances.slice().sort((a, b) => a - b);
+  if (!arr.length) return { pass: false, median: null, good: 0, total: 0 };
+
+  const median = arr[Math.floor(arr.length / 2)];
+  const good = arr.filter((d) => d <= threshold).length;
+
+  return {
+    pass: median <= threshold && good >= requiredGoodFrames,
+    median,
+    good,
+    total: arr.length,
+  };
+};
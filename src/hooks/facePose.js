@@ -0,0 +1,40 @@
+// src/hooks/facePose.js
+// Rough head pose from face-api's 68 landmarks: no 3D model, just ratios that
+// are 0 (or centred) for a frontal face. Pure, so the backend's enrollment
+// quality check (server/faceQuality.js) reads poses the way the kiosk does.
+
+const NOSE_TIP = 30;
+const LEFT_EYE_OUTER = 36;
+const RIGHT_EYE_OUTER = 45;
+const MOUTH_LEFT = 48;
+const MOUTH_RIGHT = 54;
+
+const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+/**
+ * @param {{x: number, y: number}[]} points - landmarks.positions
+ * @returns {{yaw: number, pitch: number, roll: number}|null}
+ *   yaw: (nose to left eye - nose to right eye) / eye distance, 0 when frontal,
+ *        the sign says which way the head is turned;
+ *   pitch: where the nose tip sits between the eye line (0) and the mouth (1),
+ *        about 0.5 when frontal, lower looking up, higher looking down;
+ *   roll: angle of the eye line in degrees, 0 when level.
+ *   null when the landmarks are degenerate.
+ */
+export const estimatePose = (points) => {
+  const nose = points[NOSE_TIP];
+  const leftEye = points[LEFT_EYE_OUTER];
+  const rightEye = points[RIGHT_EYE_OUTER];
+  const eyeDist = dist(leftEye, rightEye);
+  if (eyeDist < 1) return null;
+
+  const eyeY = (leftEye.y + rightEye.y) / 2;
+  const mouthY = (points[MOUTH_LEFT].y + points[MOUTH_RIGHT].y) / 2;
+  const faceHeight = mouthY - eyeY;
+
+  return {
+    yaw: (dist(nose, leftEye) - dist(nose, rightEye)) / eyeDist,
+    pitch: faceHeight > 0 ? (nose.y - eyeY) / faceHeight : Number.NaN,
+    roll: (Math.atan2(rightEye.y - leftEye.y, rightEye.x - leftEye.x) * 180) / Math.PI,
+  };
+};
@@ -0,0 +1,240 @@
+// src/hooks/faceSearch.js
+// 1:N search of the live face against every enrolled student: flags a face
+// that clearly belongs to someone else than the card's owner, and identifies
+// students at kiosks without a card reader.
+
+import { euclidean } from './faceMatch';
+
+// euclidean distance, or Infinity as soon as it reaches `limit`
+const distanceWithin = (a, b, limit) => {
+  const limit2 = limit * limit;
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    const d = a[i] - b[i];
+    sum += d * d;
+    if (sum >= limit2) return Number.POSITIVE_INFINITY;
+  }
+  return Math.sqrt(sum);
+};
+
+const median = (values) => {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+};
+
+// k-means cells of the inverted-file index
+const KMEANS_ITERATIONS = 6;
+const KMEANS_SAMPLE = 4096;
+const DEFAULT_PROBES = 8;
+
+/**
+ * inverted-file index over every enrolled descriptor: descriptors are grouped
+ * into ~sqrt(n) k-means cells, and a search only scans the `probes` cells
+ * whose centroid is closest to the query, so it stays fast with thousands of
+ * students. a probed cell is skipped when its radius shows nothing in it can
+ * beat the current k-th student, and a distance stops summing once it can't.
+ * with `probes` >= cells the search is exact.
+ *
+ * @param {Map<string, Float32Array[]>} gallery - student id -> descriptors
+ * @param {Object} [opts]
+ * @param {number} [opts.probes=8] - most cells scanned per search
+ * @returns {{students: number, size: number, cells: number, nearest: Function}}
+ *   `nearest(descriptor, k = 2, maxDistance = Infinity)` returns up to k closest
+ *   distinct students within maxDistance, best first: [{ id, distance }]
+ */
+export const createFaceIndex = (gallery, { probes = DEFAULT_PROBES } = {}) => {
+  const ids = [];
+  const vectors = [];
+  for (const [id, descriptors] of gallery) {
+    for (const d of descriptors) {
+      ids.push(id);
+      vectors.push(d);
+    }
+  }
+
+  if (!vectors.length) return { students: 0, size: 0, cells: 0, nearest: () => [] };
+
+  const cellCount = Math.max(1, Math.round(Math.sqrt(vectors.length)));
+  const closestCentroid = (v, centroids) => {
+    let best = 0;
+    let bestDistance = Number.POSITIVE_INFINITY;
+    centroids.forEach((c, j) => {
+      const d = euclidean(v, c);
+      if (d < bestDistance) {
+        best = j;
+        bestDistance = d;
+      }
+    });
+    return best;
+  };
+
+  // centroids are trained on an evenly spaced sample, then every descriptor is assigned
+  const step = Math.max(1, Math.floor(vectors.length / KMEANS_SAMPLE));
+  const sample = vectors.filter((_, i) => i % step === 0);
+  let centroids = Array.from({ length: cellCount }, (_, j) =>
+    Float32Array.from(sample[Math.floor((j * sample.length) / cellCount)])
+  );
+  for (let iter = 0; iter < KMEANS_ITERATIONS && cellCount > 1; iter++) {
+    const sums = centroids.map((c) => new Float64Array(c.length));
+    const counts = new Array(cellCount).fill(0);
+    for (const v of sample) {
+      const j = closestCentroid(v, centroids);
+      counts[j]++;
+      for (let k = 0; k < v.length; k++) sums[j][k] += v[k];
+    }
+    // an empty cell keeps its old centroid
+    centroids = centroids.map((c, j) => (counts[j] ? Float32Array.from(sums[j], (x) => x / counts[j]) : c));
+  }
+
+  const cells = centroids.map((centroid) => ({ centroid, members: [], radius: 0 }));
+  vectors.forEach((v, i) => {
+    const cell = cells[closestCentroid(v, centroids)];
+    cell.members.push(i);
+    cell.radius = Math.max(cell.radius, euclidean(v, cell.centroid));
+  });
+  const nonEmpty = cells.filter((c) => c.members.length);
+
+  const nearest = (descriptor, k = 2, maxDistance = Number.POSITIVE_INFINITY) => {
+    const best = []; // distinct students, closest first, at most k
+    const tau = () => (best.length < k ? maxDistance : best[k - 1].distance);
+
+    const offer = (i) => {
+      const distance = distanceWithin(descriptor, vectors[i], tau());
+      if (!Number.isFinite(distance)) return;
+      const id = ids[i];
+      const j = best.findIndex((b) => b.id === id);
+      if (j >= 0) {
+        if (distance >= best[j].distance) return;
+        best.splice(j, 1);
+      }
+      best.push({ id, distance });
+      best.sort((a, b) => a.distance - b.distance);
+      if (best.length > k) best.length = k;
+    };
+
+    const order = nonEmpty
+      .map((cell) => ({ cell, d: euclidean(descriptor, cell.centroid) }))
+      .sort((a, b) => a.d - b.d);
+    for (let p = 0; p < order.length && p < probes; p++) {
+      // triangle inequality: nothing in this cell is closer than the k-th student
+      if (order[p].d - order[p].cell.radius >= tau()) continue;
+      order[p].cell.members.forEach(offer);
+    }
+    return best;
+  };
+
+  return { students: gallery.size, size: vectors.length, cells: nonEmpty.length, nearest };
+};
+
+/**
+ * closest enrolled student other than `excludeId`
+ *
+ * @param {Float32Array} descriptor - live face
+ * @param {ReturnType<typeof createFaceIndex>} index
+ * @param {string} [excludeId] - the scanned id's owner
+ * @returns {{id: string, distance: number} | null}
+ */
+export const nearestOtherStudent = (descriptor, index, excludeId) =>
+  index.nearest(descriptor, 2).find((c) => c.id !== excludeId) ?? null;
+
+/**
+ * decides over one verification batch whether the face belongs to another
+ * student: the student that was nearest in most frames, if it was nearest in
+ * at least half of them, is a match on its own (median <= threshold) and
+ * beats the claimed student's median by `margin`.
+ *
+ * @param {({id: string, distance: number} | null)[]} frames - nearestOtherStudent per frame
+ * @param {number|null} claimedMedian - median distance to the scanned id's owner
+ * @param {Object} opts
+ * @param {number} opts.threshold - the verification distance threshold
+ * @param {number} opts.margin - how much closer the other student must be
+ * @returns {{resembledStudentId: string, resembledDistance: number, claimedDistance: number|null} | null}
+ */
+export const detectMismatch = (frames, claimedMedian, { threshold, margin }) => {
+  const byId = new Map();
+  for (const f of frames) {
+    if (!f) continue;
+    if (!byId.has(f.id)) byId.set(f.id, []);
+    byId.get(f.id).push(f.distance);
+  }
+
+  let top = null;
+  for (const [id, distances] of byId) {
+    const m = median(distances);
+    if (!top || distances.length > top.votes || (distances.length === top.votes && m < top.median)) {
+      top = { id, votes: distances.length, median: m };
+    }
+  }
+  if (!top || top.votes * 2 < frames.length) return null;
+  if (top.median > threshold) return null;
+
+  // no usable distance to the claimed student counts as infinitely far
+  const claimed = claimedMedian ?? Number.POSITIVE_INFINITY;
+  if (claimed - top.median < margin) return null;
+
+  return {
+    resembledStudentId: top.id,
+    resembledDistance: top.median,
+    claimedDistance: claimedMedian,
+  };
+};
+
+/**
+ * decides over one batch who the face belongs to, with no card to go on.
+ * the student that was nearest in most frames must be nearest in at least
+ * half of them, match on its own (median <= threshold) and be ahead of the
+ * next student by `margin` (median over its frames), otherwise two
+ * look-alikes could be confused. like decideBatch in faceMatch.js, at least
+ * `requiredGoodFrames` of its frames must be within the threshold on their own;
+ * frames with nobody close, or with someone else nearest, don't count.
+ *
+ * @param {{id: string, distance: number}[][]} frames - index.nearest(descriptor, 2, ...) per
+ *   frame; an empty list is a frame with nobody close enough
+ * @param {Object} opts
+ * @param {number} opts.threshold - the verification distance threshold
+ * @param {number} opts.margin - required gap to the runner-up student
+ * @param {number} [opts.requiredGoodFrames=1] - frames of the winner that must be within the threshold
+ * @returns {{studentId: string|null, reason?: 'no_match'|'ambiguous'|'too_few_frames',
+ *   distance: number|null, runnerUpDistance: number|null, good: number}} good: the winner's
+ *   frames within the threshold
+ */
+export const identifyBatch = (frames, { threshold, margin, requiredGoodFrames = 1 }) => {
+  const byId = new Map();
+  let matched = 0;
+  for (const [best, runnerUp] of frames) {
+    if (!best) continue;
+    matched++;
+    if (!byId.has(best.id)) byId.set(best.id, { distances: [], gaps: [], runnerUps: [] });
+    const entry = byId.get(best.id);
+    entry.distances.push(best.distance);
+    // no runner-up within the search radius counts as infinitely far
+    entry.gaps.push(runnerUp ? runnerUp.distance - best.distance : Number.POSITIVE_INFINITY);
+    if (runnerUp) entry.runnerUps.push(runnerUp.distance);
+  }
+
+  let top = null;
+  for (const [id, entry] of byId) {
+    const votes = entry.distances.length;
+    const m = median(entry.distances);
+    if (!top || votes > top.votes || (votes === top.votes && m < top.distance)) {
+      top = { id, votes, distance: m, entry };
+    }
+  }
+
+  const result = {
+    distance: top ? top.distance : null,
+    runnerUpDistance: top?.entry.runnerUps.length ? median(top.entry.runnerUps) : null,
+    good: top ? top.entry.distances.filter((d) => d <= threshold).length : 0,
+  };
+  if (!top || matched * 2 < frames.length || top.distance > threshold) {
+    return { studentId: null, reason: 'no_match', ...result };
+  }
+  // frames split between students, or one student barely ahead of the next
+  if (top.votes * 2 < frames.length || median(top.entry.gaps) < margin) {
+    return { studentId: null, reason: 'ambiguous', ...result };
+  }
+  if (result.good < requiredGoodFrames) {
+    return { studentId: null, reason: 'too_few_frames', ...result };
+  }
+  return { studentId: top.id, ...result };
+};
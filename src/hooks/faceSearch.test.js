@@ -0,0 +1,40 @@
+// src/hooks/faceSearch.test.js
+import { describe, expect, it } from 'vitest';
+import { identifyBatch } from './faceSearch';
+
+const OPTS = { threshold: 0.4, margin: 0.1, requiredGoodFrames: 4 };
+
+// one frame: the nearest student, and optionally the runner-up
+const frame = (id, distance, runnerUp = null) => [{ id, distance }, ...(runnerUp ? [runnerUp] : [])];
+const repeat = (f, n) => Array(n).fill(f);
+
+describe('identifyBatch', () => {
+  it('identifies a student with enough good frames', () => {
+    const result = identifyBatch(repeat(frame('26412342', 0.3), 5), OPTS);
+    expect(result).toMatchObject({ studentId: '26412342', good: 5 });
+  });
+
+  it("doesn't count frames with nobody close towards the good frames", () => {
+    const frames = [...repeat(frame('26412342', 0.3), 3), ...repeat([], 3)];
+    const result = identifyBatch(frames, OPTS);
+    expect(result).toMatchObject({ studentId: null, reason: 'too_few_frames', good: 3 });
+  });
+
+  it("doesn't count the winner's frames outside the threshold", () => {
+    const frames = [...repeat(frame('26412342', 0.3), 3), ...repeat(frame('26412342', 0.45), 2)];
+    const result = identifyBatch(frames, OPTS);
+    expect(result.distance).toBeLessThanOrEqual(OPTS.threshold);
+    expect(result).toMatchObject({ studentId: null, reason: 'too_few_frames', good: 3 });
+  });
+
+  it("doesn't count frames where someone else was nearest", () => {
+    const frames = [...repeat(frame('26412342', 0.3), 3), ...repeat(frame('26455552', 0.35), 2)];
+    expect(identifyBatch(frames, { ...OPTS, requiredGoodFrames: 3 })).toMatchObject({ studentId: '26412342', good: 3 });
+    expect(identifyBatch(frames, OPTS)).toMatchObject({ studentId: null, good: 3 });
+  });
+
+  it('rejects a look-alike too close to call before counting frames', () => {
+    const frames = repeat(frame('26412342', 0.3, { id: '26455552', distance: 0.33 }), 5);
+    expect(identifyBatch(frames, OPTS)).toMatchObject({ studentId: null, reason: 'ambiguous' });
+  });
+});
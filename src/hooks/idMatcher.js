@@ -0,0 +1,153 @@
+// src/hooks/idMatcher.js
+// Fuzzy matching of registered student IDs against an OCR digit string, for
+// reads where tesseract dropped, added, swapped or misread a digit.
+
+import { CHECKED_ID_LENGTH, idVersionOf, verhoeffValid } from '../services/studentIds';
+
+/**
+ * look-alike glyphs per digit: the letters and symbols ocr reads in its place
+ * (cleanOcrText turns them back into the digit), and the other digits it gets
+ * misread as (DIGIT_CONFUSIONS). both come from the same shapes, so they live
+ * in one table.
+ */
+export const DIGIT_LOOKALIKES = {
+  0: { letters: 'Oo', digits: '869' },
+  1: { letters: 'IlL|!', digits: '74' },
+  2: { letters: 'Zz', digits: '7' },
+  3: { letters: '', digits: '589' },
+  4: { letters: 'Aa@', digits: '19' },
+  5: { letters: 'Ss$', digits: '369' },
+  6: { letters: '', digits: '0589' },
+  7: { letters: 'Tt+', digits: '12' },
+  8: { letters: 'Bb', digits: '0369' },
+  9: { letters: 'Gg&', digits: '034568' },
+};
+
+const LOOKALIKE_ENTRIES = Object.entries(DIGIT_LOOKALIKES);
+
+/**
+ * digit pairs tesseract confuses, each once, from DIGIT_LOOKALIKES.
+ * substituting one for the other costs CONFUSED_COST instead of 1.
+ */
+export const DIGIT_CONFUSIONS = [
+  ...new Set(LOOKALIKE_ENTRIES.flatMap(([d, { digits }]) => [...digits].map((o) => [d, o].sort().join('')))),
+].map((pair) => [...pair]);
+
+const LETTER_DIGITS = new Map(LOOKALIKE_ENTRIES.flatMap(([d, { letters }]) => [...letters].map((c) => [c, d])));
+
+/**
+ * ocr text to digits: look-alike letters (O, I, S, ...) become their digit,
+ * anything else that isn't a digit is dropped
+ *
+ * @param {string} text - raw ocr text
+ * @returns {string}
+ */
+export const cleanOcrText = (text) =>
+  [...text].map((c) => LETTER_DIGITS.get(c) ?? c).join('').replace(/\D/g, '');
+
+export const CONFUSED_COST = 0.4;
+
+const confused = new Set(DIGIT_CONFUSIONS.flatMap(([a, b]) => [a + b, b + a]));
+
+const substitutionCost = (a, b) => {
+  if (a === b) return 0;
+  return confused.has(a + b) ? CONFUSED_COST : 1;
+};
+
+/**
+ * smallest weighted edit distance between `id` and any substring of `text`
+ * (the rest of the card's digits are free). insert / delete cost 1,
+ * substitution 1 or CONFUSED_COST, adjacent transposition 1.
+ *
+ * @param {string} id - registered id
+ * @param {string} text - ocr digits
+ * @returns {number}
+ */
+export const idDistance = (id, text) => {
+  const m = id.length;
+  const n = text.length;
+  // rows for i-2, i-1, i; row 0 is all zeros so a match can start anywhere in text
+  let prev2 = null;
+  let prev = new Float64Array(n + 1);
+  for (let i = 1; i <= m; i++) {
+    const cur = new Float64Array(n + 1);
+    cur[0] = i;
+    for (let j = 1; j <= n; j++) {
+      let d = Math.min(
+        prev[j] + 1, // digit of the id missing from the read
+        cur[j - 1] + 1, // extra digit in the read
+        prev[j - 1] + substitutionCost(id[i - 1], text[j - 1])
+      );
+      if (prev2 && j > 1 && id[i - 1] === text[j - 2] && id[i - 2] === text[j - 1]) {
+        d = Math.min(d, prev2[j - 2] + 1); // swapped neighbours
+      }
+      cur[j] = d;
+    }
+    prev2 = prev;
+    prev = cur;
+  }
+  return Math.min(...prev); // a match can end anywhere in text too
+};
+
+/**
+ * scores every registered id against the ocr digits, best first
+ *
+ * @param {string} digits - ocr text reduced to digits
+ * @param {string[]} ids - registered ids
+ * @returns {{id: string, distance: number}[]}
+ */
+export const rankIds = (digits, ids) =>
+  ids
+    .map((id) => ({ id, distance: idDistance(id, digits) }))
+    .sort((a, b) => a.distance - b.distance || a.id.localeCompare(b.id));
+
+// a checked id's check digit is confirmed when the read has it right after
+// the rest of the id: adding it to the match costs nothing
+const checkDigitConfirmed = (id, digits) =>
+  idVersionOf(id) === 2 && idDistance(id, digits) === idDistance(id.slice(0, -1), digits);
+
+const hamming = (a, b) => [...a].reduce((n, c, i) => n + (c !== b[i]), 0);
+
+// an 8-digit window of the read that passes its check digit yet differs from
+// `id`: one misread digit never passes, so that's another student's card
+const readsAnotherCheckedId = (id, digits) => {
+  for (let i = 0; i + CHECKED_ID_LENGTH <= digits.length; i++) {
+    const window = digits.slice(i, i + CHECKED_ID_LENGTH);
+    if (window !== id && hamming(window, id) <= 2 && verhoeffValid(window)) return true;
+  }
+  return false;
+};
+
+/**
+ * best fuzzy match, accepted only when it's close enough and clearly ahead
+ * of the runner-up. candidates are the registered ids that are valid ids
+ * themselves, legacy and checked. when checked ids are too close to call,
+ * the check digit breaks the tie: the one candidate whose check digit the
+ * read confirms wins. a checked id is never taken from a read that passes
+ * the check for a different id nearby.
+ *
+ * @param {string} digits
+ * @param {string[]} ids - registered ids (invalid ones are skipped)
+ * @param {Object} [opts]
+ * @param {number} [opts.maxDistance=1.5] - accept only at or below this distance
+ * @param {number} [opts.margin=1] - required distance gap to the runner-up
+ * @returns {{id: string|null, distance: number|null, ranked: Object[]}} ranked is the full
+ *   list of candidates, for logging
+ */
+export const matchId = (digits, ids, { maxDistance = 1.5, margin = 1 } = {}) => {
+  const ranked = rankIds(digits, ids.filter((id) => idVersionOf(id) !== null));
+  const [best] = ranked;
+  if (!best || best.distance > maxDistance) {
+    return { id: null, distance: best ? best.distance : null, ranked };
+  }
+
+  let winner = best;
+  const tied = ranked.filter((r) => r.distance - best.distance < margin);
+  if (tied.length > 1) {
+    const confirmed = tied.filter((r) => checkDigitConfirmed(r.id, digits));
+    winner = confirmed.length === 1 && confirmed[0].distance <= maxDistance ? confirmed[0] : null;
+  }
+  if (winner && idVersionOf(winner.id) === 2 && readsAnotherCheckedId(winner.id, digits)) winner = null;
+
+  return { id: winner ? winner.id : null, distance: (winner ?? best).distance, ranked };
+};
@@ -0,0 +1,92 @@
+// src/hooks/idMatcher.test.js
+import { describe, expect, it } from 'vitest';
+import { DIGIT_CONFUSIONS, DIGIT_LOOKALIKES, cleanOcrText, idDistance, matchId } from './idMatcher';
+import { verhoeffValid } from '../services/studentIds';
+
+describe('DIGIT_LOOKALIKES', () => {
+  it('lists every confusion from both digits', () => {
+    for (const [d, { digits }] of Object.entries(DIGIT_LOOKALIKES)) {
+      for (const other of digits) expect(DIGIT_LOOKALIKES[other].digits, `${d}/${other}`).toContain(d);
+    }
+  });
+
+  it('gives DIGIT_CONFUSIONS each pair once', () => {
+    const keys = DIGIT_CONFUSIONS.map((pair) => [...pair].sort().join(''));
+    expect(new Set(keys).size).toBe(keys.length);
+    expect(keys).toEqual(expect.arrayContaining(['08', '17', '56', '38', '49']));
+  });
+
+  it('gives cleanOcrText its letter substitutions', () => {
+    expect(cleanOcrText('2S4-l0O3 Zb')).toBe('254100328');
+    expect(cleanOcrText('No. 2541234')).toBe('02541234');
+    expect(cleanOcrText('G&Aa@Tt+|!')).toBe('9944477711');
+  });
+});
+
+describe('idDistance', () => {
+  it('charges less for a look-alike digit', () => {
+    expect(idDistance('2541234', '992541234')).toBe(0);
+    expect(idDistance('2541234', '2547234')).toBeCloseTo(0.4);
+    expect(idDistance('2541234', '2542234')).toBe(1);
+    expect(idDistance('2541234', '254123')).toBe(1);
+    expect(idDistance('2541234', '2542134')).toBe(1);
+  });
+});
+
+describe('matchId', () => {
+  it('accepts a legacy id read with a look-alike digit', () => {
+    expect(matchId('2547234', ['2541234', '2559876'])).toMatchObject({ id: '2541234' });
+  });
+
+  it('rejects a close call', () => {
+    expect(matchId('2541234', ['2541235', '2541236']).id).toBeNull();
+  });
+
+  it('skips registered ids that are not valid ids themselves', () => {
+    const bad = '26412343'; // wrong check digit
+    expect(verhoeffValid(bad)).toBe(false);
+    const match = matchId(bad, [bad, '2559876']);
+    expect(match.id).toBeNull();
+    expect(match.ranked.map((r) => r.id)).toEqual(['2559876']);
+  });
+});
+
+describe('matchId on checked ids', () => {
+  const registered = '26412342';
+  const lookalike = '26417348'; // 2 -> 7 and its own check digit
+
+  it('uses valid ids', () => {
+    expect(verhoeffValid(registered)).toBe(true);
+    expect(verhoeffValid(lookalike)).toBe(true);
+  });
+
+  it('accepts a checked id read with a look-alike digit', () => {
+    const misread = '26417342'; // 1 look-alike away, fails its check digit
+    expect(verhoeffValid(misread)).toBe(false);
+    expect(matchId(misread, [registered, '2559876'])).toMatchObject({ id: registered, distance: 0.4 });
+  });
+
+  it('accepts a checked id read with a digit dropped', () => {
+    expect(matchId('2641242', [registered, '2559876']).id).toBe(registered);
+  });
+
+  it('breaks a close call with the check digit', () => {
+    // one look-alike from the first, a wrong check digit from the second
+    const match = matchId('26417342', [registered, lookalike]);
+    expect(match.ranked.map((r) => r.distance)).toEqual([0.4, 1]);
+    expect(match.id).toBe(registered);
+  });
+
+  it("rejects a close call the check digit can't settle", () => {
+    // no check digit read at all
+    expect(matchId('2641734', [registered, lookalike]).id).toBeNull();
+  });
+
+  it('never takes a read that passes the check for another id', () => {
+    // an unregistered student's card, within 1.5 of a registered id
+    expect(idDistance(registered, lookalike)).toBeLessThanOrEqual(1.5);
+    const match = matchId(lookalike, [registered, '2559876']);
+    expect(match.ranked[0].id).toBe(registered);
+    expect(match.id).toBeNull();
+  });
+});
@@ -0,0 +1,308 @@
+// src/hooks/liveness.js
+// Pure liveness helpers used by useFaceVerification (no React, no face-api),
+// so they can be driven by synthetic landmark sequences.
+
+/**
+ * liveness policies:
+ * - yaw: turn right and left (estimateYawScore)
+ * - blink: blink with both eyes (eye aspect ratio)
+ * - both: yaw and blink
+ * - all: yaw, look up / nod (estimatePitchRatio) and blink (default)
+ */
+export const LIVENESS_POLICIES = ['yaw', 'blink', 'both', 'all'];
+
+export const normalizeLivenessPolicy = (policy) =>
+  LIVENESS_POLICIES.includes(policy) ? policy : 'all';
+
+// 68-point layout: 36-41 left eye, 42-47 right eye (p1..p6, clockwise from the outer corner)
+const LEFT_EYE = [36, 37, 38, 39, 40, 41];
+const RIGHT_EYE = [42, 43, 44, 45, 46, 47];
+
+const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+/**
+ * eye aspect ratio (soukupová & čech, 2016): (|p2-p6| + |p3-p5|) / (2 |p1-p4|)
+ * roughly 0.25-0.35 for an open eye, dropping towards 0 when it closes.
+ *
+ * @param {{x: number, y: number}[]} eye - the 6 eye landmarks p1..p6
+ */
+export const eyeAspectRatio = (eye) => {
+  const [p1, p2, p3, p4, p5, p6] = eye;
+  const width = dist(p1, p4);
+  if (width < 1e-6) return 0;
+  return (dist(p2, p6) + dist(p3, p5)) / (2 * width);
+};
+
+/**
+ * mean ear of both eyes from 68 landmark positions (null when missing)
+ * @param {{x: number, y: number}[]} positions
+ */
+export const averageEyeAspectRatio = (positions) => {
+  if (!positions || positions.length < 48) return null;
+  const left = eyeAspectRatio(LEFT_EYE.map((i) => positions[i]));
+  const right = eyeAspectRatio(RIGHT_EYE.map((i) => positions[i]));
+  return (left + right) / 2;
+};
+
+/**
+ * blink counter fed one ear value per detection frame.
+ *
+ * thresholds are relative to the person's own open-eye ear (baseline), which
+ * is calibrated from the first frames and then tracked while the eyes are
+ * open, so narrow eyes and glasses don't need a different absolute cutoff.
+ * a blink is a closed run followed by reopening; closures longer than
+ * maxClosedFrames (eyes held shut, looking down) don't count.
+ * a printed photo never changes its ear, so it never blinks.
+ *
+ * @param {Object} [opts]
+ * @param {number} [opts.requiredBlinks=1]
+ * @param {number} [opts.calibrationFrames=3] - open-eye frames averaged before counting
+ * @param {number} [opts.closeRatio=0.75] - closed when ear < baseline * closeRatio
+ * @param {number} [opts.openRatio=0.9] - reopened when ear > baseline * openRatio
+ * @param {number} [opts.maxClosedFrames=6]
+ */
+export const createBlinkDetector = ({
+  requiredBlinks = 1,
+  calibrationFrames = 3,
+  closeRatio = 0.75,
+  openRatio = 0.9,
+  maxClosedFrames = 6,
+} = {}) => {
+  let calibration = [];
+  let baseline = null;
+  let closed = false;
+  let closedFrames = 0;
+  let blinks = 0;
+
+  const snapshot = (ear) => ({
+    ear,
+    baseline,
+    closed,
+    blinks,
+    requiredBlinks,
+    passed: blinks >= requiredBlinks,
+  });
+
+  const reset = () => {
+    calibration = [];
+    baseline = null;
+    closed = false;
+    closedFrames = 0;
+    blinks = 0;
+  };
+
+  /** @param {number|null} ear - from averageEyeAspectRatio */
+  const update = (ear) => {
+    if (!Number.isFinite(ear) || ear <= 0) return snapshot(null);
+
+    if (baseline === null) {
+      calibration.push(ear);
+      if (calibration.length >= calibrationFrames) {
+        const sorted = calibration.slice().sort((a, b) => a - b);
+        baseline = sorted[Math.floor(sorted.length / 2)];
+        calibration = [];
+      }
+      return snapshot(ear);
+    }
+
+    if (!closed) {
+      if (ear < baseline * closeRatio) {
+        closed = true;
+        closedFrames = 1;
+      } else {
+        // follow slow drift (distance to camera, head pose) while the eyes are open
+        baseline = baseline * 0.8 + ear * 0.2;
+      }
+    } else if (ear > baseline * openRatio) {
+      if (closedFrames <= maxClosedFrames) blinks += 1;
+      closed = false;
+      closedFrames = 0;
+    } else {
+      closedFrames += 1;
+    }
+
+    return snapshot(ear);
+  };
+
+  return { update, reset };
+};
+
+/**
+ * head pitch proxy from 68 landmarks: where the nose tip (30) sits between the
+ * eye line (36/45 outer corners) and the chin (8), 0 = on the eye line, 1 = on the chin.
+ * around 0.4-0.5 facing the camera; it drops when looking up and rises looking down.
+ * only meaningful relative to the same person's neutral value.
+ */
+export const estimatePitchRatio = (positions) => {
+  if (!positions || positions.length < 46) return null;
+  const eyeY = (positions[36].y + positions[45].y) / 2;
+  const span = positions[8].y - eyeY;
+  if (span < 1) return null;
+  return (positions[30].y - eyeY) / span;
+};
+
+/**
+ * challenge actions; prompt is shown and spoken as-is
+ */
+export const CHALLENGE_ACTIONS = {
+  turnLeft: { prompt: 'Turn your head left', kind: 'yaw' },
+  turnRight: { prompt: 'Turn your head right', kind: 'yaw' },
+  lookUp: { prompt: 'Look up', kind: 'pitch' },
+  nod: { prompt: 'Nod your head', kind: 'pitch' },
+  blink: { prompt: 'Blink slowly', kind: 'blink' },
+};
+
+const YAW_ACTIONS = ['turnLeft', 'turnRight'];
+
+// actions each policy draws from
+const POLICY_ACTIONS = {
+  yaw: YAW_ACTIONS,
+  blink: ['blink'],
+  both: [...YAW_ACTIONS, 'blink'],
+  all: [...YAW_ACTIONS, 'lookUp', 'nod', 'blink'],
+};
+
+/**
+ * random challenge sequence for a liveness policy, drawn from its actions only:
+ * - blink: a single blink
+ * - yaw: head turns
+ * - both / all: at least one blink and at least one head action, so at least
+ *   2 steps whatever `length` says
+ * the same action never appears twice in a row.
+ *
+ * @param {Object} [opts]
+ * @param {'yaw'|'blink'|'both'|'all'} [opts.policy='all']
+ * @param {number} [opts.length=3]
+ * @param {() => number} [opts.random=Math.random]
+ * @returns {string[]} keys of CHALLENGE_ACTIONS
+ */
+export const createChallengeSequence = ({ policy = 'all', length = 3, random = Math.random } = {}) => {
+  const pick = (list) => list[Math.floor(random() * list.length) % list.length];
+
+  const pool = POLICY_ACTIONS[normalizeLivenessPolicy(policy)];
+  if (pool.length === 1) return [...pool];
+
+  // the guaranteed blink gets its slot first; its neighbours can't be blinks,
+  // so they are head actions and nothing repeats
+  const withBlink = pool.includes('blink');
+  const count = Math.max(length, withBlink ? 2 : 1);
+  const blinkAt = withBlink ? Math.floor(random() * count) % count : -1;
+
+  const steps = [];
+  for (let i = 0; i < count; i++) {
+    if (i === blinkAt) {
+      steps.push('blink');
+      continue;
+    }
+    const prev = steps[i - 1];
+    const next = i + 1 === blinkAt ? 'blink' : null;
+    steps.push(pick(pool.filter((a) => a !== prev && a !== next)));
+  }
+  return steps;
+};
+
+/**
+ * runs a challenge sequence against per-frame observations.
+ *
+ * only the current step is checked, so actions performed out of order don't
+ * count. each step has its own timeout; running out fails the whole sequence.
+ * the neutral pitch is calibrated from the first frames (facing the camera)
+ * and blinks are counted with createBlinkDetector, only those after the step
+ * started count.
+ *
+ * @param {Object} opts
+ * @param {string[]} opts.steps - from createChallengeSequence
+ * @param {number} [opts.stepTimeoutMs=6000]
+ * @param {number} [opts.yawThreshold=70] - |estimateYawScore| for a turn
+ * @param {number} [opts.pitchDelta=0.15] - relative change of the pitch ratio for up/down
+ * @param {number} [opts.calibrationFrames=3]
+ */
+export const createChallengeRunner = ({
+  steps,
+  stepTimeoutMs = 6000,
+  yawThreshold = 70,
+  pitchDelta = 0.15,
+  calibrationFrames = 3,
+}) => {
+  const blinkDetector = createBlinkDetector({ requiredBlinks: Infinity, calibrationFrames });
+  let calibration = [];
+  let neutralPitch = null;
+  let index = 0;
+  let stepStartedAt = null;
+  let blinksAtStepStart = 0;
+  let noddedDown = false;
+  let failed = false;
+  let blink = { ear: null, closed: false, blinks: 0 };
+
+  const snapshot = (now) => {
+    const done = index >= steps.length;
+    const action = done ? null : steps[index];
+    return {
+      steps,
+      index,
+      action,
+      prompt: action ? CHALLENGE_ACTIONS[action].prompt : null,
+      timeLeftMs: done || failed || stepStartedAt === null ? null : Math.max(0, stepStartedAt + stepTimeoutMs - now),
+      calibrating: neutralPitch === null,
+      done,
+      failed,
+      blink,
+    };
+  };
+
+  const startStep = (now) => {
+    stepStartedAt = now;
+    blinksAtStepStart = blink.blinks;
+    noddedDown = false;
+  };
+
+  const stepPassed = (action, { yaw, pitch }) => {
+    const rel = Number.isFinite(pitch) ? (pitch - neutralPitch) / neutralPitch : 0;
+    switch (action) {
+      case 'turnLeft':
+        return yaw >= yawThreshold;
+      case 'turnRight':
+        return yaw <= -yawThreshold;
+      case 'lookUp':
+        return rel <= -pitchDelta;
+      case 'nod':
+        // down, then back up to (about) neutral
+        if (rel >= pitchDelta) noddedDown = true;
+        return noddedDown && rel <= pitchDelta / 3;
+      case 'blink':
+        return blink.blinks > blinksAtStepStart;
+      default:
+        return false;
+    }
+  };
+
+  /**
+   * @param {{yaw: number, pitch: number|null, ear: number|null}} obs - one detection frame
+   * @param {number} [now=Date.now()]
+   */
+  const update = ({ yaw = 0, pitch = null, ear = null }, now = Date.now()) => {
+    if (failed || index >= steps.length) return snapshot(now);
+
+    blink = blinkDetector.update(ear);
+
+    if (neutralPitch === null) {
+      if (Number.isFinite(pitch)) calibration.push(pitch);
+      if (calibration.length >= calibrationFrames) {
+        const sorted = calibration.slice().sort((a, b) => a - b);
+        neutralPitch = sorted[Math.floor(sorted.length / 2)];
+        startStep(now);
+      }
+      return snapshot(now);
+    }
+
+    if (stepPassed(steps[index], { yaw, pitch })) {
+      index += 1;
+      if (index < steps.length) startStep(now);
+    } else if (now - stepStartedAt > stepTimeoutMs) {
+      failed = true;
+    }
+    return snapshot(now);
+  };
+
+  return { update, snapshot: () => snapshot(Date.now()) };
+};
@@ -0,0 +1,150 @@
+// src/hooks/liveness.test.js
+import { describe, expect, it } from 'vitest';
+import { averageEyeAspectRatio, createBlinkDetector, createChallengeSequence } from './liveness';
+
+const EYE_WIDTH = 30;
+
+// one eye's 6 landmarks (p1..p6, clockwise from the outer corner) with the given ear
+const eye = (x, y, ear) => {
+  const h = (ear * EYE_WIDTH) / 2;
+  return [
+    { x, y },
+    { x: x + 10, y: y - h },
+    { x: x + 20, y: y - h },
+    { x: x + EYE_WIDTH, y },
+    { x: x + 20, y: y + h },
+    { x: x + 10, y: y + h },
+  ];
+};
+
+// synthetic 68-point face: everything on a grid except the eyes (36-41, 42-47)
+const face = (ear, jitter = () => 0) => {
+  const points = Array.from({ length: 68 }, (_, i) => ({ x: 100 + (i % 17) * 8, y: 100 + Math.floor(i / 17) * 30 }));
+  points.splice(36, 6, ...eye(120, 150, ear));
+  points.splice(42, 6, ...eye(180, 150, ear));
+  return points.map((p) => ({ x: p.x + jitter(), y: p.y + jitter() }));
+};
+
+// deterministic small noise, like landmark jitter on a still face
+const seeded = (seed) => () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return (seed / 2147483648 - 0.5) * 0.6;
+};
+
+const OPEN = 0.3;
+const CLOSED = 0.1;
+
+const run = (ears, opts) => {
+  const detector = createBlinkDetector(opts);
+  return ears.map((ear) => detector.update(averageEyeAspectRatio(face(ear))));
+};
+
+const repeat = (ear, n) => Array(n).fill(ear);
+
+describe('averageEyeAspectRatio', () => {
+  it('reads the ear of both eyes from 68 landmarks', () => {
+    expect(averageEyeAspectRatio(face(OPEN))).toBeCloseTo(OPEN, 5);
+    expect(averageEyeAspectRatio(face(CLOSED))).toBeCloseTo(CLOSED, 5);
+  });
+
+  it('is null without a full landmark set', () => {
+    expect(averageEyeAspectRatio(null)).toBeNull();
+    expect(averageEyeAspectRatio(face(OPEN).slice(0, 40))).toBeNull();
+  });
+});
+
+describe('createBlinkDetector', () => {
+  it('counts open -> closed -> open as one blink', () => {
+    const frames = run([...repeat(OPEN, 5), ...repeat(CLOSED, 2), ...repeat(OPEN, 3)]);
+    const last = frames[frames.length - 1];
+    expect(last.blinks).toBe(1);
+    expect(last.passed).toBe(true);
+    expect(frames.slice(0, 7).some((f) => f.passed)).toBe(false);
+  });
+
+  it('counts two separate blinks', () => {
+    const ears = [...repeat(OPEN, 4), CLOSED, ...repeat(OPEN, 3), CLOSED, CLOSED, ...repeat(OPEN, 2)];
+    const frames = run(ears, { requiredBlinks: 2 });
+    expect(frames[frames.length - 1]).toMatchObject({ blinks: 2, passed: true });
+  });
+
+  it('does not count eyes held closed', () => {
+    const frames = run([...repeat(OPEN, 5), ...repeat(CLOSED, 12), ...repeat(OPEN, 5)]);
+    expect(frames[frames.length - 1].blinks).toBe(0);
+    expect(frames.some((f) => f.passed)).toBe(false);
+  });
+
+  it('does not count eyes that stay closed', () => {
+    const frames = run([...repeat(OPEN, 5), ...repeat(CLOSED, 20)]);
+    expect(frames.some((f) => f.passed)).toBe(false);
+  });
+
+  it('never passes a constant, photo-like sequence', () => {
+    const detector = createBlinkDetector();
+    const jitter = seeded(42);
+    for (let i = 0; i < 200; i++) {
+      const state = detector.update(averageEyeAspectRatio(face(OPEN, jitter)));
+      expect(state.blinks).toBe(0);
+      expect(state.passed).toBe(false);
+    }
+  });
+
+  it('ignores frames without landmarks', () => {
+    const detector = createBlinkDetector();
+    const ears = [...repeat(OPEN, 4), null, CLOSED, null, OPEN];
+    const last = ears
+      .map((ear) => detector.update(ear === null ? averageEyeAspectRatio(null) : averageEyeAspectRatio(face(ear))))
+      .pop();
+    expect(last.blinks).toBe(1);
+  });
+});
+
+describe('createChallengeSequence', () => {
+  const HEAD = ['turnLeft', 'turnRight', 'lookUp', 'nod'];
+  // seeded stand-in for Math.random, in [0, 1)
+  const uniform = (seed) => {
+    const jitter = seeded(seed);
+    return () => jitter() / 0.6 + 0.5;
+  };
+  const draws = (policy, length = 3) =>
+    Array.from({ length: 300 }, (_, i) => createChallengeSequence({ policy, length, random: uniform(i + 1) }));
+  const noRepeats = (steps) => steps.every((a, i) => a !== steps[i - 1]);
+
+  it('gives the blink policy a single blink', () => {
+    expect(createChallengeSequence({ policy: 'blink' })).toEqual(['blink']);
+  });
+
+  it('keeps each policy to its own actions', () => {
+    const allowed = {
+      yaw: ['turnLeft', 'turnRight'],
+      both: ['turnLeft', 'turnRight', 'blink'],
+      all: [...HEAD, 'blink'],
+    };
+    for (const [policy, actions] of Object.entries(allowed)) {
+      for (const steps of draws(policy)) {
+        expect(steps).toHaveLength(3);
+        expect(steps.every((a) => actions.includes(a)), `${policy}: ${steps}`).toBe(true);
+        expect(noRepeats(steps), `${policy}: ${steps}`).toBe(true);
+      }
+    }
+  });
+
+  it('always has a blink and a head action under both and all', () => {
+    for (const policy of ['both', 'all']) {
+      for (const length of [1, 2, 3, 5]) {
+        for (const steps of draws(policy, length)) {
+          expect(steps.length).toBe(Math.max(length, 2));
+          expect(steps).toContain('blink');
+          expect(steps.some((a) => HEAD.includes(a)), `${policy}: ${steps}`).toBe(true);
+          expect(noRepeats(steps), `${policy}: ${steps}`).toBe(true);
+        }
+      }
+    }
+  });
+
+  it('falls back to all for an unknown policy', () => {
+    const steps = draws('sideways');
+    expect(steps.flat().some((a) => a === 'lookUp' || a === 'nod')).toBe(true);
+    expect(steps.every((s) => s.includes('blink'))).toBe(true);
+  });
+});
@@ -0,0 +1,73 @@
+// src/hooks/nameMatch.js
+// Compares the text printed on an ID card (alphabetic OCR pass) with the
+// student record, so a card with a copied number but another name is caught.
+
+export const NAME_WEIGHT = 0.75; // the rest goes to the department
+
+const MIN_TOKEN_LENGTH = 2;
+
+/** uppercase letters and single spaces only */
+export const normalizeText = (s) =>
+  String(s ?? '')
+    .toUpperCase()
+    .replace(/[^A-Z]+/g, ' ')
+    .trim();
+
+const tokensOf = (s) => normalizeText(s).split(' ').filter((t) => t.length >= MIN_TOKEN_LENGTH);
+
+/**
+ * edit distance between `token` and its closest substring of `text`, so ocr
+ * merging or splitting words ("DELACRUZ", "DE LA") doesn't matter
+ */
+const substringDistance = (token, text) => {
+  let prev = new Array(text.length + 1).fill(0);
+  for (let i = 1; i <= token.length; i++) {
+    const cur = [i];
+    for (let j = 1; j <= text.length; j++) {
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (token[i - 1] === text[j - 1] ? 0 : 1));
+    }
+    prev = cur;
+  }
+  return Math.min(...prev);
+};
+
+/**
+ * how much of `expected` appears in the ocr text, 0-1: each word's best
+ * substring similarity, weighted by word length
+ *
+ * @param {string} expected - e.g. the registered name
+ * @param {string} ocrText
+ * @returns {number|null} null if `expected` has no words to compare
+ */
+export const textSimilarity = (expected, ocrText) => {
+  const tokens = tokensOf(expected);
+  if (!tokens.length) return null;
+
+  const haystack = normalizeText(ocrText).replace(/ /g, '');
+  let total = 0;
+  let weighted = 0;
+  for (const token of tokens) {
+    const similarity = haystack ? 1 - Math.min(1, substringDistance(token, haystack) / token.length) : 0;
+    weighted += similarity * token.length;
+    total += token.length;
+  }
+  return weighted / total;
+};
+
+/**
+ * @param {string} ocrText - text from the alphabetic ocr pass over the card
+ * @param {{name?: string, department?: string}} student - database record
+ * @returns {{score: number, name: number|null, department: number|null}} score is 0-1;
+ *   the department only counts when the record has one
+ */
+export const scoreCardText = (ocrText, student) => {
+  const name = textSimilarity(student?.name, ocrText);
+  const department = textSimilarity(student?.department, ocrText);
+
+  let score;
+  if (name === null) score = department ?? 0;
+  else if (department === null) score = name;
+  else score = name * NAME_WEIGHT + department * (1 - NAME_WEIGHT);
+
+  return { score, name, department };
+};
@@ -0,0 +1,79 @@
+// src/hooks/ocrConsensus.js
+// Multi-frame voting for the ID scanner: one OCR read that happens to hit a
+// registered ID shouldn't be enough to pick the student.
+
+/**
+ * tesseract confidence (0-1) for a candidate id: the best word whose digits
+ * contain it, else the page confidence.
+ *
+ * @param {Object} data - tesseract recognize() result data ({ confidence, words })
+ * @param {string} id
+ * @returns {number}
+ */
+export const candidateConfidence = (data, id) => {
+  let best = null;
+  for (const word of data?.words ?? []) {
+    if (String(word.text ?? '').replace(/\D/g, '').includes(id)) {
+      best = Math.max(best ?? 0, word.confidence ?? 0);
+    }
+  }
+  const conf = best ?? data?.confidence ?? 0;
+  return Math.max(0, Math.min(1, conf / 100));
+};
+
+/**
+ * sliding window of the last `frames` scans, each voting for one candidate id
+ * (or none) with its ocr confidence as the weight.
+ *
+ * a candidate wins once it has at least `minVotes` frames in the window and
+ * at least `majority` of the confidence weight of every frame in it. frames
+ * without a candidate count with `emptyWeight`, so a lone read among blank
+ * frames doesn't win by default.
+ *
+ * @param {Object} [opts]
+ * @param {number} [opts.frames=5]
+ * @param {number} [opts.majority=0.6] - share of the window weight, 0-1
+ * @param {number} [opts.minVotes=3]
+ * @param {number} [opts.emptyWeight=0.5]
+ */
+export const createOcrConsensus = ({ frames = 5, majority = 0.6, minVotes = 3, emptyWeight = 0.5 } = {}) => {
+  let recent = [];
+
+  const tally = () => {
+    const byId = new Map();
+    let total = 0;
+    for (const f of recent) {
+      if (!f.id) {
+        total += emptyWeight;
+        continue;
+      }
+      const w = Math.max(f.confidence, 0.01); // keep zero-confidence reads countable
+      total += w;
+      const t = byId.get(f.id) || { id: f.id, weight: 0, votes: 0 };
+      t.weight += w;
+      t.votes += 1;
+      byId.set(f.id, t);
+    }
+    return [...byId.values()]
+      .map((t) => ({ ...t, share: total ? t.weight / total : 0 }))
+      .sort((a, b) => b.weight - a.weight);
+  };
+
+  /**
+   * @param {{id: string|null, confidence: number}} frame
+   * @returns {{winner: string|null, ranked: Object[], frames: Object[]}}
+   */
+  const add = (frame) => {
+    recent = [...recent, { id: frame.id ?? null, confidence: frame.confidence ?? 0 }].slice(-frames);
+    const ranked = tally();
+    const top = ranked[0];
+    const winner = top && top.votes >= minVotes && top.share >= majority ? top.id : null;
+    return { winner, ranked, frames: recent };
+  };
+
+  const reset = () => {
+    recent = [];
+  };
+
+  return { add, reset };
+};
@@ -0,0 +1,83 @@
+// src/hooks/preprocessClient.js
+import { binarizeImageData } from './binarize';
+
+const supportsWorker = () =>
+  typeof Worker !== 'undefined' &&
+  typeof OffscreenCanvas !== 'undefined' &&
+  typeof createImageBitmap !== 'undefined';
+
+/**
+ * binarizes canvases for ocr in the preprocess worker, or on the main
+ * thread when workers / OffscreenCanvas aren't available (or the worker fails).
+ *
+ * @returns {{ run: (canvas: HTMLCanvasElement, options?: Object) => Promise<void>, terminate: () => void }}
+ */
+export const createPreprocessor = () => {
+  let worker = null;
+  let nextId = 0;
+  const pending = new Map();
+
+  const failAll = (err) => {
+    for (const { reject } of pending.values()) reject(err);
+    pending.clear();
+  };
+
+  if (supportsWorker()) {
+    try {
+      worker = new Worker(new URL('../workers/preprocess.worker.js', import.meta.url), { type: 'module' });
+      worker.onmessage = ({ data }) => {
+        const job = pending.get(data.id);
+        if (!job) return;
+        pending.delete(data.id);
+        if (data.error) job.reject(new Error(data.error));
+        else job.resolve(data.bitmap);
+      };
+      worker.onerror = (e) => {
+        console.warn('Preprocess worker failed, using the main thread:', e.message);
+        worker.terminate();
+        worker = null;
+        failAll(new Error('preprocess worker failed'));
+      };
+    } catch (err) {
+      console.warn('Preprocess worker unavailable, using the main thread:', err);
+      worker = null;
+    }
+  }
+
+  const runInThread = (canvas, options) => {
+    const ctx = canvas.getContext('2d');
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    binarizeImageData(imageData, options);
+    ctx.putImageData(imageData, 0, 0);
+  };
+
+  /** replaces the canvas contents with the binarized image */
+  const run = async (canvas, options) => {
+    if (!worker) return runInThread(canvas, options);
+
+    try {
+      const bitmap = await createImageBitmap(canvas);
+      const id = nextId++;
+      const result = await new Promise((resolve, reject) => {
+        pending.set(id, { resolve, reject });
+        worker.postMessage({ id, bitmap, options }, [bitmap]);
+      });
+
+      const ctx = canvas.getContext('2d');
+      ctx.clearRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(result, 0, 0);
+      result.close();
+    } catch (err) {
+      console.warn('Worker preprocessing failed, retrying on the main thread:', err);
+      runInThread(canvas, options);
+    }
+  };
+
+  const terminate = () => {
+    if (worker) worker.terminate();
+    worker = null;
+    failAll(new Error('preprocessor terminated'));
+  };
+
+  return { run, terminate };
+};
@@ -0,0 +1,234 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import * as faceapi from '@vladmandic/face-api';
+import { CAPTURE_POSES, captureCrop, checkCaptureFrame, createCaptureHold } from './enrollmentCapture';
+import { SAMPLE_WIDTH, faceStatsOf, lumaOf } from './faceImageStats';
+
+const DETECTION_INTERVAL = 250;
+const TINY_INPUT_SIZE = 320; // same detector settings as useFaceVerification
+const COUNT_SCORE = 0.5; // as server/faceQuality.js: weaker faces still count as extra people
+const JPEG_QUALITIES = [0.92, 0.85, 0.75, 0.65];
+const MIN_SIDE = 320;
+
+const toBlob = (canvas, quality) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode the photo.'))), 'image/jpeg', quality);
+  });
+
+// JPEG under maxBytes: lower the quality first, then the size
+const compressToLimit = async (canvas, maxBytes) => {
+  let source = canvas;
+  while (source.width >= MIN_SIDE) {
+    for (const quality of JPEG_QUALITIES) {
+      const blob = await toBlob(source, quality);
+      if (blob.size <= maxBytes) return blob;
+    }
+    const smaller = document.createElement('canvas');
+    smaller.width = Math.round(source.width * 0.8);
+    smaller.height = Math.round(source.height * 0.8);
+    smaller.getContext('2d').drawImage(source, 0, 0, smaller.width, smaller.height);
+    source = smaller;
+  }
+  throw new Error('Could not compress the photo under the size limit.');
+};
+
+// first pose without a photo, or -1 when all are taken
+const nextPoseIndex = (shots) => CAPTURE_POSES.findIndex((p) => !shots[p.key]);
+
+// the face box of the current frame measured like the backend does (faceStatsOf)
+const measureFace = (video, box, canvas) => {
+  const width = SAMPLE_WIDTH;
+  const height = Math.max(1, Math.round((box.height / box.width) * SAMPLE_WIDTH));
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(video, box.x, box.y, box.width, box.height, 0, 0, width, height);
+  return faceStatsOf(lumaOf(ctx.getImageData(0, 0, width, height).data, 4), width, height);
+};
+
+/**
+ * Guided enrollment capture: walks the student through CAPTURE_POSES with the
+ * front camera and takes each photo by itself once a frame passes
+ * checkCaptureFrame for a moment. Photos are square JPEG Files under maxBytes,
+ * named capture-<pose>.jpg.
+ *
+ * @param {React.RefObject<HTMLVideoElement>} videoRef
+ * @param {Object} opts
+ * @param {number} opts.maxBytes - per photo, as the upload form's limit
+ * @returns {{ status: 'idle'|'loading'|'capturing'|'done'|'error', error: string|null,
+ *   pose: Object|null, hint: string, holdProgress: number,
+ *   shots: Object<string, { file: File, url: string }>, start: Function, stop: Function,
+ *   retake: (key: string) => void }}
+ */
+const useEnrollmentCapture = (videoRef, { maxBytes }) => {
+  const [status, setStatus] = useState('idle');
+  const [error, setError] = useState(null);
+  const [poseIndex, setPoseIndex] = useState(0);
+  const [hint, setHint] = useState('');
+  const [holdProgress, setHoldProgress] = useState(0);
+  const [shots, setShots] = useState({}); // pose key -> { file, url }
+
+  const streamRef = useRef(null);
+  const intervalRef = useRef(null);
+  const busyRef = useRef(false);
+  const holdRef = useRef(createCaptureHold());
+  const poseIndexRef = useRef(0);
+  const shotsRef = useRef({});
+  const sampleCanvasRef = useRef(null);
+
+  const stop = useCallback(() => {
+    if (intervalRef.current) {
+      clearInterval(intervalRef.current);
+      intervalRef.current = null;
+    }
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach((t) => t.stop());
+      streamRef.current = null;
+    }
+  }, []);
+
+  const loadModels = useCallback(async () => {
+    const modelPath = `${window.location.origin}/models`;
+    if (faceapi?.tf?.ready) await faceapi.tf.ready();
+    if (!faceapi.nets.tinyFaceDetector.isLoaded) await faceapi.nets.tinyFaceDetector.loadFromUri(modelPath);
+    if (!faceapi.nets.faceLandmark68Net.isLoaded) await faceapi.nets.faceLandmark68Net.loadFromUri(modelPath);
+  }, []);
+
+  const initCamera = useCallback(async () => {
+    const stream = await navigator.mediaDevices.getUserMedia({
+      video: { facingMode: 'user', width: { ideal: 1280 }, height: { ideal: 720 } },
+    });
+    streamRef.current = stream;
+    const video = videoRef.current;
+    if (!video) return;
+    video.srcObject = stream;
+    await new Promise((resolve) => {
+      video.onloadedmetadata = () => {
+        video.play();
+        resolve();
+      };
+    });
+  }, [videoRef]);
+
+  const takeShot = useCallback(
+    async (video, box, pose) => {
+      const crop = captureCrop(box, video.videoWidth, video.videoHeight);
+      const canvas = document.createElement('canvas');
+      canvas.width = crop.outSide;
+      canvas.height = crop.outSide;
+      canvas.getContext('2d').drawImage(video, crop.x, crop.y, crop.side, crop.side, 0, 0, crop.outSide, crop.outSide);
+
+      const blob = await compressToLimit(canvas, maxBytes);
+      const file = new File([blob], `capture-${pose.key}.jpg`, { type: 'image/jpeg' });
+      const previous = shotsRef.current[pose.key];
+      if (previous) URL.revokeObjectURL(previous.url);
+      shotsRef.current = { ...shotsRef.current, [pose.key]: { file, url: URL.createObjectURL(file) } };
+      setShots(shotsRef.current);
+    },
+    [maxBytes]
+  );
+
+  const tick = useCallback(async () => {
+    const video = videoRef.current;
+    if (busyRef.current || !video || !video.videoWidth) return;
+    busyRef.current = true;
+    try {
+      const pose = CAPTURE_POSES[poseIndexRef.current];
+      const detections = await faceapi
+        .detectAllFaces(video, new faceapi.TinyFaceDetectorOptions({ inputSize: TINY_INPUT_SIZE, scoreThreshold: COUNT_SCORE }))
+        .withFaceLandmarks();
+      const faces = detections.map((d) => ({
+        box: d.detection.box,
+        score: d.detection.score,
+        landmarks: d.landmarks.positions,
+      }));
+
+      if (!sampleCanvasRef.current) sampleCanvasRef.current = document.createElement('canvas');
+      const stats = faces.length === 1 ? measureFace(video, faces[0].box, sampleCanvasRef.current) : undefined;
+
+      const check = checkCaptureFrame({ faces, width: video.videoWidth, height: video.videoHeight, stats }, pose);
+      const hold = holdRef.current.update(check.ok, faces[0]?.box);
+      setHint(check.hint);
+      setHoldProgress(hold.progress);
+      if (!hold.ready) return;
+
+      await takeShot(video, faces[0].box, pose);
+      holdRef.current.reset();
+      setHoldProgress(0);
+
+      const next = nextPoseIndex(shotsRef.current);
+      if (next === -1) {
+        stop();
+        setStatus('done');
+        return;
+      }
+      poseIndexRef.current = next;
+      setPoseIndex(next);
+    } catch (err) {
+      console.error('Capture error:', err);
+      setHint('Could not read the camera frame, retrying...');
+    } finally {
+      busyRef.current = false;
+    }
+  }, [videoRef, takeShot, stop]);
+
+  const start = useCallback(async () => {
+    stop();
+    setError(null);
+    setStatus('loading');
+    try {
+      await loadModels();
+      await initCamera();
+    } catch (err) {
+      console.error('Capture setup error:', err);
+      stop();
+      setError(err?.name === 'NotAllowedError' ? 'Camera access denied' : 'Could not start the camera');
+      setStatus('error');
+      return;
+    }
+
+    const next = nextPoseIndex(shotsRef.current);
+    poseIndexRef.current = next === -1 ? 0 : next;
+    setPoseIndex(poseIndexRef.current);
+    holdRef.current.reset();
+    setHoldProgress(0);
+    setHint('');
+    setStatus('capturing');
+    intervalRef.current = setInterval(tick, DETECTION_INTERVAL);
+  }, [stop, loadModels, initCamera, tick]);
+
+  // drop one photo and take it again
+  const retake = useCallback(
+    (key) => {
+      const shot = shotsRef.current[key];
+      if (shot) URL.revokeObjectURL(shot.url);
+      const rest = { ...shotsRef.current };
+      delete rest[key];
+      shotsRef.current = rest;
+      setShots(rest);
+      start();
+    },
+    [start]
+  );
+
+  useEffect(
+    () => () => {
+      stop();
+      Object.values(shotsRef.current).forEach((s) => URL.revokeObjectURL(s.url));
+    },
+    [stop]
+  );
+
+  return {
+    status,
+    error,
+    pose: status === 'capturing' ? CAPTURE_POSES[poseIndex] : null,
+    hint,
+    holdProgress,
+    shots,
+    start,
+    stop,
+    retake,
+  };
+};
+
+export default useEnrollmentCapture;
@@ -1,7 +1,57 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import * as faceapi from '@vladmandic/face-api';
+import { getAllStoredDescriptors, getStoredDescriptors, getThresholds } from '../services/testDB';
+import { createFaceIndex, detectMismatch, identifyBatch, nearestOtherStudent } from './faceSearch';
+import { decideBatch as decideDistances, isUsableDistance, minDistanceToRefs as minDistanceBetween } from './faceMatch';
+import { estimatePose } from './facePose';
+import {
+  averageEyeAspectRatio,
+  createChallengeRunner,
+  createChallengeSequence,
+  estimatePitchRatio,
+  normalizeLivenessPolicy,
+} from './liveness';
+
+// the enrolled-face index is shared by every verification and rebuilt at most
+// this often, so students enrolled since show up without reloading the kiosk
+const FACE_INDEX_TTL_MS = 5 * 60 * 1000;
+let faceIndexCache = null; // { index, loadedAt }
+
+const loadFaceIndex = async () => {
+  if (faceIndexCache && Date.now() - faceIndexCache.loadedAt < FACE_INDEX_TTL_MS) {
+    return faceIndexCache.index;
+  }
+  const index = createFaceIndex(await getAllStoredDescriptors());
+  faceIndexCache = { index, loadedAt: Date.now() };
+  return index;
+};
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.studentId] - when set, precomputed descriptors are fetched
+ *   from the backend and reference images are only detected if none are stored
+ * @param {'yaw'|'blink'|'both'|'all'} [options.livenessPolicy] - which actions the random liveness
+ *   challenge draws from (default: VITE_LIVENESS_POLICY, else 'all')
+ * @param {Function} [options.onMismatch] - called with { resembledStudentId, resembledDistance,
+ *   claimedDistance } when the 1:N search finds the face belongs to another enrolled student
+ *   (without it, onFailed is called instead)
+ * @param {boolean} [options.mismatchCheck=true] - false skips the 1:N search
+ * @param {number} [options.mismatchMargin=0.1] - how much closer (euclidean) the other
+ *   student must be than the scanned id's owner
+ * @param {boolean} [options.identify=false] - no card: find the student among everyone
+ *   enrolled instead of checking one. onVerified also gets { studentId, distance,
+ *   runnerUpDistance }; referenceFaceImages and studentId are ignored
+ * @param {number} [options.identifyMargin=0.1] - how much closer (euclidean) the best
+ *   student must be than the next one to be identified
+ */
+const useFaceVerification = (videoRef, referenceFaceImages, onVerified, onFailed, options = {}) => {
+  const { studentId, onMismatch } = options;
+  const identify = Boolean(options.identify);
+  const mismatchEnabled = !identify && options.mismatchCheck !== false && Boolean(studentId);
+  const livenessPolicy = normalizeLivenessPolicy(
+    options.livenessPolicy ?? import.meta.env.VITE_LIVENESS_POLICY
+  );
 
-const useFaceVerification = (videoRef, referenceFaceImages, onVerified, onFailed) => {
   // UI state
   const [isReady, setIsReady] = useState(false);
   const [error, setError] = useState(null);
@@ -12,14 +62,13 @@ const useFaceVerification = (videoRef, referenceFaceImages, onVerified, onFailed
 
   // Liveness UI (state for UI)
   const [yawScore, setYawScore] = useState(0);
-  const [passedLeft, setPassedLeft] = useState(false);
-  const [passedRight, setPassedRight] = useState(false);
   const [livenessPassed, setLivenessPassed] = useState(false);
+  const [challenge, setChallenge] = useState(null); // createChallengeRunner snapshot
 
   // Liveness refs (used for logic; prevents effect restart loops)
-  const passedLeftRef = useRef(false);
-  const passedRightRef = useRef(false);
   const livenessPassedRef = useRef(false);
+  const challengeRunnerRef = useRef(null);
+  const challengeAttemptsRef = useRef(0);
 
   // For overlay
   const detectionsRef = useRef([]);
@@ -30,6 +79,7 @@ const useFaceVerification = (videoRef, referenceFaceImages, onVerified, onFailed
   const streamRef = useRef(null);
 
   const referenceDescriptorsRef = useRef([]); // Float32Array[]
+  const faceIndexRef = useRef(null);          // createFaceIndex over every enrolled student
   const failedAttemptsRef = useRef(0);
   const hasVerifiedRef = useRef(false);
   const hasFailedRef = useRef(false);
@@ -37,15 +87,17 @@ const useFaceVerification = (videoRef, referenceFaceImages, onVerified, onFailed
   // Multi-frame batch
   const batchStartRef = useRef(null);
   const batchDistancesRef = useRef([]); // number[]
+  const batchOthersRef = useRef([]);    // nearest other student per frame ({ id, distance } | null)
+  const batchMatchesRef = useRef([]);   // identify: two nearest students per frame
 
   // --------------------
   // TUNABLE SETTINGS
   // --------------------
-  const DISTANCE_THRESHOLD = 0.40;
+  const DEFAULT_DISTANCE_THRESHOLD = 0.40; // until calibrated (see server/calibration.js)
   const DETECTION_INTERVAL = 250;
 
   const MAX_SAMPLES = 16;
-  const REQUIRED_GOOD_FRAMES = 8;
+  const DEFAULT_REQUIRED_GOOD_FRAMES = 8; // likewise
   const BATCH_TIMEOUT_MS = 2200;
 
   const MAX_FAILED_ATTEMPTS = 5;
@@ -55,6 +107,18 @@ const useFaceVerification = (videoRef, referenceFaceImages, onVerified, onFailed
 
   const YAW_THRESHOLD = 70;
 
+  const MISMATCH_MARGIN = options.mismatchMargin ?? 0.1;
+  const IDENTIFY_MARGIN = options.identifyMargin ?? 0.1;
+
+  const CHALLENGE_LENGTH = 3; // steps per challenge ('blink' policy: one blink)
+  const STEP_TIMEOUT_MS = 6000;
+  const MAX_CHALLENGE_ATTEMPTS = 3;
+
+  // calibrated thresholds, read before detection starts
+  const distanceThresholdRef = useRef(DEFAULT_DISTANCE_THRESHOLD);  // this student (1:1)
+  const globalThresholdRef = useRef(DEFAULT_DISTANCE_THRESHOLD);    // everyone (1:N searches)
+  const requiredGoodFramesRef = useRef(DEFAULT_REQUIRED_GOOD_FRAMES);
+
   // --------------------
   // Helpers
   // --------------------
@@ -150,26 +214,31 @@ const useFaceVerification = (videoRef, referenceFaceImages, onVerified, onFailed
 
   const estimateYawScore = useCallback((landmarks) => {
     if (!landmarks) return 0;
-    const pts = landmarks.positions;
-    const nose = pts[30];
-    const leftEye = pts[36];
-    const rightEye = pts[45];
-
-    const dist = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+    const pose = estimatePose(landmarks.positions);
+    if (!pose) return 0;
 
-    const dLeft = dist(nose, leftEye);
-    const dRight = dist(nose, rightEye);
-    const eyeDist = dist(leftEye, rightEye);
-    if (eyeDist < 1) return 0;
-
-    const ratio = (dLeft - dRight) / eyeDist;
     const gain = 250;
-    return Math.max(-100, Math.min(100, ratio * gain));
+    return Math.max(-100, Math.min(100, pose.yaw * gain));
   }, []);
 
   const loadReferenceDescriptors = useCallback(async () => {
+    if (identify) return true; // matched against the whole gallery instead
     try {
       setStatus('Loading reference face(s)...');
+
+      // fast path: descriptors computed by the backend at enrollment
+      if (studentId) {
+        try {
+          const stored = await getStoredDescriptors(studentId);
+          if (stored.length) {
+            referenceDescriptorsRef.current = stored;
+            return true;
+          }
+        } catch (err) {
+          console.warn('Stored descriptors unavailable, detecting reference images:', err);
+        }
+      }
+
       const imgs = asArray(referenceFaceImages);
       if (!imgs.length) throw new Error('No reference images provided');
 
@@ -196,37 +265,69 @@ const useFaceVerification = (videoRef, referenceFaceImages, onVerified, onFailed
       setError('Failed to load reference face image(s)');
       return false;
     }
-  }, [referenceFaceImages, asArray, detectSingle]);
+  }, [identify, studentId, referenceFaceImages, asArray, detectSingle]);
 
-  const minDistanceToRefs = useCallback((liveDescriptor) => {
-    let minDist = Number.POSITIVE_INFINITY;
-    for (const ref of referenceDescriptorsRef.current) {
-      const d = faceapi.euclideanDistance(liveDescriptor, ref);
-      if (d < minDist) minDist = d;
+  // calibrated thresholds; without them the defaults above are used
+  const loadThresholds = useCallback(async () => {
+    try {
+      const t = await getThresholds(identify ? undefined : studentId);
+      distanceThresholdRef.current = t.threshold;
+      globalThresholdRef.current = t.globalThreshold;
+      requiredGoodFramesRef.current = t.requiredGoodFrames;
+      console.log(`Thresholds (${t.source}): ${t.threshold}, ${t.requiredGoodFrames} good frames`);
+    } catch (err) {
+      console.warn('Calibrated thresholds unavailable, using defaults:', err);
+      distanceThresholdRef.current = DEFAULT_DISTANCE_THRESHOLD;
+      globalThresholdRef.current = DEFAULT_DISTANCE_THRESHOLD;
+      requiredGoodFramesRef.current = DEFAULT_REQUIRED_GOOD_FRAMES;
     }
-    return minDist;
-  }, []);
+  }, [identify, studentId, DEFAULT_DISTANCE_THRESHOLD, DEFAULT_REQUIRED_GOOD_FRAMES]);
+
+  // 1:N gallery: required to identify; otherwise verification still works
+  // without it, just without the mismatch search
+  const loadGallery = useCallback(async () => {
+    if (!identify && !mismatchEnabled) return true;
+    try {
+      if (identify) setStatus('Loading enrolled faces...');
+      const index = await loadFaceIndex();
+      faceIndexRef.current = index;
+      console.log(`1:N search: ${index.students} enrolled students, ${index.cells} cells`);
+    } catch (err) {
+      faceIndexRef.current = null;
+      if (!identify) {
+        console.warn('Enrolled descriptors unavailable, skipping the mismatch search:', err);
+        return true;
+      }
+      console.error(err);
+    }
+    if (identify && !faceIndexRef.current?.size) {
+      setError('No enrolled faces to search');
+      return false;
+    }
+    return true;
+  }, [identify, mismatchEnabled]);
+
+  const minDistanceToRefs = useCallback(
+    (liveDescriptor) => minDistanceBetween(liveDescriptor, referenceDescriptorsRef.current),
+    []
+  );
 
   const resetBatch = useCallback(() => {
     batchStartRef.current = null;
     batchDistancesRef.current = [];
+    batchOthersRef.current = [];
+    batchMatchesRef.current = [];
     setIsVerifying(false);
   }, []);
 
-  const decideBatch = useCallback(() => {
-    const arr = batchDistancesRef.current.slice().sort((a, b) => a - b);
-    if (!arr.length) return { pass: false, median: null, good: 0, total: 0 };
-
-    const median = arr[Math.floor(arr.length / 2)];
-    const good = arr.filter((d) => d <= DISTANCE_THRESHOLD).length;
-
-    return {
-      pass: median <= DISTANCE_THRESHOLD && good >= REQUIRED_GOOD_FRAMES,
-      median,
-      good,
-      total: arr.length,
-    };
-  }, [DISTANCE_THRESHOLD, REQUIRED_GOOD_FRAMES]);
+  const decideBatch = useCallback(
+    () =>
+      decideDistances(batchDistancesRef.current, {
+        threshold: distanceThresholdRef.current,
+        requiredGoodFrames: requiredGoodFramesRef.current,
+      }),
+    []
+  );
 
   const stop = useCallback(() => {
     if (detectionIntervalRef.current) {
@@ -239,8 +340,20 @@ const useFaceVerification = (videoRef, referenceFaceImages, onVerified, onFailed
     }
   }, []);
 
+  // fresh random sequence, so a recording of an earlier attempt doesn't fit
+  const newChallenge = useCallback(() => {
+    const steps = createChallengeSequence({ policy: livenessPolicy, length: CHALLENGE_LENGTH });
+    challengeRunnerRef.current = createChallengeRunner({
+      steps,
+      stepTimeoutMs: STEP_TIMEOUT_MS,
+      yawThreshold: YAW_THRESHOLD,
+    });
+    setChallenge(challengeRunnerRef.current.snapshot());
+  }, [livenessPolicy, CHALLENGE_LENGTH, STEP_TIMEOUT_MS, YAW_THRESHOLD]);
+
   const startFaceDetection = useCallback(() => {
-    if (!videoRef.current || !referenceDescriptorsRef.current.length) return;
+    if (!videoRef.current) return;
+    if (identify ? !faceIndexRef.current : !referenceDescriptorsRef.current.length) return;
 
     // ✅ Prevent starting multiple intervals
     if (detectionIntervalRef.current) return;
@@ -250,14 +363,12 @@ const useFaceVerification = (videoRef, referenceFaceImages, onVerified, onFailed
     failedAttemptsRef.current = 0;
 
     // Reset liveness state + refs
-    passedLeftRef.current = false;
-    passedRightRef.current = false;
     livenessPassedRef.current = false;
+    challengeAttemptsRef.current = 0;
 
-    setPassedLeft(false);
-    setPassedRight(false);
     setLivenessPassed(false);
     setYawScore(0);
+    newChallenge();
 
     resetBatch();
     setStatus('Looking for face...');
@@ -294,24 +405,33 @@ const useFaceVerification = (videoRef, referenceFaceImages, onVerified, onFailed
         setYawScore(yaw);
 
         if (!livenessPassedRef.current) {
-          if (yaw >= YAW_THRESHOLD && !passedLeftRef.current) {
-            passedLeftRef.current = true;
-            setPassedLeft(true);
-          }
-          if (yaw <= -YAW_THRESHOLD && !passedRightRef.current) {
-            passedRightRef.current = true;
-            setPassedRight(true);
-          }
-
-          const leftOk = passedLeftRef.current || yaw >= YAW_THRESHOLD;
-          const rightOk = passedRightRef.current || yaw <= -YAW_THRESHOLD;
-
-          if (leftOk && rightOk) {
+          const positions = det.landmarks.positions;
+          const step = challengeRunnerRef.current.update({
+            yaw,
+            pitch: estimatePitchRatio(positions),
+            ear: averageEyeAspectRatio(positions),
+          });
+          setChallenge(step);
+
+          if (step.done) {
             livenessPassedRef.current = true;
             setLivenessPassed(true);
             setStatus('Liveness OK. Hold still...');
+          } else if (step.failed) {
+            challengeAttemptsRef.current += 1;
+            if (challengeAttemptsRef.current >= MAX_CHALLENGE_ATTEMPTS) {
+              hasFailedRef.current = true;
+              setStatus('Liveness check failed');
+              speak('Liveness check failed.');
+              onFailed?.('Liveness check failed: challenge not completed in time');
+              return;
+            }
+            setStatus('Too slow — starting a new challenge');
+            newChallenge();
+          } else if (step.calibrating) {
+            setStatus('Look straight at the camera');
           } else {
-            setStatus('Liveness: turn RIGHT then LEFT');
+            setStatus(`Liveness: ${step.prompt}`);
           }
 
           setSimilarityScore(null);
@@ -324,25 +444,101 @@ const useFaceVerification = (videoRef, referenceFaceImages, onVerified, onFailed
         if (!batchStartRef.current) {
           batchStartRef.current = now;
           batchDistancesRef.current = [];
+          batchOthersRef.current = [];
+          batchMatchesRef.current = [];
           setIsVerifying(true);
           setStatus('Verifying... hold still');
         }
 
-        const dist = minDistanceToRefs(det.descriptor);
-        const uiSim = distanceToUiSimilarity(dist);
-        setSimilarityScore(uiSim);
+        if (identify) {
+          // only students close enough to be the match or to make it ambiguous matter
+          const matches = faceIndexRef.current.nearest(
+            det.descriptor,
+            2,
+            globalThresholdRef.current + IDENTIFY_MARGIN
+          );
+          batchMatchesRef.current.push(matches);
+          setSimilarityScore(matches.length ? distanceToUiSimilarity(matches[0].distance) : 0);
+        } else {
+          const dist = minDistanceToRefs(det.descriptor);
+          const uiSim = distanceToUiSimilarity(dist);
+          setSimilarityScore(uiSim);
+
+          if (isUsableDistance(dist)) {
+            batchDistancesRef.current.push(dist);
+          }
 
-        if (Number.isFinite(dist) && dist > 0 && dist < 2.0) {
-          batchDistancesRef.current.push(dist);
+          // 1:N: who else does this face look like?
+          if (mismatchEnabled && faceIndexRef.current?.size) {
+            batchOthersRef.current.push(nearestOtherStudent(det.descriptor, faceIndexRef.current, studentId));
+          }
         }
 
-        const enough = batchDistancesRef.current.length >= MAX_SAMPLES;
+        const samples = identify ? batchMatchesRef.current.length : batchDistancesRef.current.length;
+        const enough = samples >= MAX_SAMPLES;
         const timeout = now - batchStartRef.current >= BATCH_TIMEOUT_MS;
 
-        if (enough || timeout) {
+        if ((enough || timeout) && identify) {
+          const result = identifyBatch(batchMatchesRef.current, {
+            threshold: globalThresholdRef.current,
+            margin: IDENTIFY_MARGIN,
+            requiredGoodFrames: requiredGoodFramesRef.current,
+          });
+          resetBatch();
+
+          if (result.studentId) {
+            hasVerifiedRef.current = true;
+            setStatus('Identified ✅');
+            speak('Verification Successful');
+            onVerified?.({
+              similarity: distanceToUiSimilarity(result.distance),
+              confidence: det.detection.score,
+              studentId: result.studentId,
+              distance: result.distance,
+              runnerUpDistance: result.runnerUpDistance,
+            });
+            return;
+          }
+
+          failedAttemptsRef.current += 1;
+          const left = MAX_FAILED_ATTEMPTS - failedAttemptsRef.current;
+          if (result.reason === 'ambiguous') console.warn('Ambiguous identification:', result);
+
+          if (failedAttemptsRef.current >= MAX_FAILED_ATTEMPTS) {
+            hasFailedRef.current = true;
+            setStatus('Not recognized');
+            speak('Verification Failed. Face not recognized.');
+            onFailed?.(`Face identification failed: ${result.reason}`);
+            return;
+          }
+
+          setStatus(
+            result.reason === 'ambiguous'
+              ? `Too close to call — hold still and try again (${Math.max(0, left)} left)`
+              : `Not recognized yet — try again (${Math.max(0, left)} left)`
+          );
+        } else if (enough || timeout) {
           const result = decideBatch();
+          const mismatch = mismatchEnabled
+            ? detectMismatch(batchOthersRef.current, result.median, {
+                threshold: globalThresholdRef.current,
+                margin: MISMATCH_MARGIN,
+              })
+            : null;
           resetBatch();
 
+          // checked before a pass: the card owner may be a weak match while
+          // the face is a much better match for someone else
+          if (mismatch) {
+            hasFailedRef.current = true;
+            console.warn('Face resembles another student:', mismatch);
+            setStatus('Face matches a different student');
+            speak('Verification Failed. Identity mismatch.');
+            if (onMismatch) onMismatch(mismatch);
+            else onFailed?.(`Identity mismatch: face resembles student ${mismatch.resembledStudentId}`);
+            return;
+          }
+
           if (result.pass) {
             hasVerifiedRef.current = true;
             setStatus('Verified ✅');
@@ -380,12 +576,19 @@ const useFaceVerification = (videoRef, referenceFaceImages, onVerified, onFailed
     resetBatch,
     onVerified,
     onFailed,
+    onMismatch,
+    identify,
+    mismatchEnabled,
+    studentId,
+    MISMATCH_MARGIN,
+    IDENTIFY_MARGIN,
     speak,
     DETECTION_INTERVAL,
     MAX_SAMPLES,
     BATCH_TIMEOUT_MS,
     MAX_FAILED_ATTEMPTS,
-    YAW_THRESHOLD,
+    newChallenge,
+    MAX_CHALLENGE_ATTEMPTS,
   ]);
 
   useEffect(() => {
@@ -401,6 +604,12 @@ const useFaceVerification = (videoRef, referenceFaceImages, onVerified, onFailed
       const refOk = await loadReferenceDescriptors();
       if (!refOk || !mounted) return;
 
+      const galleryOk = await loadGallery();
+      if (!galleryOk || !mounted) return;
+
+      await loadThresholds();
+      if (!mounted) return;
+
       setIsReady(true);
       setStatus('Ready - Look at camera');
       startFaceDetection();
@@ -410,7 +619,7 @@ const useFaceVerification = (videoRef, referenceFaceImages, onVerified, onFailed
       mounted = false;
       stop();
     };
-  }, [initCamera, loadModels, loadReferenceDescriptors, startFaceDetection, stop]);
+  }, [initCamera, loadModels, loadReferenceDescriptors, loadGallery, loadThresholds, startFaceDetection, stop]);
 
   return {
     isReady,
@@ -423,9 +632,21 @@ const useFaceVerification = (videoRef, referenceFaceImages, onVerified, onFailed
 
     // liveness UI
     yawScore,
-    passedLeft,
-    passedRight,
     livenessPassed,
+    livenessPolicy,
+
+    // challenge: action keys, current step and its prompt, time left on this step
+    challengeSteps: challenge?.steps ?? [],
+    challengeStepIndex: challenge?.index ?? 0,
+    challengePrompt: challenge?.prompt ?? null,
+    stepTimeLeftMs: challenge?.timeLeftMs ?? null,
+
+    // blink progress: blinks counted so far, eyes currently closed, current eye aspect ratio
+    blinkCount: challenge?.blink.blinks ?? 0,
+    eyesClosed: challenge?.blink.closed ?? false,
+    eyeAspectRatio: challenge?.blink.ear ?? null,
+
+    speak,
   };
 };
 
@@ -2,7 +2,18 @@ import { useState, useEffect, useCallback, useRef } from 'react';
 import * as tf from '@tensorflow/tfjs';
 import * as cocoSsd from '@tensorflow-models/coco-ssd';
 import Tesseract from 'tesseract.js';
-import { getAllValidStudentIDs, syncStudentsFromServer } from '../services/testDB';
+import { getAllValidStudentIDs, getStudentByID, isValidStudentID, syncStudentsFromServer, verifyCardCode } from '../services/testDB';
+import { candidateConfidence, createOcrConsensus } from './ocrConsensus';
+import { findCardQuad, loadOpenCv, warpCard } from './cardLocalizer';
+import { DEFAULT_PREPROCESS, THRESHOLD_METHODS } from './binarize';
+import { createPreprocessor } from './preprocessClient';
+import { createCodeReader } from './cardCode';
+import { CHECKED_ID_LENGTH, idVersionOf, verhoeffValid } from '../services/studentIds';
+import { cleanOcrText, matchId } from './idMatcher';
+import { scoreCardText } from './nameMatch';
+
+// name-check result when the letters pass never read anything usable
+const UNREAD_NAME = { score: 0, name: 0, department: 0 };
 
 /**
  * useidscannerlogic hook
@@ -13,26 +24,51 @@ import { getAllValidStudentIDs, syncStudentsFromServer } from '../services/testD
  * flow:
  * 1. initialize rear-facing camera (1280x720)
  * 2. load coco-ssd model (object detection) and tesseract ocr worker
- * 3. periodically scan video frames for objects (id cards)
- * 4. if an object is detected, crop to its bounding box (roi) for focused ocr
- * 5. run ocr on the cropped region with digit-only whitelist
- * 6. clean ocr text and search for valid student ids
- * 7. if a valid id is found, trigger oniddetected callback
+ * 3. periodically scan video frames for the card's signed qr code; if one is
+ *    found, the backend checks its signature and the id is accepted directly
+ *    (no ocr). otherwise, opencv.js finds the card
+ *    outline and warps it flat; if none is found, fall back to coco-ssd
+ * 4. if coco-ssd detects an object, crop to its bounding box (roi) for focused ocr
+ * 5. run ocr on the rectified card / cropped region with digit-only whitelist
+ * 6. clean ocr text and search for valid student ids; if none matches exactly,
+ *    rank registered ids by an ocr-aware edit distance and take a clear winner
+ * 7. for frames with a candidate, a second (alphabetic) ocr pass reads the printed
+ *    name and department and scores them against that student's record
+ * 8. vote across frames (weighted by tesseract confidence); once one id wins
+ *    the consensus, trigger oniddetected callback with the best name-match score
  * 
  * @param {React.RefObject} videoRef - reference to the html video element
- * @param {Function} onIDDetected - callback when a valid student id is found (receives studentid string)
- * @returns {Object} hook state: { isReady, error, status, detections, startScanning, stopScanning }
+ * @param {Function} onIDDetected - callback when a valid student id is found: (studentId, { nameMatch }),
+ *   nameMatch being { score, name, department } (0-1, see nameMatch.js) or null if the name check is off
+ * @param {Object} [options]
+ * @param {Object|false} [options.consensus] - { frames, majority, minVotes } overrides for
+ *   createOcrConsensus, or false to accept the first frame with a valid id
+ * @param {Object} [options.preprocess] - { method: 'fixed'|'otsu'|'mean'|'sauvola', contrast, denoise }
+ *   binarization before ocr (default sauvola + contrast stretch, see binarize.js)
+ * @param {boolean} [options.nameCheck=true] - false skips the alphabetic ocr pass
+ * @param {Object|false} [options.fuzzy] - { maxDistance, margin } for matchId (idMatcher.js),
+ *   or false for exact matches only
+ * @returns {Object} hook state: { isReady, error, status, detections, cardQuad, frameCandidates, consensus, startScanning, stopScanning }
  */
-const useIDScannerLogic = (videoRef, onIDDetected) => {
+const useIDScannerLogic = (videoRef, onIDDetected, options = {}) => {
   // --- ui state ---
   const [isReady, setIsReady] = useState(false);       // true when camera + models are loaded
   const [error, setError] = useState(null);             // error message string if initialization fails
   const [status, setStatus] = useState('Initializing...');  // status text displayed to the user
   const [detections, setDetections] = useState([]);     // coco-ssd detection results for roi canvas drawing
+  const [cardQuad, setCardQuad] = useState(null);       // card corners in video pixels (tl, tr, br, bl) or null
+  const [frameCandidates, setFrameCandidates] = useState([]); // last consensus frames: { id, confidence }
+  const [consensus, setConsensus] = useState(null);     // current leader: { id, weight, votes, share } or null
   
   // --- internal refs ---
   const modelRef = useRef(null);           // coco-ssd model instance
   const ocrWorkerRef = useRef(null);       // tesseract.js ocr worker instance
+  const textWorkerRef = useRef(null);      // second tesseract worker, letters only (name check)
+  const cvRef = useRef(null);              // opencv.js namespace (null if it failed to load)
+  const preprocessorRef = useRef(null);    // binarization worker client
+  const codeReaderRef = useRef(null);      // qr code reader (BarcodeDetector / jsQR)
+  const codeResultsRef = useRef(new Map()); // card code -> { studentId } | { rejected }, so each is checked once
+  const nameScoresRef = useRef(new Map()); // student id -> best name-match result this scan session
   const scanIntervalRef = useRef(null);    // setinterval id for periodic scanning
   const isProcessingRef = useRef(false);   // prevents overlapping scan operations
   const scanCountRef = useRef(0);          // number of scan attempts (unlimited)
@@ -41,6 +77,30 @@ const useIDScannerLogic = (videoRef, onIDDetected) => {
   // --- configuration ---
   const SCAN_INTERVAL = 500;  // how often to scan for id cards (ms)
 
+  // consensus voting: an id must win `majority` of the confidence weight of the
+  // last `frames` scans, with at least `minVotes` of them, before it's accepted
+  const consensusEnabled = options.consensus !== false;
+  const CONSENSUS_FRAMES = options.consensus?.frames ?? 5;
+  const CONSENSUS_MAJORITY = options.consensus?.majority ?? 0.6;
+  const CONSENSUS_MIN_VOTES = options.consensus?.minVotes ?? 3;
+
+  // fuzzy id matching: best registered id within FUZZY_MAX_DISTANCE edits,
+  // at least FUZZY_MARGIN ahead of the runner-up
+  const fuzzyEnabled = options.fuzzy !== false;
+  const FUZZY_MAX_DISTANCE = options.fuzzy?.maxDistance ?? 1.5;
+  const FUZZY_MARGIN = options.fuzzy?.margin ?? 1;
+
+  // printed name / department check against the record of the candidate id
+  const nameCheckEnabled = options.nameCheck !== false;
+  const consensusRef = useRef(null);
+
+  // ocr binarization (runs in a web worker when OffscreenCanvas is available)
+  const PREPROCESS_METHOD = THRESHOLD_METHODS.includes(options.preprocess?.method)
+    ? options.preprocess.method
+    : DEFAULT_PREPROCESS.method;
+  const PREPROCESS_CONTRAST = options.preprocess?.contrast ?? DEFAULT_PREPROCESS.contrast;
+  const PREPROCESS_DENOISE = options.preprocess?.denoise ?? DEFAULT_PREPROCESS.denoise;
+
   /**
    * initializes the rear-facing camera at 1280x720 resolution
    * uses 'environment' facing mode for scanning physical id cards
@@ -78,7 +138,9 @@ const useIDScannerLogic = (videoRef, onIDDetected) => {
    * loads ai models:
    *   1. tensorflow.js with webgl backend for gpu acceleration
    *   2. coco-ssd (lite_mobilenet_v2) for object detection
-   *   3. tesseract.js ocr worker configured for digit-only recognition
+   *   3. tesseract.js ocr worker configured for digit-only recognition,
+   *      plus a letters-only worker for the name check
+   *   4. opencv.js for card localization (optional - scanning works without it)
    * @returns {boolean} true if all models loaded successfully
    */
   const initModels = useCallback(async () => {
@@ -103,6 +165,24 @@ const useIDScannerLogic = (videoRef, onIDDetected) => {
         tessedit_char_whitelist: '0123456789',               // only recognize digits
       });
 
+      // second worker for the printed name and department (letters only)
+      if (nameCheckEnabled) {
+        textWorkerRef.current = await Tesseract.createWorker('eng', 1, {
+          logger: () => {}
+        });
+        await textWorkerRef.current.setParameters({
+          tessedit_pageseg_mode: Tesseract.PSM.SINGLE_BLOCK,
+          tessedit_char_whitelist: "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz .,-'",
+        });
+      }
+
+      // opencv is only an accuracy boost; coco-ssd / full frame still work without it
+      try {
+        cvRef.current = (await loadOpenCv()).cv;
+      } catch (err) {
+        console.warn('OpenCV.js failed to load, scanning without card localization:', err);
+      }
+
       console.log('Models loaded');
       return true;
     } catch (err) {
@@ -110,71 +190,66 @@ const useIDScannerLogic = (videoRef, onIDDetected) => {
       setError('Failed to load AI models');
       return false;
     }
-  }, []);
-
-  /**
-   * cleans ocr text by replacing commonly misread characters with their digit equivalents
-   * ocr engines often confuse letters with similar-looking digits:
-   *   O/o -> 0, I/l/L -> 1, S/s/$ -> 5, Z/z -> 2, B/b -> 8, G/g -> 9, A/a/@ -> 4, T/t/+ -> 7
-   * 
-   * @param {string} text - raw ocr text output
-   * @returns {string} cleaned string containing only digits
-   */
-  const cleanOcrText = (text) => {
-    return text
-      .replace(/[Oo]/g, '0')       // o looks like 0
-      .replace(/[IlL|!]/g, '1')    // i, l, L look like 1
-      .replace(/[Ss\$]/g, '5')     // s looks like 5
-      .replace(/[Zz]/g, '2')       // z looks like 2
-      .replace(/[Bb]/g, '8')       // b looks like 8
-      .replace(/[Gg&]/g, '9')      // g looks like 9
-      .replace(/[Aa@]/g, '4')      // a looks like 4
-      .replace(/[Tt\+]/g, '7')     // t looks like 7
-      .replace(/[^0-9]/g, '');     // remove any remaining non-digit characters
-  };
+  }, [nameCheckEnabled]);
 
   /**
    * searches ocr text for a valid student id from the database
    * 
    * strategy (in order of priority):
-   *   1. exact match: check if any valid id appears as substring in the digit string
-   *   2. sliding window: try all 7-digit substrings against valid ids
-   *   3. first 7 digits: check if the first 7 digits match a valid id
+   *   1. check-digit ids (8 digits): every 8-digit window whose verhoeff check digit
+   *      verifies and is registered. a window that fails the check is a misread and
+   *      can't be taken for another student's id
+   *   legacy 7-digit ids (no check digit), against legacy ids only:
+   *   2. exact match: check if any legacy id appears as substring in the digit string
+   *   3. sliding window: try all 7-digit substrings against legacy ids
+   *   4. first 7 digits: check if the first 7 digits match a legacy id
    * 
    * @param {string} text - raw ocr text to search
    * @returns {string|null} matched student id or null if not found
    */
   const findValidStudentId = (text) => {
     const validIds = getAllValidStudentIDs();
+    const checkedIds = new Set(validIds.filter((id) => idVersionOf(id) === 2));
+    const legacyIds = validIds.filter((id) => idVersionOf(id) === 1);
     
-    // strip everything except digits
-    const digitsOnly = text.replace(/\D/g, '');
+    // digits only, look-alike letters read as their digit (idMatcher.js)
+    const digitsOnly = cleanOcrText(text);
     
     console.log('All digits found:', digitsOnly, `(${digitsOnly.length} digits)`);
     
-    // strategy 1: check if any valid id exists as substring in the digit string
-    for (const validId of validIds) {
+    // strategy 1: 8-digit windows that pass the check digit
+    for (let i = 0; i <= digitsOnly.length - CHECKED_ID_LENGTH; i++) {
+      const candidate = digitsOnly.substring(i, i + CHECKED_ID_LENGTH);
+      if (!verhoeffValid(candidate)) continue; // misread digit (or not an id)
+      if (checkedIds.has(candidate)) {
+        console.log('FOUND CHECKED ID:', candidate);
+        return candidate;
+      }
+    }
+    
+    // strategy 2: check if any legacy id exists as substring in the digit string
+    for (const validId of legacyIds) {
       if (digitsOnly.includes(validId)) {
         console.log('FOUND EXACT MATCH:', validId);
         return validId;
       }
     }
     
-    // strategy 2: sliding window approach for 7-digit ids
+    // strategy 3: sliding window approach for legacy 7-digit ids
     if (digitsOnly.length >= 7) {
       // try every possible 7-digit window
       for (let i = 0; i <= digitsOnly.length - 7; i++) {
         const candidate = digitsOnly.substring(i, i + 7);
-        if (validIds.includes(candidate)) {
+        if (legacyIds.includes(candidate)) {
           console.log('FOUND IN WINDOW:', candidate);
           return candidate;
         }
       }
       
-      // strategy 3: try the first 7 digits as a last resort
+      // strategy 4: try the first 7 digits as a last resort
       const firstSeven = digitsOnly.substring(0, 7);
       console.log('Checking first 7 digits:', firstSeven);
-      if (validIds.includes(firstSeven)) {
+      if (legacyIds.includes(firstSeven)) {
         console.log('MATCHED FIRST 7:', firstSeven);
         return firstSeven;
       }
@@ -184,12 +259,75 @@ const useIDScannerLogic = (videoRef, onIDDetected) => {
     return null;
   };
 
+  /**
+   * fallback when findValidStudentId has no exact hit (a digit dropped, added,
+   * swapped or misread): ranks the registered ids by weighted edit distance
+   * to the ocr digits, confusable digit pairs (0/8, 1/7, 5/6, ...) costing less.
+   * close calls between check-digit ids go to the one whose check digit the read confirms
+   * 
+   * @param {string} text - raw ocr text
+   * @returns {{id: string|null, distance: number|null, ranked: Object[]}} id is null unless
+   *   the best candidate is within FUZZY_MAX_DISTANCE and FUZZY_MARGIN ahead of the next
+   */
+  const findFuzzyStudentId = (text) => {
+    const digitsOnly = cleanOcrText(text);
+    const match = matchId(digitsOnly, getAllValidStudentIDs(), {
+      maxDistance: FUZZY_MAX_DISTANCE,
+      margin: FUZZY_MARGIN,
+    });
+
+    console.log(
+      'Fuzzy ID ranking:',
+      match.ranked.slice(0, 5).map((r) => `${r.id} (${r.distance.toFixed(1)})`).join(', ') || 'none'
+    );
+    if (match.id) console.log('FUZZY MATCH:', match.id, 'distance', match.distance);
+    return match;
+  };
+
+  /**
+   * second ocr pass over the same (preprocessed) card image with a letters-only
+   * whitelist; scores the printed name and department against the student's
+   * record and keeps the best score seen for that id this session
+   *
+   * @param {string} studentId - candidate id read from this frame
+   * @param {HTMLCanvasElement} canvas - the image the digits were read from
+   * @returns {Promise<Object|null>} best { score, name, department } so far, or null if off
+   */
+  const checkCardName = async (studentId, canvas) => {
+    if (!nameCheckEnabled || !textWorkerRef.current) return null;
+    const student = getStudentByID(studentId);
+    if (!student) return null;
+
+    try {
+      const { data } = await textWorkerRef.current.recognize(canvas);
+      const result = scoreCardText(data.text, student);
+      console.log('Name check:', studentId, JSON.stringify(data.text), result);
+
+      const best = nameScoresRef.current.get(studentId);
+      if (!best || result.score > best.score) nameScoresRef.current.set(studentId, result);
+    } catch (err) {
+      console.warn('Name OCR failed:', err);
+    }
+    return nameScoresRef.current.get(studentId) ?? UNREAD_NAME;
+  };
+
+  /**
+   * card image for the name check when the id came from the qr code (no ocr
+   * canvas yet): the rectified card if opencv finds it, else the full frame
+   */
+  const captureCardForNameCheck = async (video) => {
+    const located = locateCard(video);
+    const canvas = located ? located.canvas : captureFullFrame(video);
+    await preprocessImage(canvas);
+    return canvas;
+  };
+
   /**
    * captures the entire video frame as a canvas for ocr processing
    * used as fallback when no object is detected by coco-ssd
    * 
    * @param {HTMLVideoElement} video - video element to capture from
-   * @returns {HTMLCanvasElement} preprocessed canvas ready for ocr
+   * @returns {HTMLCanvasElement} canvas with the raw frame (preprocessed later)
    */
   const captureFullFrame = (video) => {
     const canvas = document.createElement('canvas');
@@ -199,58 +337,119 @@ const useIDScannerLogic = (videoRef, onIDDetected) => {
     canvas.height = video.videoHeight;
     ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
     
-    // apply grayscale + binary threshold for better ocr accuracy
-    preprocessImage(ctx, canvas.width, canvas.height);
-    
     return canvas;
   };
 
   /**
-   * preprocesses an image for better ocr accuracy
-   * applies grayscale conversion using luminance formula,
-   * then binary thresholding to create high-contrast black/white image
+   * finds the id card in the video frame and returns it rectified
+   * (perspective-warped to a canonical card size)
+   *
+   * @param {HTMLVideoElement} video - video element to capture from
+   * @returns {{quad: Object[], canvas: HTMLCanvasElement} | null} null if opencv isn't loaded or no card was found
+   */
+  const locateCard = (video) => {
+    const cv = cvRef.current;
+    if (!cv) return null;
+
+    const frame = document.createElement('canvas');
+    frame.width = video.videoWidth;
+    frame.height = video.videoHeight;
+    frame.getContext('2d').drawImage(video, 0, 0, frame.width, frame.height);
+
+    const src = cv.imread(frame);
+    let card = null;
+    try {
+      const quad = findCardQuad(cv, src);
+      if (!quad) return null;
+
+      card = warpCard(cv, src, quad);
+      const canvas = document.createElement('canvas');
+      cv.imshow(canvas, card);
+      return { quad, canvas };
+    } finally {
+      src.delete();
+      if (card) card.delete();
+    }
+  };
+
+  /**
+   * preprocesses an image for better ocr accuracy, in place:
+   * grayscale -> contrast stretch -> optional 3x3 median denoise -> threshold
+   * 
+   * threshold methods (see binarize.js):
+   *   fixed   - pixel > 128 = white (the old behaviour)
+   *   otsu    - one global threshold picked from the histogram
+   *   mean    - local window mean minus a constant
+   *   sauvola - local mean and contrast; survives glare and dim rooms
    * 
-   * luminance formula: gray = R*0.299 + G*0.587 + B*0.114
-   * binary threshold: pixel > 128 = white (255), else black (0)
+   * runs in the preprocess web worker (OffscreenCanvas) so the video stays smooth,
+   * falling back to the main thread where that isn't supported
    * 
-   * @param {CanvasRenderingContext2D} ctx - canvas context with image data
-   * @param {number} width - image width in pixels
-   * @param {number} height - image height in pixels
+   * @param {HTMLCanvasElement} canvas - canvas with the captured image; replaced with black/white
    */
-  const preprocessImage = (ctx, width, height) => {
+  const preprocessImage = useCallback(async (canvas) => {
     try {
-      const imageData = ctx.getImageData(0, 0, width, height);
-      const data = imageData.data;
-      
-      // convert each pixel to grayscale then apply binary threshold
-      for (let i = 0; i < data.length; i += 4) {
-        // weighted grayscale (human eye sensitivity: green > red > blue)
-        const gray = data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
-        
-        // binary threshold: creates sharp black/white image for ocr
-        const threshold = 128;
-        const value = gray > threshold ? 255 : 0;
-        
-        data[i] = value;       // r
-        data[i + 1] = value;   // g
-        data[i + 2] = value;   // b
-        // alpha (data[i+3]) remains unchanged
-      }
-      
-      ctx.putImageData(imageData, 0, 0);
+      if (!preprocessorRef.current) preprocessorRef.current = createPreprocessor();
+      await preprocessorRef.current.run(canvas, {
+        method: PREPROCESS_METHOD,
+        contrast: PREPROCESS_CONTRAST,
+        denoise: PREPROCESS_DENOISE,
+      });
     } catch (e) {
       console.error('Preprocessing error:', e);
     }
+  }, [PREPROCESS_METHOD, PREPROCESS_CONTRAST, PREPROCESS_DENOISE]);
+
+  /**
+   * looks for a signed card qr code in the frame and has the backend verify it
+   *
+   * @param {HTMLVideoElement} video
+   * @returns {Promise<{studentId?: string, rejected?: string} | null>} null when there's
+   *   no code in the frame, or it couldn't be checked (network) - ocr takes over then
+   */
+  const readCardCode = async (video) => {
+    if (!codeReaderRef.current) codeReaderRef.current = createCodeReader();
+
+    let code;
+    try {
+      code = await codeReaderRef.current.read(video);
+    } catch (err) {
+      console.warn('QR decode error:', err);
+      return null;
+    }
+    if (!code) return null;
+
+    const known = codeResultsRef.current.get(code);
+    if (known) return known;
+
+    try {
+      const studentId = await verifyCardCode(code);
+      if (!isValidStudentID(studentId)) await syncStudentsFromServer(); // registered after the last sync
+      const result = { studentId };
+      codeResultsRef.current.set(code, result);
+      return result;
+    } catch (err) {
+      if (!err.status || err.status >= 500) {
+        console.warn('Could not verify card code, falling back to OCR:', err);
+        return null;
+      }
+      const result = { rejected: err.message };
+      codeResultsRef.current.set(code, result);
+      return result;
+    }
   };
 
   /**
    * scans a single video frame for student id
    * 
    * process:
-   * 1. run coco-ssd object detection on the video frame
-   * 2. if object detected, crop to its bounding box (roi) for focused ocr
+   * 0. decode the card's signed qr code; a verified code is accepted at once,
+   *    a forged or unknown one rejects the frame. ocr only runs without a code
+   * 1. look for the card outline with opencv; if found, ocr the rectified card
+   * 2. otherwise run coco-ssd object detection on the video frame and,
+   *    if an object is detected, crop to its bounding box (roi) for focused ocr
    * 3. if no object, use full frame as fallback
-   * 4. preprocess the image (grayscale + binary threshold)
+   * 4. preprocess the image (grayscale + adaptive threshold)
    * 5. run tesseract ocr on the preprocessed image
    * 6. search ocr text for valid student ids
    * 7. if found, stop scanning and trigger callback
@@ -268,42 +467,74 @@ const useIDScannerLogic = (videoRef, onIDDetected) => {
     setStatus('Scanning for ID card...');
 
     try {
-      // step 1: run coco-ssd object detection (max 1 detection, min 25% confidence)
-      const predictions = await modelRef.current.detect(video, 1, 0.25);
-      setDetections(predictions); // update state for roi canvas visualization
+      // step 0: signed qr code - exact, so it skips ocr and the consensus vote
+      const fromCode = await readCardCode(video);
+      if (fromCode?.studentId) {
+        console.log('Found student ID from card code:', fromCode.studentId);
+        stopScanning();
+        let nameMatch = null;
+        if (nameCheckEnabled) {
+          // the signature covers the id only, so a copied code still needs the name check
+          setStatus('Checking name on card...');
+          nameMatch = await checkCardName(fromCode.studentId, await captureCardForNameCheck(video));
+        }
+        setStatus('ID detected!');
+        onIDDetected(fromCode.studentId, { nameMatch });
+        return;
+      }
+      if (fromCode?.rejected) {
+        setStatus(`Card code rejected: ${fromCode.rejected}`);
+        scanCountRef.current++;
+        return;
+      }
 
       let ocrCanvas;
-      
-      // step 2: determine ocr region - use detected object roi or full frame
-      if (predictions.length > 0 && predictions[0].class === 'person') {
+
+      // step 1: card localization - rectified card only, no background text
+      const located = locateCard(video);
+      setCardQuad(located ? located.quad : null);
+
+      if (located) {
+        ocrCanvas = located.canvas;
+        setDetections([]); // the quad replaces the coco-ssd box in the overlay
+        console.log('Using rectified ID card:', located.quad);
+      } else {
+        // step 2: run coco-ssd object detection (max 1 detection, min 25% confidence)
+        const predictions = await modelRef.current.detect(video, 1, 0.25);
+        setDetections(predictions); // update state for roi canvas visualization
+
+        // determine ocr region - use detected object roi or full frame
+        if (predictions.length > 0 && predictions[0].class === 'person') {
         
-        const detection = predictions[0];
-        const [x, y, width, height] = detection.bbox;
+          const detection = predictions[0];
+          const [x, y, width, height] = detection.bbox;
         
         
-        ocrCanvas = document.createElement('canvas');
-        const ctx = ocrCanvas.getContext('2d');
+          ocrCanvas = document.createElement('canvas');
+          const ctx = ocrCanvas.getContext('2d');
         
-        ocrCanvas.width = width;
-        ocrCanvas.height = height;
+          ocrCanvas.width = width;
+          ocrCanvas.height = height;
         
   
-        ctx.drawImage(
-          video,
-          x, y, width, height, 
-          0, 0, width, height  
-        );
+          ctx.drawImage(
+            video,
+            x, y, width, height, 
+            0, 0, width, height  
+          );
         
        
-        preprocessImage(ctx, width, height);
-        
-        console.log('Using detected ID region:', { x, y, width, height });
-      } else {
+          console.log('Using detected ID region:', { x, y, width, height });
+        } else {
         
-        ocrCanvas = captureFullFrame(video);
-        console.log('No ID detected, using full frame');
+          ocrCanvas = captureFullFrame(video);
+          console.log('No ID detected, using full frame');
+        }
       }
       
+      // binarize (worker) - the same pipeline for every source
+      await preprocessImage(ocrCanvas);
+
       // step 3: run tesseract ocr on the preprocessed image
       const { data } = await ocrWorkerRef.current.recognize(ocrCanvas);
       const rawText = data.text;
@@ -313,28 +544,64 @@ const useIDScannerLogic = (videoRef, onIDDetected) => {
       console.log(rawText);
       console.log('═══════════════════════════════════');
 
-      // step 4: search ocr text for valid student ids
-      const studentId = findValidStudentId(rawText);
+      // step 4: search ocr text for valid student ids, fuzzy if nothing matches exactly
+      let candidate = findValidStudentId(rawText);
+      let fuzzyDistance = 0;
+      if (!candidate && fuzzyEnabled) {
+        const fuzzy = findFuzzyStudentId(rawText);
+        candidate = fuzzy.id;
+        fuzzyDistance = fuzzy.id ? fuzzy.distance : 0;
+      }
+
+      // step 4b: read the printed name for this candidate (letters-only pass)
+      if (candidate) await checkCardName(candidate, ocrCanvas);
+
+      // step 5: vote - a single read only counts as one frame
+      let studentId = candidate;
+      if (consensusEnabled) {
+        if (!consensusRef.current) {
+          consensusRef.current = createOcrConsensus({
+            frames: CONSENSUS_FRAMES,
+            majority: CONSENSUS_MAJORITY,
+            minVotes: CONSENSUS_MIN_VOTES,
+          });
+        }
+        // a fuzzy read votes with less weight the more edits it needed
+        const confidence = candidate
+          ? candidateConfidence(data, candidate) * Math.max(0, 1 - fuzzyDistance / candidate.length)
+          : 0;
+        const vote = consensusRef.current.add({ id: candidate, confidence });
+        setFrameCandidates(vote.frames);
+        setConsensus(vote.ranked[0] ?? null);
+        studentId = vote.winner;
+
+        if (!studentId && vote.ranked[0]) {
+          const { id, votes } = vote.ranked[0];
+          setStatus(`Reading ID ${id}... hold steady (${votes}/${CONSENSUS_MIN_VOTES})`);
+        }
+      }
 
       if (studentId) {
         // valid id found - stop scanning and notify parent
         console.log('Found student ID:', studentId);
         stopScanning();
         setStatus('ID detected!');
-        onIDDetected(studentId);
+        onIDDetected(studentId, {
+          nameMatch: nameCheckEnabled ? nameScoresRef.current.get(studentId) ?? UNREAD_NAME : null,
+        });
         return;
       }
 
       // no valid id found - continue scanning (unlimited attempts)
       scanCountRef.current++;
-      setStatus('Scanning for student ID...');
+      if (!consensusEnabled || !candidate) setStatus('Scanning for student ID...');
 
     } catch (err) {
       console.error('Scan error:', err);
     } finally {
       isProcessingRef.current = false;
     }
-  }, [videoRef, onIDDetected]);
+  }, [videoRef, onIDDetected, preprocessImage, consensusEnabled, CONSENSUS_FRAMES, CONSENSUS_MAJORITY, CONSENSUS_MIN_VOTES, fuzzyEnabled, FUZZY_MAX_DISTANCE, FUZZY_MARGIN, nameCheckEnabled]);
 
   /** starts the periodic id scanning loop - runs immediately then every SCAN_INTERVAL ms */
   const startScanning = useCallback(() => {
@@ -342,6 +609,11 @@ const useIDScannerLogic = (videoRef, onIDDetected) => {
     setStatus('Scanning for student ID...');
     scanCountRef.current = 0;
     isProcessingRef.current = false;
+    consensusRef.current = null; // new scan session, new votes
+    codeResultsRef.current.clear();
+    nameScoresRef.current.clear();
+    setFrameCandidates([]);
+    setConsensus(null);
 
     scanFrame();  // run first scan immediately
     scanIntervalRef.current = setInterval(scanFrame, SCAN_INTERVAL);
@@ -392,10 +664,20 @@ const useIDScannerLogic = (videoRef, onIDDetected) => {
         streamRef.current.getTracks().forEach(track => track.stop());
       }
       
-      // terminate tesseract ocr worker
+      // terminate tesseract ocr workers
       if (ocrWorkerRef.current) {
         ocrWorkerRef.current.terminate();
       }
+      if (textWorkerRef.current) {
+        textWorkerRef.current.terminate();
+        textWorkerRef.current = null;
+      }
+
+      // stop the preprocess worker
+      if (preprocessorRef.current) {
+        preprocessorRef.current.terminate();
+        preprocessorRef.current = null;
+      }
       
       // clear coco-ssd model reference
       if (modelRef.current) {
@@ -410,6 +692,9 @@ const useIDScannerLogic = (videoRef, onIDDetected) => {
     error,          // string: error message or null
     status,         // string: current status text for ui
     detections,     // array: coco-ssd detection results for roi canvas drawing
+    cardQuad,       // array: opencv card corners in video pixels (tl, tr, br, bl), or null
+    frameCandidates, // array: per-frame votes in the consensus window ({ id, confidence })
+    consensus,      // object: current leading candidate ({ id, weight, votes, share }) or null
     startScanning,  // function: start the scanning loop
     stopScanning    // function: stop the scanning loop
   };
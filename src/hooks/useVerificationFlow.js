@@ -1,5 +1,5 @@
 import { useState, useCallback } from 'react';
-import { getStudentByID } from '../services/testDB';
+import { getStudentByID, syncStudentsFromServer } from '../services/testDB';
 
 /**
  * verification state machine
@@ -7,11 +7,17 @@ import { getStudentByID } from '../services/testDB';
  * valid transitions:
  *   SCANNING_ID -> VERIFYING_FACE  (id found in database)
  *   SCANNING_ID -> FAILED_ID       (id not found in database)
+ *   SCANNING_ID -> FAILED_MISMATCH (printed name doesn't match the record for the id)
  *   VERIFYING_FACE -> SUCCESS      (face matches reference)
  *   VERIFYING_FACE -> FAILED_FACE  (face doesn't match)
- *   VERIFYING_FACE -> FAILED_MISMATCH (id and face don't belong to same person)
+ *   VERIFYING_FACE -> FAILED_MISMATCH (face is a much better match for another enrolled student)
  *   any FAILED_* -> SCANNING_ID    (reset/retry)
  *   SUCCESS -> SCANNING_ID         (reset for next student)
+ *
+ * face-only mode (no card reader) starts at IDENTIFYING_FACE instead:
+ *   IDENTIFYING_FACE -> SUCCESS         (face found among the enrolled students)
+ *   IDENTIFYING_FACE -> FAILED_IDENTIFY (no match, or two students too close to call)
+ *   FAILED_IDENTIFY / SUCCESS -> IDENTIFYING_FACE (reset)
  */
 const VERIFICATION_STATES = {
   SCANNING_ID: 'scanning_id',           // step 1: scanning student id card
@@ -19,29 +25,52 @@ const VERIFICATION_STATES = {
   SUCCESS: 'success',                   // final: verification successful
   FAILED_ID: 'failed_id',              // error: student id not found in database
   FAILED_FACE: 'failed_face',          // error: face verification failed
-  FAILED_MISMATCH: 'failed_mismatch'   // error: id and face don't match
+  FAILED_MISMATCH: 'failed_mismatch',  // error: card name or face doesn't match the id's record
+  IDENTIFYING_FACE: 'identifying_face', // face-only mode: searching every enrolled student
+  FAILED_IDENTIFY: 'failed_identify'   // error: face-only mode found nobody (or nobody clearly)
 };
 
+const KIOSK_MODES = ['card', 'face'];
+
+// minimum name-match score (0-1) of the printed name against the record
+const DEFAULT_NAME_MATCH_THRESHOLD = 0.65;
+
 /**
  * useverificationflow hook
  * 
  * manages the overall verification state machine that orchestrates
  * the two-step verification process: id scanning -> face verification.
  * 
+ * @param {Object} [options]
+ * @param {'card'|'face'} [options.mode] - 'face' skips the id card and identifies the
+ *   student by face alone (default 'card', or VITE_KIOSK_MODE in .env)
+ * @param {number} [options.nameMatchThreshold] - below this the card is rejected as a
+ *   mismatch (default 0.65, or VITE_NAME_MATCH_THRESHOLD in .env)
  * @returns {Object} state and handlers for the verification flow
  */
-const useVerificationFlow = () => {
-  const [currentStep, setCurrentStep] = useState(VERIFICATION_STATES.SCANNING_ID);  // current state in the flow
+const useVerificationFlow = (options = {}) => {
+  const nameMatchThreshold = Number(
+    options.nameMatchThreshold ?? import.meta.env.VITE_NAME_MATCH_THRESHOLD ?? DEFAULT_NAME_MATCH_THRESHOLD
+  );
+
+  const requestedMode = options.mode ?? import.meta.env.VITE_KIOSK_MODE;
+  const mode = KIOSK_MODES.includes(requestedMode) ? requestedMode : 'card';
+  const initialStep = mode === 'face' ? VERIFICATION_STATES.IDENTIFYING_FACE : VERIFICATION_STATES.SCANNING_ID;
+
+  const [currentStep, setCurrentStep] = useState(initialStep);  // current state in the flow
   const [studentId, setStudentId] = useState(null);              // detected student id string
   const [studentData, setStudentData] = useState(null);          // full student record from database
   const [verificationResult, setVerificationResult] = useState(null); // face match results
+  const [mismatch, setMismatch] = useState(null);                // why FAILED_MISMATCH was entered
 
   /**
    * called when idscanner successfully reads a student id
-   * looks up the student in the database and transitions to face verification
+   * looks up the student in the database, checks the printed name and
+   * transitions to face verification
    * @param {string} detectedId - the student id string read from the card
+   * @param {Object} [details] - { nameMatch: { score, name, department } | null }
    */
-  const handleIDDetected = useCallback((detectedId) => {
+  const handleIDDetected = useCallback((detectedId, details = {}) => {
     console.log('ID Detected:', detectedId);
     
     // look up student in database
@@ -55,12 +84,23 @@ const useVerificationFlow = () => {
       return;
     }
 
+    // printed name doesn't match the record -> card with a copied number
+    const { nameMatch } = details;
+    if (nameMatch && nameMatch.score < nameMatchThreshold) {
+      console.error('Card name mismatch:', nameMatch);
+      setStudentId(detectedId);
+      setStudentData(student);
+      setMismatch({ reason: 'card_name', ...nameMatch, threshold: nameMatchThreshold });
+      setCurrentStep(VERIFICATION_STATES.FAILED_MISMATCH);
+      return;
+    }
+
     // student found -> proceed to face verification
     console.log('Student found:', student.name);
     setStudentId(detectedId);
     setStudentData(student);
     setCurrentStep(VERIFICATION_STATES.VERIFYING_FACE);
-  }, []);
+  }, [nameMatchThreshold]);
 
   /**
    * called when faceverifier confirms the face matches the reference
@@ -83,26 +123,77 @@ const useVerificationFlow = () => {
    */
   const handleFaceFailed = useCallback((reason) => {
     console.error('Face verification failed:', reason);
-    setCurrentStep(VERIFICATION_STATES.FAILED_FACE);
+    setCurrentStep(mode === 'face' ? VERIFICATION_STATES.FAILED_IDENTIFY : VERIFICATION_STATES.FAILED_FACE);
+  }, [mode]);
+
+  /**
+   * face-only mode: called when the 1:N search finds the student
+   * looks up the record (syncing if they enrolled after the last sync) and
+   * transitions to success, which logs the same attendance event as a card scan
+   * @param {Object} result - { studentId, similarity, confidence, distance, runnerUpDistance }
+   */
+  const handleFaceIdentified = useCallback(async (result) => {
+    console.log('Face identified:', result);
+    let student = getStudentByID(result.studentId);
+    if (!student) {
+      try {
+        await syncStudentsFromServer();
+      } catch (err) {
+        console.error(err);
+      }
+      student = getStudentByID(result.studentId);
+    }
+
+    setStudentId(result.studentId);
+    if (!student) {
+      console.error('Identified student not found in database');
+      setCurrentStep(VERIFICATION_STATES.FAILED_ID);
+      return;
+    }
+
+    setStudentData(student);
+    setVerificationResult({
+      similarity: result.similarity,
+      confidence: result.confidence,
+      timestamp: new Date().toISOString(),
+      studentId: result.studentId
+    });
+    setCurrentStep(VERIFICATION_STATES.SUCCESS);
   }, []);
 
-  /** resets the entire verification flow back to step 1 (id scanning) */
+  /**
+   * called when the 1:N search finds the face belongs to a different
+   * enrolled student than the scanned id's owner
+   * @param {Object} details - { resembledStudentId, resembledDistance, claimedDistance }
+   */
+  const handleFaceMismatch = useCallback((details) => {
+    console.error('Identity mismatch:', details);
+    setMismatch({ reason: 'face', ...details });
+    setCurrentStep(VERIFICATION_STATES.FAILED_MISMATCH);
+  }, []);
+
+  /** resets the entire verification flow back to step 1 (id scanning, or the face in face-only mode) */
   const reset = useCallback(() => {
     console.log('Resetting verification flow');
-    setCurrentStep(VERIFICATION_STATES.SCANNING_ID);
+    setCurrentStep(initialStep);
     setStudentId(null);
     setStudentData(null);
     setVerificationResult(null);
-  }, []);
+    setMismatch(null);
+  }, [initialStep]);
 
   return {
+    mode,
     currentStep,
     studentId,
     studentData,
     verificationResult,
+    mismatch,
     handleIDDetected,
     handleFaceVerified,
     handleFaceFailed,
+    handleFaceMismatch,
+    handleFaceIdentified,
     reset
   };
 };
@@ -0,0 +1,86 @@
+import { useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { login } from "../services/auth";
+
+// only follow in-app paths after login
+function safeNext(next) {
+  return next && next.startsWith("/") && !next.startsWith("//") ? next : "/";
+}
+
+export default function Login() {
+  const navigate = useNavigate();
+  const [params] = useSearchParams();
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(
+    params.get("denied") ? "Your account can't open that page. Log in with another account." : ""
+  );
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (!username || !password) {
+      setError("Enter your username and password.");
+      return;
+    }
+
+    try {
+      setBusy(true);
+      await login(username, password);
+      navigate(safeNext(params.get("next")), { replace: true });
+    } catch (e) {
+      setError(e.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-slate-950 text-white flex items-center justify-center p-6">
+      <div className="w-full max-w-sm bg-slate-900/40 border border-slate-700 rounded-2xl p-6 shadow">
+        <h1 className="text-2xl font-bold mb-1">Operator Login</h1>
+        <p className="text-slate-300 text-sm mb-6">Sign in to run the kiosk or register students.</p>
+
+        {error && (
+          <div className="mb-4 p-3 rounded-lg text-sm border border-red-500/40 bg-red-500/10 text-red-200">
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={submit} className="space-y-4">
+          <div>
+            <label className="text-sm text-slate-200">Username</label>
+            <input
+              className="mt-1 w-full rounded-lg bg-slate-950 border border-slate-700 p-3 outline-none focus:border-slate-500"
+              value={username}
+              onChange={(e) => setUsername(e.target.value)}
+              autoComplete="username"
+              autoFocus
+            />
+          </div>
+
+          <div>
+            <label className="text-sm text-slate-200">Password</label>
+            <input
+              className="mt-1 w-full rounded-lg bg-slate-950 border border-slate-700 p-3 outline-none focus:border-slate-500"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              type="password"
+              autoComplete="current-password"
+            />
+          </div>
+
+          <button
+            type="submit"
+            disabled={busy}
+            className="w-full py-3 rounded-lg bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed transition font-semibold"
+          >
+            {busy ? "Signing in..." : "Log In"}
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
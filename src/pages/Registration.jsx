@@ -1,7 +1,10 @@
-import React, { useMemo, useState } from "react";
-import { Link } from "react-router-dom";
+import React, { useEffect, useMemo, useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { logout } from "../services/auth";
+import EnrollmentCapture from "../components/EnrollmentCapture";
 
 const MAX_BYTES = 500 * 1024;
+const JOB_POLL_MS = 2000;
 
 function isValidYear(v) {
   const n = Number(v);
@@ -9,23 +12,59 @@ function isValidYear(v) {
 }
 
 export default function Registration() {
+  const navigate = useNavigate();
   const [name, setName] = useState("");
   const [department, setDepartment] = useState("");
   const [year, setYear] = useState("");
   const [email, setEmail] = useState("");
-  const [studentId, setStudentId] = useState(""); // canonical digits: YY4#### (7 digits)
-  const [displayId, setDisplayId] = useState(""); // YY-4-####
-  const [photo, setPhoto] = useState(null);
-  const [previewUrl, setPreviewUrl] = useState("");
+  const [studentId, setStudentId] = useState(""); // canonical digits: YY4####C (8 digits, last is the check digit)
+  const [displayId, setDisplayId] = useState(""); // YY-4-####-C
+  const [photos, setPhotos] = useState([]); // one picked file, or the camera's photos
+  const [previewUrls, setPreviewUrls] = useState([]);
+  const [capturing, setCapturing] = useState(false);
   const [busy, setBusy] = useState(false);
   const [msg, setMsg] = useState({ type: "", text: "" });
+  const [enrollmentJob, setEnrollmentJob] = useState(null); // background variants + descriptors
+
+  const jobActive = enrollmentJob?.status === "queued" || enrollmentJob?.status === "running";
+
+  useEffect(() => {
+    if (!jobActive) return undefined;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await fetch(`/api/jobs/${enrollmentJob.id}`);
+        const data = await res.json();
+        if (!res.ok) throw new Error(data?.error || "Could not read enrollment status.");
+        setEnrollmentJob(data.job);
+      } catch (e) {
+        setEnrollmentJob((job) => ({ ...job, status: "unknown", error: e.message }));
+      }
+    }, JOB_POLL_MS);
+    return () => clearTimeout(timer);
+  }, [enrollmentJob, jobActive]);
+
+  const retryEnrollment = async () => {
+    try {
+      const res = await fetch(`/api/jobs/${enrollmentJob.id}/retry`, { method: "POST" });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data?.error || "Retry failed.");
+      setEnrollmentJob(data.job);
+    } catch (e) {
+      setEnrollmentJob((job) => ({ ...job, error: e.message }));
+    }
+  };
 
   const canGenerateId = useMemo(() => isValidYear(year), [year]);
 
+  const setPhotoFiles = (files) => {
+    previewUrls.forEach((url) => URL.revokeObjectURL(url));
+    setPhotos(files);
+    setPreviewUrls(files.map((f) => URL.createObjectURL(f)));
+  };
+
   const onPickPhoto = (file) => {
     setMsg({ type: "", text: "" });
-    setPhoto(null);
-    setPreviewUrl("");
+    setPhotoFiles([]);
 
     if (!file) return;
 
@@ -38,8 +77,13 @@ export default function Registration() {
       return;
     }
 
-    setPhoto(file);
-    setPreviewUrl(URL.createObjectURL(file));
+    setPhotoFiles([file]);
+  };
+
+  const onUseCaptured = (files) => {
+    setMsg({ type: "", text: "" });
+    setPhotoFiles(files);
+    setCapturing(false);
   };
 
   const generateId = async () => {
@@ -87,8 +131,8 @@ export default function Registration() {
       setMsg({ type: "error", text: "Generate an ID first." });
       return;
     }
-    if (!photo) {
-      setMsg({ type: "error", text: "Please upload a 1x1 face photo (max 500KB)." });
+    if (!photos.length) {
+      setMsg({ type: "error", text: "Please upload a 1x1 face photo (max 500KB) or take photos with the camera." });
       return;
     }
 
@@ -101,7 +145,7 @@ export default function Registration() {
       fd.append("year", String(year));
       fd.append("email", email);
       fd.append("id", studentId); // canonical digits
-      fd.append("photo", photo);
+      photos.forEach((p) => fd.append("photos", p));
 
       const res = await fetch("/api/students/register", {
         method: "POST",
@@ -109,12 +153,18 @@ export default function Registration() {
       });
 
       const data = await res.json();
-      if (!res.ok) throw new Error(data?.error || "Registration failed.");
+      if (!res.ok) {
+        const err = new Error(data?.error || "Registration failed.");
+        err.photos = data?.photos; // 422: per-photo quality check results
+        throw err;
+      }
 
       setMsg({
         type: "success",
         text: `Registered: ${data.student.name} (${data.student.displayId ?? data.student.id})`,
+        cardId: data.student.id,
       });
+      setEnrollmentJob(data.job ?? null);
 
       // Reset form except message
       setName("");
@@ -123,10 +173,9 @@ export default function Registration() {
       setEmail("");
       setStudentId("");
       setDisplayId("");
-      setPhoto(null);
-      setPreviewUrl("");
+      setPhotoFiles([]);
     } catch (e) {
-      setMsg({ type: "error", text: e.message });
+      setMsg({ type: "error", text: e.message, photos: e.photos?.filter((p) => !p.ok) });
     } finally {
       setBusy(false);
     }
@@ -137,16 +186,26 @@ export default function Registration() {
       <div className="w-full max-w-xl bg-slate-900/40 border border-slate-700 rounded-2xl p-6 shadow">
         <div className="flex items-center justify-between gap-3 mb-4">
           <h1 className="text-2xl font-bold">Student Registration</h1>
-          <Link
-            to="/"
-            className="text-sm px-3 py-2 rounded-lg bg-slate-800 hover:bg-slate-700 transition"
-          >
-            Back to Verification
-          </Link>
+          <div className="flex gap-2">
+            <Link
+              to="/"
+              className="text-sm px-3 py-2 rounded-lg bg-slate-800 hover:bg-slate-700 transition"
+            >
+              Back to Verification
+            </Link>
+            <button
+              type="button"
+              onClick={() => logout().finally(() => navigate("/login", { replace: true }))}
+              className="text-sm px-3 py-2 rounded-lg bg-slate-800 hover:bg-slate-700 transition"
+            >
+              Log Out
+            </button>
+          </div>
         </div>
 
         <p className="text-slate-300 text-sm mb-6">
-          Fill out the details and upload a clear 1x1 face photo (JPEG/PNG/WebP, max 500KB).
+          Fill out the details and upload a clear 1x1 face photo (JPEG/PNG/WebP, max 500KB), or take the photos
+          with the camera.
         </p>
 
         {msg.text && (
@@ -158,6 +217,46 @@ export default function Registration() {
             }`}
           >
             {msg.text}
+            {msg.photos?.length > 0 && (
+              <ul className="mt-2 space-y-1 text-xs">
+                {msg.photos.map((p) => (
+                  <li key={p.index}>
+                    <b>
+                      Photo {p.index + 1}
+                      {p.name ? ` (${p.name})` : ""}:
+                    </b>{" "}
+                    {p.reasons.map((r) => r.message).join(" ")}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {msg.cardId && (
+              <a
+                href={`/api/students/${msg.cardId}/card`}
+                target="_blank"
+                rel="noreferrer"
+                className="ml-2 underline font-semibold"
+              >
+                Print ID card
+              </a>
+            )}
+            {msg.cardId && enrollmentJob && (
+              <div className="mt-1 text-xs">
+                {jobActive && "Preparing face references for the kiosk…"}
+                {enrollmentJob.status === "done" && "Face references ready."}
+                {enrollmentJob.status === "failed" && (
+                  <>
+                    <span className="text-red-200">Face references failed: {enrollmentJob.error}</span>
+                    <button type="button" onClick={retryEnrollment} className="ml-2 underline font-semibold">
+                      Retry
+                    </button>
+                  </>
+                )}
+                {enrollmentJob.status === "unknown" && (
+                  <span className="text-amber-200">{enrollmentJob.error}</span>
+                )}
+              </div>
+            )}
           </div>
         )}
 
@@ -202,7 +301,7 @@ export default function Registration() {
               </button>
             </div>
             <div className="text-xs text-slate-400 mt-1">
-              ID format shown as <b>YY-4-IDNo</b>, stored as digits for OCR scanning.
+              ID format shown as <b>YY-4-IDNo-C</b> (C is a check digit), stored as digits for OCR scanning.
             </div>
           </div>
 
@@ -229,18 +328,35 @@ export default function Registration() {
 
           <div>
             <label className="text-sm text-slate-200">1x1 Face Photo (max 500KB)</label>
-            <input
-              type="file"
-              accept="image/jpeg,image/png,image/webp"
-              onChange={(e) => onPickPhoto(e.target.files?.[0] || null)}
-            />
-            {previewUrl && (
-              <div className="mt-3 flex items-center gap-3">
-                <img
-                  src={previewUrl}
-                  alt="preview"
-                  className="w-20 h-20 object-cover rounded-lg border border-slate-700"
+            {capturing ? (
+              <EnrollmentCapture maxBytes={MAX_BYTES} onUse={onUseCaptured} onCancel={() => setCapturing(false)} />
+            ) : (
+              <div className="flex items-center gap-3">
+                <input
+                  type="file"
+                  accept="image/jpeg,image/png,image/webp"
+                  onChange={(e) => onPickPhoto(e.target.files?.[0] || null)}
                 />
+                <button
+                  type="button"
+                  onClick={() => setCapturing(true)}
+                  disabled={busy}
+                  className="text-sm px-3 py-2 rounded-lg bg-slate-800 hover:bg-slate-700 disabled:opacity-50 transition"
+                >
+                  Use Camera
+                </button>
+              </div>
+            )}
+            {!capturing && previewUrls.length > 0 && (
+              <div className="mt-3 flex items-center gap-3">
+                {previewUrls.map((url, i) => (
+                  <img
+                    key={url}
+                    src={url}
+                    alt={`preview ${i + 1}`}
+                    className="w-20 h-20 object-cover rounded-lg border border-slate-700"
+                  />
+                ))}
                 <div className="text-xs text-slate-300">
                   Make sure the face is centered, well-lit, and unobstructed.
                 </div>
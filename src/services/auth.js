@@ -0,0 +1,32 @@
+// src/services/auth.js
+// Operator session. The backend sets an HttpOnly session cookie on login, so
+// same-origin fetches (and <img src="/uploads/...">) are authenticated without
+// handling the token here.
+
+/**
+ * @returns {Promise<{username: string, role: string} | null>} null when logged out
+ */
+export const getSession = async () => {
+  const res = await fetch('/api/auth/me');
+  if (res.status === 401) return null;
+  if (!res.ok) throw new Error('Failed to check session');
+  const data = await res.json();
+  return data.operator;
+};
+
+export const login = async (username, password) => {
+  const res = await fetch('/api/auth/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password }),
+  });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data?.error || 'Login failed.');
+  return data.operator;
+};
+
+export const logout = async () => {
+  await fetch('/api/auth/logout', { method: 'POST' });
+};
+
+export default { getSession, login, logout };
@@ -0,0 +1,57 @@
+// src/services/studentIds.js
+// Client copy of the ID format rules in server/ids.js:
+//   v1 (legacy): 7 digits, YY4####
+//   v2:          8 digits, YY4####C (Verhoeff check digit)
+
+const D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+];
+const P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8],
+];
+
+export const LEGACY_ID_LENGTH = 7;
+export const CHECKED_ID_LENGTH = 8;
+
+/** true if the digit string's last digit is its Verhoeff check digit */
+export const verhoeffValid = (digits) => {
+  const d = String(digits);
+  if (!/^\d+$/.test(d)) return false;
+  let c = 0;
+  for (let i = 0; i < d.length; i++) {
+    c = D[c][P[i % 8][Number(d[d.length - 1 - i])]];
+  }
+  return c === 0;
+};
+
+/** 1 (legacy 7-digit), 2 (8-digit with valid check digit) or null */
+export const idVersionOf = (id) => {
+  const d = String(id ?? '');
+  if (d.length === LEGACY_ID_LENGTH && /^\d+$/.test(d)) return 1;
+  if (d.length === CHECKED_ID_LENGTH && verhoeffValid(d)) return 2;
+  return null;
+};
+
+// v1: YY-4-####, v2: YY-4-####-C, anything else as plain digits
+export const formatDisplayId = (id) => {
+  const d = String(id ?? '').replace(/\D/g, '');
+  if (d.length === LEGACY_ID_LENGTH) return `${d.slice(0, 2)}-${d.slice(2, 3)}-${d.slice(3)}`;
+  if (d.length === CHECKED_ID_LENGTH) return `${d.slice(0, 2)}-${d.slice(2, 3)}-${d.slice(3, 7)}-${d.slice(7)}`;
+  return d;
+};
@@ -41,10 +41,77 @@ export const getFaceImagePaths = (studentId) => {
   return student?.faceImages?.length ? student.faceImages : student?.faceImage ? [student.faceImage] : [];
 };
 
+// base64 -> little-endian float32, count * dim values
+const unpackDescriptors = (count, dim, data) => {
+  if (!count) return [];
+  const bytes = Uint8Array.from(atob(data), (c) => c.charCodeAt(0));
+  const all = new Float32Array(bytes.buffer);
+  return Array.from({ length: count }, (_, i) => all.slice(i * dim, (i + 1) * dim));
+};
+
+/**
+ * Reference descriptors precomputed by the backend at enrollment.
+ * @returns {Promise<Float32Array[]>} empty when none are stored for this student
+ */
+export const getStoredDescriptors = async (studentId) => {
+  const res = await fetch(`/api/students/${digitsOnly(studentId)}/descriptors`);
+  if (!res.ok) throw new Error('Failed to fetch stored descriptors');
+  const { count, dim, data } = await res.json();
+  return unpackDescriptors(count, dim, data);
+};
+
+/**
+ * Descriptors of every enrolled student, for the 1:N mismatch search.
+ * @returns {Promise<Map<string, Float32Array[]>>} student id -> descriptors
+ */
+export const getAllStoredDescriptors = async () => {
+  const res = await fetch('/api/descriptors');
+  if (!res.ok) throw new Error('Failed to fetch enrolled descriptors');
+  const { dim, students = [] } = await res.json();
+  return new Map(students.map((s) => [digitsOnly(s.id), unpackDescriptors(s.count, dim, s.data)]));
+};
+
+/**
+ * Calibrated verification thresholds (see server/calibration.js).
+ * @param {string} [studentId] - for the student's own threshold; omit for the global one
+ * @returns {Promise<{threshold: number, globalThreshold: number, requiredGoodFrames: number,
+ *   source: string, calibratedAt: string|null}>}
+ */
+export const getThresholds = async (studentId) => {
+  const query = studentId ? `?studentId=${encodeURIComponent(digitsOnly(studentId))}` : '';
+  const res = await fetch(`/api/calibration/thresholds${query}`);
+  if (!res.ok) throw new Error('Failed to fetch thresholds');
+  return res.json();
+};
+
+/**
+ * Asks the backend to check a card's signed qr code.
+ * @returns {Promise<string>} the canonical student id
+ * @throws {Error} with .status 400 (not a card code), 403 (bad signature) or 404 (unknown student)
+ */
+export const verifyCardCode = async (code) => {
+  const res = await fetch('/api/cards/verify', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ code }),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const err = new Error(data?.error || 'Failed to verify card code');
+    err.status = res.status;
+    throw err;
+  }
+  return digitsOnly(data.studentId);
+};
+
 export default {
   syncStudentsFromServer,
   getStudentByID,
   isValidStudentID,
   getAllValidStudentIDs,
   getFaceImagePaths,
+  getStoredDescriptors,
+  getAllStoredDescriptors,
+  getThresholds,
+  verifyCardCode,
 };
\ No newline at end of file
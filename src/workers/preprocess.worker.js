@@ -0,0 +1,23 @@
+// src/workers/preprocess.worker.js
+// OCR preprocessing off the main thread, so the scanner video stays smooth.
+// in:  { id, bitmap: ImageBitmap, options }   (bitmap is transferred)
+// out: { id, bitmap: ImageBitmap } | { id, error }
+import { binarizeImageData } from '../hooks/binarize';
+
+self.onmessage = ({ data: { id, bitmap, options } }) => {
+  try {
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    binarizeImageData(imageData, options);
+    ctx.putImageData(imageData, 0, 0);
+
+    const out = canvas.transferToImageBitmap();
+    self.postMessage({ id, bitmap: out }, [out]);
+  } catch (err) {
+    self.postMessage({ id, error: err?.message || String(err) });
+  }
+};